@@ -0,0 +1,350 @@
+#!/usr/bin/env node
+/**
+ * shearpoint - command line client
+ *
+ * Lists devices, sends files to a device and receives files into a directory,
+ * for machines without a browser. See `shearpoint --help` and the README.
+ */
+
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const { ShearPointClient, ClientError, discoverServer } = require('../cli/client');
+const { Sender, Receiver, collectFiles } = require('../cli/transfer');
+
+const EXIT_CODES = {
+  OK: 0,
+  FAILED: 1, // Some files failed or the connection was lost
+  USAGE: 2,
+  UNAVAILABLE: 3, // No server, server unreachable or access refused
+  NOT_FOUND: 4, // The device given with --to is not online
+  DECLINED: 5 // The receiver declined the batch or did not answer
+};
+
+const PEER_TIMEOUT = 10; // Seconds `send` waits for the device to come online
+const SENDER_CLOSE_TIMEOUT = 5000; // `receive --once` waits this long for the sender to hang up
+const PROGRESS_INTERVAL = 100;
+
+const USAGE = `Usage: shearpoint [options] <command>
+
+Commands:
+  peers                        List the devices this client can see
+  send <file|folder...>        Send files and folders to a device
+    --to <device>              Device name or peer id (required)
+    --timeout <seconds>        Wait this long for the device to come online (default ${PEER_TIMEOUT})
+  receive                      Receive files until interrupted
+    --dir <path>               Directory to save into (default: current directory)
+    --from <device>            Only accept files from this device
+    --once                     Exit after the first batch
+
+Options:
+  --server <url>               Signaling URL, e.g. ws://192.168.1.10:3000/signal
+                               (default: SHEARPOINT_SERVER, else found over mDNS)
+  --token <token>              Access token (default: SHEARPOINT_TOKEN)
+  --name <name>                Device name shown to others (default: host name)
+  --room <code>                Join a room to reach devices on other networks
+  --json                       Print the peer list as JSON
+  --quiet                      No progress output
+  -h, --help                   Show this help
+
+Exit codes: 0 done, 1 transfer failed, 2 usage error, 3 server unavailable,
+4 device not found, 5 declined or not answered`;
+
+class UsageError extends Error {}
+
+function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      server: { type: 'string' },
+      token: { type: 'string' },
+      name: { type: 'string' },
+      room: { type: 'string' },
+      to: { type: 'string' },
+      timeout: { type: 'string' },
+      dir: { type: 'string' },
+      from: { type: 'string' },
+      once: { type: 'boolean' },
+      json: { type: 'boolean' },
+      quiet: { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+  const [command, ...args] = positionals;
+  return { command, args, options: values };
+}
+
+/**
+ * Whether a listed peer is the device given on the command line, by peer id or name
+ */
+function matchesDevice(query) {
+  const name = query.toLowerCase();
+  return peer => peer.peerId === query || peer.device?.name?.toLowerCase() === name;
+}
+
+function formatFileSize(bytes) {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
+}
+
+/**
+ * Progress on stderr: one line redrawn in place on a terminal, otherwise a
+ * line per finished file only, so logs of scripts stay readable
+ */
+function createProgress(quiet) {
+  const interactive = process.stderr.isTTY && !quiet;
+  let lastDraw = 0;
+  let drawn = false;
+
+  return {
+    update(batch, force = false) {
+      const now = Date.now();
+      if (!interactive || (!force && now - lastDraw < PROGRESS_INTERVAL)) return;
+      lastDraw = now;
+
+      const percent = batch.totalSize > 0 ? Math.floor(batch.transferred / batch.totalSize * 100) : 100;
+      const seconds = Math.max((now - batch.startTime) / 1000, 0.001);
+      const active = batch.files.find(entry => entry.status === 'active');
+      const line = `${percent}% ${formatFileSize(batch.transferred)} of ${formatFileSize(batch.totalSize)}, ` +
+        `${formatFileSize(batch.transferred / seconds)}/s${active ? ` - ${active.relativePath}` : ''}`;
+      process.stderr.write(`\r\x1b[K${line.slice(0, (process.stderr.columns || 80) - 1)}`);
+      drawn = true;
+    },
+    log(message) {
+      if (quiet) return;
+      if (drawn) {
+        process.stderr.write('\r\x1b[K');
+        drawn = false;
+      }
+      process.stderr.write(`${message}\n`);
+    },
+    done() {
+      if (drawn) {
+        process.stderr.write('\n');
+        drawn = false;
+      }
+    }
+  };
+}
+
+async function connect(options, progress) {
+  let url = options.server || process.env.SHEARPOINT_SERVER;
+  if (!url) {
+    progress.log('Looking for a ShearPoint server on the network...');
+    url = await discoverServer();
+    if (!url) {
+      throw new ClientError('No server found over mDNS, pass --server', 'unavailable');
+    }
+    progress.log(`Found ${url}`);
+  }
+
+  const client = new ShearPointClient({
+    url,
+    accessToken: options.token || process.env.SHEARPOINT_TOKEN || null,
+    deviceName: options.name || os.hostname(),
+    room: options.room || null
+  });
+  client.on('status', message => progress.log(message));
+  await client.connect();
+  return client;
+}
+
+async function listPeers(options) {
+  const progress = createProgress(options.quiet);
+  const client = await connect(options, progress);
+  try {
+    // One may have come with the registration already, before we listened
+    client.send({ type: 'peer-list-request' });
+    const peers = await new Promise(resolve => client.once('peers', resolve));
+
+    if (options.json) {
+      process.stdout.write(`${JSON.stringify(peers.map(peer => ({
+        peerId: peer.peerId,
+        name: peer.device?.name || null,
+        type: peer.device?.type || null,
+        identityId: peer.identityId || null,
+        pairingId: peer.pairingId || null,
+        roomCode: peer.roomCode || null
+      })), null, 2)}\n`);
+    } else if (peers.length === 0) {
+      progress.log('No devices online');
+    } else {
+      peers.forEach((peer) => {
+        const via = peer.roomCode ? ` (room ${peer.roomCode})` : peer.pairingId ? ' (paired)' : '';
+        process.stdout.write(`${peer.device?.name || peer.peerId}\t${peer.device?.type || ''}\t${peer.peerId}${via}\n`);
+      });
+    }
+    return EXIT_CODES.OK;
+  } finally {
+    client.close();
+  }
+}
+
+async function sendFiles(paths, options) {
+  if (paths.length === 0) throw new UsageError('send needs at least one file or folder');
+  if (!options.to) throw new UsageError('send needs --to <device>');
+  const timeout = options.timeout === undefined ? PEER_TIMEOUT : Number(options.timeout);
+  if (!Number.isFinite(timeout) || timeout <= 0) throw new UsageError('--timeout must be a positive number of seconds');
+
+  let batch;
+  try {
+    batch = await collectFiles(paths);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  if (batch.files.length === 0 && batch.directories.length === 0) {
+    throw new UsageError('Nothing to send');
+  }
+
+  const progress = createProgress(options.quiet);
+  const client = await connect(options, progress);
+  try {
+    const peer = await client.waitForPeer(matchesDevice(options.to), timeout * 1000);
+    const deviceName = peer.device?.name || peer.peerId;
+    progress.log(`Connecting to ${deviceName}...`);
+    const dataChannel = await client.connectToPeer(peer.peerId);
+
+    const sender = new Sender(dataChannel, batch, { maxMessageSize: client.getMaxMessageSize(peer.peerId) });
+    sender.on('accepted', () => progress.log(`${deviceName} accepted ${batch.files.length} file(s)`));
+    sender.on('progress', current => progress.update(current));
+    progress.log(`Waiting for ${deviceName} to accept...`);
+
+    const result = await sender.run().catch((error) => {
+      if (error.code !== 'declined') throw error;
+      const reason = error.message === 'timed out' ? 'did not answer' : 'declined the files';
+      throw new ClientError(`${deviceName} ${reason}`, 'declined');
+    });
+    progress.update(result, true);
+    progress.done();
+
+    const failed = result.files.filter(entry => entry.status === 'failed');
+    failed.forEach(entry => progress.log(`Failed: ${entry.relativePath}: ${entry.error}`));
+    const seconds = (Date.now() - result.startTime) / 1000;
+    progress.log(`Sent ${result.files.length - failed.length} of ${result.files.length} file(s), ` +
+      `${formatFileSize(result.totalSize)} in ${seconds.toFixed(1)} s`);
+    return failed.length > 0 ? EXIT_CODES.FAILED : EXIT_CODES.OK;
+  } finally {
+    progress.done();
+    client.close();
+  }
+}
+
+async function receiveFiles(options) {
+  const dir = path.resolve(options.dir || '.');
+  const progress = createProgress(options.quiet);
+  const client = await connect(options, progress);
+  const from = options.from ? matchesDevice(options.from) : null;
+
+  const receiver = new Receiver({
+    dir,
+    accept: peerId => !from || from(client.peers.get(peerId) || { peerId })
+  });
+  client.on('channel', (peerId, dataChannel) => receiver.attach(peerId, dataChannel));
+
+  receiver.on('batch-start', batch => progress.log(
+    `Receiving ${batch.files.length} file(s), ${formatFileSize(batch.totalSize)} from ${client.describePeer(batch.peerId)}`
+  ));
+  receiver.on('progress', batch => progress.update(batch));
+  receiver.on('file', (batch, entry) => {
+    progress.done();
+    process.stdout.write(`${entry.savedAs}\n`);
+  });
+  receiver.on('file-failed', (batch, entry) => progress.log(`Failed: ${entry.relativePath}: ${entry.error}`));
+  receiver.on('declined', peerId => progress.log(`Declined files from ${client.describePeer(peerId)}`));
+  receiver.on('text', (peerId, text) => {
+    progress.log(`Text from ${client.describePeer(peerId)}:`);
+    process.stdout.write(`${text}\n`);
+  });
+  receiver.on('error', error => progress.log(error.message));
+
+  progress.log(`Receiving into ${dir} as ${client.options.deviceName}, press Ctrl+C to stop`);
+
+  return new Promise((resolve) => {
+    let finished = false;
+    const finish = (code) => {
+      if (finished) return;
+      finished = true;
+      progress.done();
+      client.close();
+      resolve(code);
+    };
+    receiver.on('batch', (batch) => {
+      const failed = batch.files.filter(entry => entry.status === 'failed').length;
+      progress.log(`Received ${batch.files.length - failed} of ${batch.files.length} file(s) from ${client.describePeer(batch.peerId)}`);
+      if (!options.once) return;
+
+      // The sender hangs up once it has our result; closing first could lose the result
+      const code = failed > 0 ? EXIT_CODES.FAILED : EXIT_CODES.OK;
+      if (batch.dataChannel.readyState !== 'open') {
+        finish(code);
+        return;
+      }
+      setTimeout(() => finish(code), SENDER_CLOSE_TIMEOUT);
+      batch.dataChannel.addEventListener('close', () => finish(code), { once: true });
+    });
+    client.on('close', () => {
+      progress.log('Connection to the server lost');
+      finish(EXIT_CODES.UNAVAILABLE);
+    });
+    process.once('SIGINT', () => finish(EXIT_CODES.OK));
+    process.once('SIGTERM', () => finish(EXIT_CODES.OK));
+  });
+}
+
+async function main(argv) {
+  let command, args, options;
+  try {
+    ({ command, args, options } = parseCommandLine(argv));
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  if (options.help || !command) {
+    process.stdout.write(`${USAGE}\n`);
+    return options.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+  }
+
+  switch (command) {
+    case 'peers':
+      return listPeers(options);
+    case 'send':
+      return sendFiles(args, options);
+    case 'receive':
+      return receiveFiles(options);
+    default:
+      throw new UsageError(`Unknown command '${command}'`);
+  }
+}
+
+function exitCodeOf(error) {
+  if (error instanceof UsageError) return EXIT_CODES.USAGE;
+  switch (error.code) {
+    case 'unavailable':
+    case 'unauthorized':
+      return EXIT_CODES.UNAVAILABLE;
+    case 'not-found':
+      return EXIT_CODES.NOT_FOUND;
+    case 'declined':
+      return EXIT_CODES.DECLINED;
+    default:
+      return EXIT_CODES.FAILED;
+  }
+}
+
+main(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    process.stderr.write(`shearpoint: ${error.message}\n`);
+    if (error instanceof UsageError) {
+      process.stderr.write('Run shearpoint --help for usage\n');
+    }
+    process.exitCode = exitCodeOf(error);
+  })
+  // werift keeps sockets and timers around after close; do not wait for them
+  .finally(() => setTimeout(() => process.exit(), 100).unref());
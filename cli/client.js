@@ -0,0 +1,406 @@
+const EventEmitter = require('events');
+const os = require('os');
+const WebSocket = require('ws');
+const { RTCPeerConnection } = require('werift');
+const { Bonjour } = require('bonjour-service');
+const protocol = require('../public/js/protocol');
+const { SERVICE_TYPE } = require('../server/discovery');
+
+/**
+ * Headless ShearPoint client
+ *
+ * Speaks the signaling protocol of the browser client (welcome, register, peer
+ * lists, offers and ICE candidates) and opens the same 'file-transfer' data
+ * channel, using werift as a pure JavaScript WebRTC stack. Emits 'peers' with
+ * every peer list, 'channel' (peerId, dataChannel) when a data channel to a
+ * peer opens, 'status' with messages worth showing and 'close' when the
+ * signaling socket closed for good.
+ */
+
+const HEARTBEAT_INTERVAL = 15000;
+const REGISTER_TIMEOUT = 10000;
+const ICE_CONFIG_TIMEOUT = 5000;
+const CHANNEL_TIMEOUT = 30000; // How long a new peer connection may take to open its data channel
+
+class ClientError extends Error {
+  constructor(message, code = 'error') {
+    super(message);
+    this.name = 'ClientError';
+    this.code = code;
+  }
+}
+
+/**
+ * Find a ShearPoint server on the LAN over mDNS/DNS-SD; resolves with its
+ * signaling URL, or null when none answered within `timeout`
+ */
+function discoverServer(timeout = 5000) {
+  return new Promise((resolve) => {
+    const bonjour = new Bonjour();
+    bonjour.findOne({ type: SERVICE_TYPE }, timeout, (service) => {
+      bonjour.destroy();
+      if (!service) {
+        resolve(null);
+        return;
+      }
+      const address = (service.addresses || []).find(candidate => candidate.includes('.')) || service.host;
+      resolve(`ws://${address}:${service.port}${service.txt?.path || '/signal'}`);
+    });
+  });
+}
+
+class ShearPointClient extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = {
+      url: null, // ws:// or wss:// URL of the signaling socket
+      accessToken: null,
+      deviceName: os.hostname(),
+      deviceType: 'Computer',
+      room: null,
+      ...options
+    };
+    this.socket = null;
+    this.peerId = null;
+    this.registered = false;
+    this.peers = new Map(); // peerId -> peer from the last peer list
+    this.peerConnections = new Map();
+    this.datachannels = new Map();
+    this.pendingCandidates = new Map(); // peerId -> ICE candidates received before the remote description
+    this.heartbeat = null;
+    this.closing = false;
+  }
+
+  /**
+   * Connect and register; resolves once the server confirmed the registration
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      const url = new URL(this.options.url);
+      if (this.options.accessToken) {
+        url.searchParams.set('token', this.options.accessToken);
+      }
+
+      const timeout = setTimeout(() => {
+        reject(new ClientError('The server did not confirm the registration', 'unavailable'));
+        this.close();
+      }, REGISTER_TIMEOUT);
+
+      const socket = new WebSocket(url);
+      this.socket = socket;
+
+      socket.on('unexpected-response', (req, res) => {
+        clearTimeout(timeout);
+        const code = res.statusCode === 401 || res.statusCode === 403 ? 'unauthorized' : 'unavailable';
+        reject(new ClientError(`The server refused the connection (HTTP ${res.statusCode})`, code));
+        socket.terminate();
+      });
+
+      socket.on('error', (error) => {
+        clearTimeout(timeout);
+        reject(new ClientError(`Could not connect to ${this.options.url}: ${error.message}`, 'unavailable'));
+      });
+
+      socket.on('message', (data, isBinary) => {
+        // Relay frames are not used; peers without a direct connection cannot reach us
+        if (isBinary) return;
+
+        let message;
+        try {
+          message = JSON.parse(data.toString());
+        } catch (error) {
+          return;
+        }
+        const validation = protocol.validateMessage(message, 'server');
+        if (!validation.valid) return;
+
+        if (message.type === 'registered') {
+          clearTimeout(timeout);
+          resolve();
+        } else if (message.type === 'error' && !this.registered) {
+          clearTimeout(timeout);
+          reject(new ClientError(message.error, message.code));
+        }
+        this.handleSignalingMessage(message);
+      });
+
+      socket.on('close', (code, reason) => {
+        clearTimeout(timeout);
+        clearInterval(this.heartbeat);
+        this.registered = false;
+        reject(new ClientError(`Connection closed (${code}${reason.length ? ` ${reason}` : ''})`, 'unavailable'));
+        if (!this.closing) {
+          this.emit('close', code);
+        }
+      });
+    });
+  }
+
+  handleSignalingMessage(message) {
+    switch (message.type) {
+      case 'welcome':
+        this.handleWelcome(message);
+        break;
+      case 'registered':
+        this.registered = true;
+        this.peerId = message.peerId || this.peerId;
+        this.heartbeat = setInterval(() => this.send({ type: 'heartbeat' }), HEARTBEAT_INTERVAL);
+        if (this.options.room) {
+          this.send({ type: 'room-join', code: this.options.room });
+        }
+        break;
+      case 'peer-list':
+        this.peers = new Map(message.peers
+          .filter(peer => peer.peerId !== this.peerId)
+          .map(peer => [peer.peerId, peer]));
+        this.emit('peers', Array.from(this.peers.values()));
+        break;
+      case 'room-joined':
+        this.emit('status', `Joined room ${message.code}`);
+        break;
+      case 'offer':
+        this.handleOffer(message);
+        break;
+      case 'answer':
+        this.handleAnswer(message);
+        break;
+      case 'ice-candidate':
+        this.handleIceCandidate(message);
+        break;
+      case 'error':
+        this.emit('status', message.error);
+        break;
+    }
+  }
+
+  handleWelcome(message) {
+    const { PROTOCOL_VERSION } = protocol;
+    if (!protocol.isSupportedVersion(PROTOCOL_VERSION, message.minProtocolVersion, message.protocolVersion)) {
+      this.emit('status', `This client speaks protocol version ${PROTOCOL_VERSION}, but the server requires ` +
+        `${message.minProtocolVersion}-${message.protocolVersion}`);
+      this.close();
+      return;
+    }
+
+    this.peerId = message.peerId;
+    this.send({
+      type: 'register',
+      protocolVersion: PROTOCOL_VERSION,
+      device: {
+        name: this.options.deviceName,
+        type: this.options.deviceType,
+        capabilities: ['file-transfer']
+      }
+    });
+  }
+
+  send(message) {
+    if (this.socket?.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Resolve with a listed peer `match` accepts, waiting up to `timeout` for it
+   * to come online. Of several, the latest to connect wins: the server keeps
+   * the session of a device whose connection dropped for a while, so a device
+   * that reconnected without resuming can be listed twice.
+   */
+  waitForPeer(match, timeout) {
+    return new Promise((resolve, reject) => {
+      const check = (peers) => {
+        const peer = peers.filter(match).sort((a, b) => (b.connectedAt || 0) - (a.connectedAt || 0))[0];
+        if (!peer) return;
+        clearTimeout(timer);
+        this.off('peers', check);
+        resolve(peer);
+      };
+      const timer = setTimeout(() => {
+        this.off('peers', check);
+        reject(new ClientError('Device not found', 'not-found'));
+      }, timeout);
+
+      this.on('peers', check);
+      check(Array.from(this.peers.values()));
+    });
+  }
+
+  /**
+   * The server's ICE servers, or werift's defaults when they cannot be fetched
+   */
+  async fetchIceServers() {
+    const url = new URL(this.options.url);
+    url.protocol = url.protocol === 'wss:' ? 'https:' : 'http:';
+    url.pathname = '/api/ice-config';
+    url.search = `?peerId=${encodeURIComponent(this.peerId)}`;
+
+    try {
+      const response = await fetch(url, {
+        headers: this.options.accessToken ? { Authorization: `Bearer ${this.options.accessToken}` } : {},
+        signal: AbortSignal.timeout(ICE_CONFIG_TIMEOUT)
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const { iceServers } = await response.json();
+      return Array.isArray(iceServers) ? iceServers : undefined;
+    } catch (error) {
+      this.emit('status', `Could not fetch the ICE configuration, using the defaults: ${error.message}`);
+      return undefined;
+    }
+  }
+
+  async createPeerConnection(peerId) {
+    const iceServers = await this.fetchIceServers();
+    const peerConnection = new RTCPeerConnection(iceServers ? { iceServers } : {});
+    this.peerConnections.set(peerId, peerConnection);
+
+    peerConnection.onicecandidate = (event) => {
+      if (event.candidate) {
+        this.send({ type: 'ice-candidate', targetPeerId: peerId, payload: event.candidate.toJSON() });
+      }
+    };
+
+    peerConnection.onconnectionstatechange = () => {
+      const state = peerConnection.connectionState;
+      if ((state === 'failed' || state === 'closed') && this.peerConnections.get(peerId) === peerConnection) {
+        this.closePeerConnection(peerId);
+      }
+    };
+
+    peerConnection.ondatachannel = (event) => {
+      this.setupDataChannel(peerId, event.channel);
+    };
+
+    return peerConnection;
+  }
+
+  setupDataChannel(peerId, dataChannel) {
+    this.datachannels.set(peerId, dataChannel);
+    const opened = () => this.emit('channel', peerId, dataChannel);
+    if (dataChannel.readyState === 'open') {
+      opened();
+    } else {
+      dataChannel.addEventListener('open', opened, { once: true });
+    }
+  }
+
+  /**
+   * Open a peer connection and resolve with its data channel once it is open
+   */
+  async connectToPeer(peerId) {
+    const peerConnection = await this.createPeerConnection(peerId);
+    const dataChannel = peerConnection.createDataChannel('file-transfer', { ordered: true });
+    this.setupDataChannel(peerId, dataChannel);
+
+    const opened = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        reject(new ClientError('Could not connect to the device', 'unavailable'));
+      }, CHANNEL_TIMEOUT);
+      dataChannel.addEventListener('open', () => {
+        clearTimeout(timer);
+        resolve(dataChannel);
+      }, { once: true });
+    });
+
+    const offer = await peerConnection.createOffer();
+    await peerConnection.setLocalDescription(offer);
+    this.send({ type: 'offer', targetPeerId: peerId, payload: { type: offer.type, sdp: offer.sdp } });
+
+    return opened;
+  }
+
+  async handleOffer(message) {
+    const { fromPeerId, payload } = message;
+    try {
+      this.closePeerConnection(fromPeerId);
+      const peerConnection = await this.createPeerConnection(fromPeerId);
+      await peerConnection.setRemoteDescription(payload);
+      await this.addPendingCandidates(fromPeerId, peerConnection);
+
+      const answer = await peerConnection.createAnswer();
+      await peerConnection.setLocalDescription(answer);
+      this.send({ type: 'answer', targetPeerId: fromPeerId, payload: { type: answer.type, sdp: answer.sdp } });
+    } catch (error) {
+      this.emit('status', `Could not answer ${this.describePeer(fromPeerId)}: ${error.message}`);
+    }
+  }
+
+  async handleAnswer(message) {
+    const peerConnection = this.peerConnections.get(message.fromPeerId);
+    if (!peerConnection) return;
+
+    try {
+      await peerConnection.setRemoteDescription(message.payload);
+      await this.addPendingCandidates(message.fromPeerId, peerConnection);
+    } catch (error) {
+      this.emit('status', `Could not connect to ${this.describePeer(message.fromPeerId)}: ${error.message}`);
+    }
+  }
+
+  async handleIceCandidate(message) {
+    const { fromPeerId, payload: candidate } = message;
+
+    // Candidates can overtake an offer while we fetch the ICE configuration for it
+    const peerConnection = this.peerConnections.get(fromPeerId);
+    if (!peerConnection || !peerConnection.remoteDescription) {
+      const pending = this.pendingCandidates.get(fromPeerId) || [];
+      pending.push(candidate);
+      this.pendingCandidates.set(fromPeerId, pending);
+      return;
+    }
+
+    try {
+      await peerConnection.addIceCandidate(candidate);
+    } catch (error) {
+      // werift skips candidates it cannot use, e.g. mDNS host names
+    }
+  }
+
+  async addPendingCandidates(peerId, peerConnection) {
+    const pending = this.pendingCandidates.get(peerId) || [];
+    this.pendingCandidates.delete(peerId);
+
+    for (const candidate of pending) {
+      try {
+        await peerConnection.addIceCandidate(candidate);
+      } catch (error) {
+        // See handleIceCandidate
+      }
+    }
+  }
+
+  /**
+   * Largest data channel message both ends of a peer connection accept, null when unknown
+   */
+  getMaxMessageSize(peerId) {
+    const sctp = this.peerConnections.get(peerId)?.sctpTransport;
+    if (!sctp) return null;
+    return Math.min(sctp.maxMessageSize, sctp.remoteMaxMessageSize || sctp.maxMessageSize);
+  }
+
+  describePeer(peerId) {
+    return this.peers.get(peerId)?.device?.name || peerId;
+  }
+
+  closePeerConnection(peerId) {
+    const peerConnection = this.peerConnections.get(peerId);
+    this.peerConnections.delete(peerId);
+    this.datachannels.delete(peerId);
+    this.pendingCandidates.delete(peerId);
+    if (peerConnection) {
+      peerConnection.close().catch(() => {});
+    }
+  }
+
+  close() {
+    this.closing = true;
+    clearInterval(this.heartbeat);
+    Array.from(this.peerConnections.keys()).forEach(peerId => this.closePeerConnection(peerId));
+    if (this.socket && this.socket.readyState !== WebSocket.CLOSED) {
+      this.socket.close(1000);
+    }
+  }
+}
+
+module.exports = { ShearPointClient, ClientError, discoverServer };
@@ -0,0 +1,752 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const protocol = require('../public/js/protocol');
+const hash = require('../public/js/hash');
+const { ClientError } = require('./client');
+
+/**
+ * File batches over a data channel, as the browser client sends and receives them
+ *
+ * Sender offers a batch of files and streams them once the receiver accepted;
+ * Receiver answers offers and writes the files into a directory. Both follow
+ * the batch protocol in protocol.js: chunk frames with per-chunk SHA-256,
+ * file hashes over the chunk digests, chunk-request for corrupted chunks and
+ * file-ack flow control. Interrupted batches are not resumed: a receiver
+ * answers file-resume with batch-cancel and the sender fails, so the command
+ * can simply be run again.
+ */
+
+// Same limits as the browser client (public/js/app.js)
+const BATCH_ACCEPT_TIMEOUT = 60000;
+const BATCH_RESULT_TIMEOUT = 2 * 60 * 1000;
+const MAX_CHUNK_RETRIES = 3;
+const DEFAULT_CHUNK_SIZE = 64 * 1024;
+const MIN_CHUNK_SIZE = 16 * 1024;
+const MAX_CHUNK_SIZE = 256 * 1024;
+const BUFFER_HIGH_WATERMARK = 8 * 1024 * 1024;
+const BUFFER_LOW_WATERMARK = 2 * 1024 * 1024;
+const RECEIVE_WINDOW = 16 * 1024 * 1024;
+const ACK_INTERVAL = 1024 * 1024;
+
+/**
+ * Chunk size that fits the largest message of a peer connection, frame header included
+ */
+function getChunkSize(maxMessageSize) {
+  if (!maxMessageSize) {
+    return DEFAULT_CHUNK_SIZE;
+  }
+  const available = Math.min(MAX_CHUNK_SIZE, maxMessageSize) - protocol.MAX_CHUNK_HEADER_SIZE;
+  return Math.max(MIN_CHUNK_SIZE, Math.floor(available / MIN_CHUNK_SIZE) * MIN_CHUNK_SIZE);
+}
+
+/**
+ * Resolve the files and folders given on the command line into a batch:
+ * files keep their name, folders are walked and sent with paths relative to
+ * their parent, empty folders included
+ */
+async function collectFiles(paths) {
+  const files = [];
+  const directories = [];
+
+  async function walk(absolute, relative) {
+    const stats = await fs.promises.stat(absolute);
+    if (stats.isFile()) {
+      files.push({ source: absolute, relativePath: relative, size: stats.size, lastModified: Math.round(stats.mtimeMs) });
+      return;
+    }
+    if (!stats.isDirectory()) return;
+
+    const entries = (await fs.promises.readdir(absolute)).sort();
+    if (entries.length === 0) {
+      directories.push(relative);
+    }
+    for (const name of entries) {
+      await walk(path.join(absolute, name), `${relative}/${name}`);
+    }
+  }
+
+  for (const input of paths) {
+    const absolute = path.resolve(input);
+    await walk(absolute, path.basename(absolute));
+  }
+  return { files, directories };
+}
+
+/**
+ * Calls `onMessage` with every validated JSON message and `onChunk` with every
+ * binary message of a data channel; returns a function that stops listening
+ */
+function listen(dataChannel, onMessage, onChunk) {
+  const handler = (event) => {
+    if (typeof event.data !== 'string') {
+      onChunk(event.data);
+      return;
+    }
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (error) {
+      return;
+    }
+    if (protocol.validateMessage(message, 'peer').valid) {
+      onMessage(message);
+    }
+  };
+  dataChannel.addEventListener('message', handler);
+  return () => dataChannel.removeEventListener('message', handler);
+}
+
+function sendMessage(dataChannel, message) {
+  if (dataChannel.readyState !== 'open') {
+    throw new ClientError('Connection lost', 'connection-lost');
+  }
+  dataChannel.send(JSON.stringify(message));
+}
+
+/**
+ * Sends one batch to a peer. Emits 'accepted' and 'progress' (batch); run()
+ * resolves with the batch once the receiver reported its result, each file
+ * with status 'done' or 'failed' and an error.
+ */
+class Sender extends EventEmitter {
+  constructor(dataChannel, { files, directories = [] }, options = {}) {
+    super();
+    this.dataChannel = dataChannel;
+    this.chunkSize = getChunkSize(options.maxMessageSize);
+    this.batch = {
+      id: `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      files: files.map((file, index) => ({
+        fileId: index,
+        name: path.basename(file.relativePath),
+        relativePath: protocol.sanitizeRelativePath(file.relativePath) || path.basename(file.relativePath),
+        size: file.size,
+        type: 'application/octet-stream',
+        lastModified: file.lastModified,
+        source: file.source,
+        transferred: 0,
+        status: 'pending'
+      })),
+      directories: directories.map(dir => protocol.sanitizeRelativePath(dir)).filter(Boolean),
+      totalSize: files.reduce((sum, file) => sum + file.size, 0),
+      transferred: 0,
+      startTime: Date.now()
+    };
+    this.waiters = {}; // accept, result and ack: { resolve, reject } of what run() waits for
+    this.closed = false;
+    this.cancelled = null; // Reason of a batch-cancel from the receiver
+  }
+
+  async run() {
+    const { batch, dataChannel } = this;
+    const stop = listen(dataChannel, message => this.handleMessage(message), () => {});
+    const onClose = () => {
+      this.closed = true;
+      Object.values(this.waiters).forEach(waiter => waiter.reject(new ClientError('Connection lost', 'connection-lost')));
+    };
+    dataChannel.addEventListener('close', onClose);
+
+    try {
+      sendMessage(dataChannel, {
+        type: 'batch-offer',
+        batchId: batch.id,
+        files: batch.files.map(({ fileId, name, relativePath, size, type, lastModified }) => ({
+          fileId, name, relativePath, size, type, lastModified
+        })),
+        totalSize: batch.totalSize,
+        directories: batch.directories
+      });
+      await this.wait('accept', BATCH_ACCEPT_TIMEOUT, 'timed out');
+      this.emit('accepted', batch);
+
+      batch.startTime = Date.now();
+      for (const entry of batch.files) {
+        await this.sendFile(entry);
+      }
+
+      sendMessage(dataChannel, { type: 'batch-complete', batchId: batch.id });
+      const result = await this.wait('result', BATCH_RESULT_TIMEOUT, null);
+      for (const failure of result?.failed || []) {
+        const entry = batch.files[failure?.fileId];
+        if (entry) {
+          entry.status = 'failed';
+          entry.error = typeof failure.error === 'string' ? failure.error : 'not received';
+        }
+      }
+      return batch;
+    } finally {
+      stop();
+      dataChannel.removeEventListener('close', onClose);
+    }
+  }
+
+  /**
+   * Wait for the receiver's answer of a kind; resolves with `fallback` after
+   * `timeout` unless the fallback is an error message
+   */
+  wait(kind, timeout, fallback) {
+    return new Promise((resolve, reject) => {
+      if (this.cancelled || this.closed) {
+        reject(new ClientError(this.cancelled || 'Connection lost', this.cancelled ? 'cancelled' : 'connection-lost'));
+        return;
+      }
+      const timer = timeout && setTimeout(() => {
+        delete this.waiters[kind];
+        if (typeof fallback === 'string') {
+          reject(new ClientError(fallback, kind === 'accept' ? 'declined' : 'error'));
+        } else {
+          resolve(fallback);
+        }
+      }, timeout);
+      this.waiters[kind] = {
+        resolve: (value) => {
+          clearTimeout(timer);
+          delete this.waiters[kind];
+          resolve(value);
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          delete this.waiters[kind];
+          reject(error);
+        }
+      };
+    });
+  }
+
+  handleMessage(message) {
+    if (message.batchId !== this.batch.id) return;
+
+    switch (message.type) {
+      case 'batch-accept':
+        this.waiters.accept?.resolve();
+        break;
+      case 'batch-decline':
+        this.waiters.accept?.reject(new ClientError(message.reason === 'timeout' ? 'timed out' : 'declined', 'declined'));
+        break;
+      case 'batch-result':
+        this.waiters.result?.resolve(message);
+        break;
+      case 'batch-cancel':
+        this.cancelled = message.reason;
+        Object.values(this.waiters).forEach(waiter => waiter.reject(new ClientError(message.reason, 'cancelled')));
+        break;
+      case 'file-ack': {
+        const entry = this.batch.files[message.fileId];
+        if (entry) {
+          entry.ackedOffset = Math.max(entry.ackedOffset || 0, message.offset);
+          this.waiters.ack?.resolve();
+        }
+        break;
+      }
+      case 'chunk-request':
+        this.resendChunk(message).catch(() => {});
+        break;
+    }
+  }
+
+  /**
+   * Stream one file; a file that cannot be read is reported with file-error and skipped
+   */
+  async sendFile(entry) {
+    const { batch, dataChannel } = this;
+    let handle;
+    try {
+      handle = await fs.promises.open(entry.source, 'r');
+    } catch (error) {
+      this.failFile(entry, error.message);
+      return;
+    }
+
+    try {
+      sendMessage(dataChannel, { type: 'file-start', batchId: batch.id, fileId: entry.fileId });
+      entry.status = 'active';
+      entry.seq = 0;
+      entry.ackedOffset = 0;
+      const digests = [];
+      dataChannel.bufferedAmountLowThreshold = BUFFER_LOW_WATERMARK;
+
+      let offset = 0;
+      while (offset < entry.size) {
+        const buffer = Buffer.alloc(Math.min(this.chunkSize, entry.size - offset));
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, offset);
+        if (bytesRead === 0) {
+          throw new Error('file shrank while sending');
+        }
+        const data = buffer.subarray(0, bytesRead);
+        const digest = await hash.sha256(data);
+        digests.push(digest);
+
+        if (dataChannel.bufferedAmount > BUFFER_HIGH_WATERMARK) {
+          await this.waitForBufferedAmountLow();
+        }
+        while (offset - entry.ackedOffset >= RECEIVE_WINDOW) {
+          await this.wait('ack', 0, null);
+        }
+
+        this.sendChunk(entry, offset, data, digest);
+        offset += bytesRead;
+        entry.transferred = offset;
+        batch.transferred += bytesRead;
+        this.emit('progress', batch);
+      }
+
+      const fileHash = hash.toHex(await hash.sha256OfDigests(digests));
+      sendMessage(dataChannel, { type: 'file-complete', batchId: batch.id, fileId: entry.fileId, hash: fileHash });
+      entry.status = 'done';
+    } catch (error) {
+      if (error instanceof ClientError) throw error;
+      this.failFile(entry, error.message);
+      sendMessage(dataChannel, { type: 'file-error', batchId: batch.id, fileId: entry.fileId, error: error.message });
+    } finally {
+      await handle.close();
+    }
+  }
+
+  sendChunk(entry, offset, data, digest) {
+    if (this.cancelled) {
+      throw new ClientError(this.cancelled, 'cancelled');
+    }
+    if (this.dataChannel.readyState !== 'open') {
+      throw new ClientError('Connection lost', 'connection-lost');
+    }
+    this.dataChannel.send(Buffer.from(protocol.encodeChunkFrame({
+      batchId: this.batch.id,
+      fileId: entry.fileId,
+      seq: entry.seq++,
+      offset,
+      hash: digest
+    }, data)));
+  }
+
+  /**
+   * Send a chunk again after the receiver found it corrupted
+   */
+  async resendChunk({ fileId, offset, size }) {
+    const entry = this.batch.files[fileId];
+    if (!entry || !Number.isInteger(offset) || !Number.isInteger(size) || offset < 0 || size <= 0 ||
+        offset + size > entry.size) {
+      return;
+    }
+
+    const handle = await fs.promises.open(entry.source, 'r');
+    try {
+      const data = Buffer.alloc(size);
+      await handle.read(data, 0, size, offset);
+      this.sendChunk(entry, offset, data, await hash.sha256(data));
+    } finally {
+      await handle.close();
+    }
+  }
+
+  waitForBufferedAmountLow() {
+    return new Promise((resolve, reject) => {
+      const onLow = () => {
+        this.dataChannel.removeEventListener('close', onClose);
+        resolve();
+      };
+      const onClose = () => {
+        this.dataChannel.removeEventListener('bufferedamountlow', onLow);
+        reject(new ClientError('Connection lost', 'connection-lost'));
+      };
+      this.dataChannel.addEventListener('bufferedamountlow', onLow, { once: true });
+      this.dataChannel.addEventListener('close', onClose, { once: true });
+    });
+  }
+
+  failFile(entry, error) {
+    entry.status = 'failed';
+    entry.error = error;
+    // Skip the remaining bytes of this file in the overall progress
+    this.batch.transferred += entry.size - entry.transferred;
+    this.emit('progress', this.batch);
+  }
+}
+
+/**
+ * Receives batches and texts from any number of peers into `dir`.
+ * `accept(peerId, offer)` decides whether to take an offer (may return a
+ * promise). Emits 'batch-start', 'progress', 'file' (batch, entry) for every
+ * saved file, 'file-failed' (batch, entry), 'batch' (batch) when a batch
+ * ended, 'declined' (peerId, offer) and 'text' (peerId, text).
+ */
+class Receiver extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = { dir: process.cwd(), accept: () => true, ...options };
+    this.batches = new Map(); // batchId -> batch being received
+    this.expectedTexts = new Map(); // textId -> peerId of an accepted text-offer
+  }
+
+  /**
+   * Handle the messages of a peer's data channel from now on
+   */
+  attach(peerId, dataChannel) {
+    const stop = listen(
+      dataChannel,
+      message => this.handleMessage(peerId, dataChannel, message).catch(error => this.emit('error', error)),
+      data => this.handleChunk(peerId, data)
+    );
+    dataChannel.addEventListener('close', () => {
+      stop();
+      this.batches.forEach((batch) => {
+        if (batch.peerId === peerId) {
+          this.abandonBatch(batch, 'Connection lost');
+        }
+      });
+    }, { once: true });
+  }
+
+  async handleMessage(peerId, dataChannel, message) {
+    const batch = this.batches.get(message.batchId);
+    const ours = batch && batch.peerId === peerId;
+
+    switch (message.type) {
+      case 'batch-offer':
+        await this.handleBatchOffer(peerId, dataChannel, message);
+        break;
+      case 'file-start':
+        if (ours) await this.openFile(batch, batch.files[message.fileId]);
+        break;
+      case 'file-complete':
+        if (ours) this.handleFileComplete(batch, batch.files[message.fileId], message.hash);
+        break;
+      case 'file-error':
+        if (ours && batch.files[message.fileId]) this.failFile(batch, batch.files[message.fileId], message.error);
+        break;
+      case 'batch-complete':
+        if (ours) await this.completeBatch(batch);
+        break;
+      case 'file-resume':
+        sendMessage(dataChannel, {
+          type: 'batch-cancel',
+          batchId: message.batchId,
+          reason: 'The receiver no longer knows this transfer'
+        });
+        break;
+      case 'batch-cancel':
+        if (ours) this.abandonBatch(batch, message.reason);
+        break;
+      case 'text-offer':
+        if (message.length <= protocol.MAX_TEXT_LENGTH && await this.options.accept(peerId, message)) {
+          this.expectedTexts.set(message.textId, peerId);
+          sendMessage(dataChannel, { type: 'text-accept', textId: message.textId });
+        } else {
+          sendMessage(dataChannel, { type: 'text-decline', textId: message.textId, reason: 'declined' });
+        }
+        break;
+      case 'text':
+        if (this.expectedTexts.get(message.textId) === peerId) {
+          this.expectedTexts.delete(message.textId);
+          this.emit('text', peerId, message.text.slice(0, protocol.MAX_TEXT_LENGTH));
+        }
+        break;
+    }
+  }
+
+  async handleBatchOffer(peerId, dataChannel, message) {
+    if (!protocol.validateManifest(message.files).valid || this.batches.has(message.batchId)) {
+      return;
+    }
+    if (!await this.options.accept(peerId, message)) {
+      sendMessage(dataChannel, { type: 'batch-decline', batchId: message.batchId, reason: 'declined' });
+      this.emit('declined', peerId, message);
+      return;
+    }
+
+    const batch = {
+      id: message.batchId,
+      peerId,
+      dataChannel,
+      files: message.files.map(entry => ({
+        ...entry,
+        path: protocol.sanitizeRelativePath(entry.relativePath),
+        transferred: 0,
+        status: 'pending'
+      })),
+      totalSize: message.totalSize,
+      transferred: 0,
+      startTime: Date.now()
+    };
+    this.batches.set(batch.id, batch);
+
+    // Never write outside the target directory
+    batch.files
+      .filter(entry => !entry.path)
+      .forEach(entry => this.failFile(batch, entry, `unsafe path '${entry.relativePath}'`));
+
+    const directories = (message.directories || []).map(dir => protocol.sanitizeRelativePath(dir)).filter(Boolean);
+    for (const dir of directories) {
+      await fs.promises.mkdir(path.join(this.options.dir, ...dir.split('/')), { recursive: true });
+    }
+
+    sendMessage(dataChannel, { type: 'batch-accept', batchId: batch.id });
+    this.emit('batch-start', batch);
+  }
+
+  /**
+   * Start receiving a file into a `.part` file next to where it is saved. Its name
+   * is random and it must not exist yet, so files that were there before and other
+   * batches receiving the same path are never touched.
+   */
+  async openFile(batch, entry) {
+    if (!entry || entry.status !== 'pending') return;
+
+    entry.status = 'active';
+    entry.received = new Map(); // offset -> verified chunk that arrived ahead of a gap
+    entry.digests = new Map(); // offset -> SHA-256 of every verified chunk, for the file hash
+    entry.contiguousOffset = 0;
+    entry.writtenOffset = 0;
+    entry.ackedOffset = 0;
+    entry.verifying = new Set();
+    entry.retries = new Map();
+    entry.completion = null;
+    entry.settled = new Promise((resolve) => {
+      entry.settle = resolve;
+    });
+
+    entry.target = path.join(this.options.dir, ...entry.path.split('/'));
+    entry.partPath = null; // Set once we created it; only then is it ours to delete
+    const partPath = `${entry.target}.${crypto.randomBytes(6).toString('hex')}.part`;
+    entry.writes = fs.promises.mkdir(path.dirname(entry.target), { recursive: true })
+      .then(() => fs.promises.open(partPath, 'wx'))
+      .then((handle) => {
+        entry.handle = handle;
+        entry.partPath = partPath;
+      })
+      .catch(error => this.failFile(batch, entry, `could not save: ${error.message}`));
+  }
+
+  handleChunk(peerId, data) {
+    const frame = protocol.decodeChunkFrame(data);
+    const batch = frame && this.batches.get(frame.batchId);
+    const entry = batch?.peerId === peerId ? batch.files[frame.fileId] : null;
+    if (!entry || entry.status !== 'active') return;
+
+    const size = frame.data.byteLength;
+    if (size === 0 || frame.offset + size > entry.size || this.hasChunk(entry, frame.offset)) {
+      return;
+    }
+
+    const verification = this.verifyChunk(batch, entry, frame);
+    entry.verifying.add(verification);
+    verification.finally(() => entry.verifying.delete(verification));
+  }
+
+  hasChunk(entry, offset) {
+    return offset < entry.contiguousOffset || entry.received.has(offset);
+  }
+
+  async verifyChunk(batch, entry, frame) {
+    const digest = await hash.sha256(frame.data);
+    if (entry.status !== 'active' || this.hasChunk(entry, frame.offset)) return;
+
+    if (hash.toHex(digest) !== hash.toHex(frame.hash)) {
+      const attempts = (entry.retries.get(frame.offset) || 0) + 1;
+      if (attempts > MAX_CHUNK_RETRIES) {
+        this.failFile(batch, entry, `chunk at byte ${frame.offset} failed its integrity check ${MAX_CHUNK_RETRIES} times`);
+        return;
+      }
+      entry.retries.set(frame.offset, attempts);
+      sendMessage(batch.dataChannel, {
+        type: 'chunk-request',
+        batchId: batch.id,
+        fileId: entry.fileId,
+        offset: frame.offset,
+        size: frame.data.byteLength
+      });
+      return;
+    }
+
+    entry.received.set(frame.offset, Buffer.from(frame.data));
+    entry.digests.set(frame.offset, digest);
+    entry.retries.delete(frame.offset);
+    entry.transferred += frame.data.byteLength;
+    batch.transferred += frame.data.byteLength;
+    this.emit('progress', batch);
+
+    // Write everything that now follows on without a gap
+    let next;
+    while ((next = entry.received.get(entry.contiguousOffset))) {
+      entry.received.delete(entry.contiguousOffset);
+      entry.contiguousOffset += next.length;
+      this.writeChunk(batch, entry, next);
+    }
+
+    if (entry.completion && entry.retries.size === 0 && entry.contiguousOffset === entry.size) {
+      this.finishFile(batch, entry);
+    }
+  }
+
+  /**
+   * Queue a verified chunk for writing and confirm written bytes to the sender
+   */
+  writeChunk(batch, entry, data) {
+    entry.writes = entry.writes
+      .then(async () => {
+        if (entry.status === 'failed') return;
+        await entry.handle.write(data, 0, data.length, entry.writtenOffset);
+        entry.writtenOffset += data.length;
+
+        if (entry.writtenOffset - entry.ackedOffset >= ACK_INTERVAL || entry.writtenOffset === entry.size) {
+          entry.ackedOffset = entry.writtenOffset;
+          sendMessage(batch.dataChannel, {
+            type: 'file-ack',
+            batchId: batch.id,
+            fileId: entry.fileId,
+            offset: entry.writtenOffset
+          });
+        }
+      })
+      .catch((error) => {
+        if (!(error instanceof ClientError) && entry.status !== 'failed') {
+          this.failFile(batch, entry, `could not save: ${error.message}`);
+        }
+      });
+  }
+
+  handleFileComplete(batch, entry, fileHash) {
+    if (!entry || entry.status !== 'active' || entry.completion) return;
+
+    entry.completion = { hash: fileHash };
+    Promise.all(entry.verifying).then(() => {
+      if (entry.status === 'active' && entry.retries.size === 0) {
+        this.finishFile(batch, entry);
+      }
+    });
+  }
+
+  /**
+   * Verify a fully received file against the sender's hash, then move it into place
+   */
+  async finishFile(batch, entry) {
+    if (entry.status !== 'active') return;
+
+    if (entry.contiguousOffset !== entry.size) {
+      this.failFile(batch, entry, `received ${entry.transferred} of ${entry.size} bytes`);
+      return;
+    }
+
+    entry.status = 'verifying';
+    const offsets = Array.from(entry.digests.keys()).sort((a, b) => a - b);
+    const fileHash = hash.toHex(await hash.sha256OfDigests(offsets.map(offset => entry.digests.get(offset))));
+    if (entry.status !== 'verifying') return;
+
+    if (fileHash !== entry.completion.hash) {
+      this.failFile(
+        batch,
+        entry,
+        `integrity check failed (expected SHA-256 ${entry.completion.hash.slice(0, 16)}…, got ${fileHash.slice(0, 16)}…)`,
+        false
+      );
+      return;
+    }
+
+    entry.status = 'saving';
+    await entry.writes;
+    if (entry.status !== 'saving') return;
+
+    try {
+      await entry.handle.close();
+      entry.handle = null;
+      entry.savedAs = await this.reserveFreePath(entry.target);
+      await fs.promises.rename(entry.partPath, entry.savedAs).catch(async (error) => {
+        await fs.promises.unlink(entry.savedAs).catch(() => {});
+        throw error;
+      });
+      entry.partPath = null;
+      const modified = new Date(entry.lastModified);
+      await fs.promises.utimes(entry.savedAs, modified, modified).catch(() => {});
+    } catch (error) {
+      this.failFile(batch, entry, `could not save: ${error.message}`, false);
+      return;
+    }
+
+    entry.received = null;
+    entry.digests = null;
+    entry.status = 'done';
+    entry.settle();
+    this.emit('file', batch, entry);
+  }
+
+  /**
+   * Create `file.txt`, or `file (1).txt` and so on when that exists, like browser
+   * downloads. Creating it claims the name, so a file saved at the same time
+   * elsewhere cannot take it, and the rename only ever replaces our empty file.
+   */
+  async reserveFreePath(target) {
+    const { dir, name, ext } = path.parse(target);
+    for (let copy = 0; ; copy++) {
+      const candidate = copy === 0 ? target : path.join(dir, `${name} (${copy})${ext}`);
+      try {
+        await (await fs.promises.open(candidate, 'wx')).close();
+        return candidate;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+    }
+  }
+
+  /**
+   * Drop a file that could not be received and delete what was written of it
+   */
+  failFile(batch, entry, error, countRemaining = true) {
+    if (entry.status === 'failed' || entry.status === 'done') return;
+
+    entry.status = 'failed';
+    entry.error = error;
+    entry.received = null;
+    entry.digests = null;
+    if (countRemaining) {
+      batch.transferred += entry.size - entry.transferred;
+    }
+    if (entry.writes) {
+      entry.writes = entry.writes
+        .then(() => entry.handle && entry.handle.close())
+        .then(() => entry.partPath && fs.promises.unlink(entry.partPath))
+        .catch(() => {});
+    }
+    if (entry.settle) entry.settle();
+    this.emit('file-failed', batch, entry);
+  }
+
+  async completeBatch(batch) {
+    if (batch.completing) return;
+    batch.completing = true;
+
+    batch.files
+      .filter(entry => entry.status === 'pending' || (entry.status === 'active' && !entry.completion))
+      .forEach(entry => this.failFile(batch, entry, 'not sent'));
+
+    await Promise.all(batch.files.filter(entry => entry.settled).map(entry => entry.settled));
+    await Promise.all(batch.files.filter(entry => entry.writes).map(entry => entry.writes));
+
+    try {
+      sendMessage(batch.dataChannel, {
+        type: 'batch-result',
+        batchId: batch.id,
+        failed: batch.files
+          .filter(entry => entry.status === 'failed')
+          .map(entry => ({ fileId: entry.fileId, error: entry.error }))
+      });
+    } catch (error) {
+      // The sender falls back to its own view
+    }
+
+    this.batches.delete(batch.id);
+    this.emit('batch', batch);
+  }
+
+  /**
+   * Give up on a batch; files already saved stay saved
+   */
+  abandonBatch(batch, reason) {
+    batch.files
+      .filter(entry => ['pending', 'active', 'verifying', 'saving'].includes(entry.status))
+      .forEach(entry => this.failFile(batch, entry, reason));
+    this.batches.delete(batch.id);
+    this.emit('batch', batch);
+  }
+}
+
+module.exports = { Sender, Receiver, collectFiles, getChunkSize };
@@ -3,16 +3,207 @@
  * app.js - Main application logic with WebRTC, file transfer, and device discovery
  */
 
+// How long a sender waits for the receiver to accept a batch, and for its verdict at the end
+const BATCH_ACCEPT_TIMEOUT = 60000;
+const BATCH_RESULT_TIMEOUT = 2 * 60 * 1000;
+
+// A transfer request expires before the sender gives up, so a late Accept never goes unanswered
+const TRANSFER_REQUEST_TIMEOUT = BATCH_ACCEPT_TIMEOUT - 5000;
+const TRANSFER_REQUEST_PREVIEW = 5; // Files listed by name in a transfer request
+
+// How often a receiver asks again for a chunk that fails its hash check
+const MAX_CHUNK_RETRIES = 3;
+
+// Data channel flow control
+const DEFAULT_CHUNK_SIZE = 64 * 1024; // When the SCTP transport does not announce a limit
+const MIN_CHUNK_SIZE = 16 * 1024;
+const MAX_CHUNK_SIZE = 256 * 1024; // Largest message all browsers accept, chunk frame header included
+const BUFFER_HIGH_WATERMARK = 8 * 1024 * 1024; // Stop queueing chunks above this many buffered bytes
+const BUFFER_LOW_WATERMARK = 2 * 1024 * 1024; // Resume once the buffer drained below this
+
+// Receiver flow control: the sender never runs more than RECEIVE_WINDOW bytes ahead of what the
+// receiver has written, so a slow disk cannot make received chunks pile up in memory
+const RECEIVE_WINDOW = 16 * 1024 * 1024;
+const ACK_INTERVAL = 1024 * 1024; // Receiver confirms written bytes (file-ack) at least this often
+const MEMORY_FLUSH_SIZE = 16 * 1024 * 1024; // In-memory fallback folds chunks into a Blob this often
+const MAX_MEMORY_ZIP_SIZE = 512 * 1024 * 1024; // Larger folders are saved file by file when a ZIP cannot be streamed
+const SERVICE_WORKER_KEEPALIVE = 10000; // Keeps the worker feeding a streamed download alive
+
+// Resuming interrupted transfers
+const DISCONNECT_GRACE = 10000; // How long ICE may try to recover a 'disconnected' connection
+const RECONNECT_DELAY = 3000; // Delay between attempts of the sender to reconnect
+const RESUME_TIMEOUT = 5 * 60 * 1000; // Give up on an interrupted batch after this long
+
+// Signaling link: a heartbeat not answered in time means the socket is dead even if it looks open;
+// reconnects back off exponentially, with jitter so clients of a restarted server spread out
+const SIGNALING_HEARTBEAT_INTERVAL = 15000;
+const SIGNALING_HEARTBEAT_TIMEOUT = 10000;
+const SIGNALING_RECONNECT_MIN = 1000;
+const SIGNALING_RECONNECT_MAX = 30000;
+
+// How long to wait for the server's ICE configuration before falling back to the defaults
+const ICE_CONFIG_TIMEOUT = 5000;
+
+// Server relay, used when a direct connection fails
+const RELAY_REQUEST_TIMEOUT = 30000; // How long to wait for the other peer to agree to the relay
+const RELAY_DRAIN_POLL = 50; // WebSockets have no bufferedamountlow event, so the relay polls
+
+// The DTLS certificate is kept so our fingerprint stays the same for devices that verified it
+const CERTIFICATE_LIFETIME = 365 * 24 * 60 * 60 * 1000;
+const CERTIFICATE_RENEWAL = 7 * 24 * 60 * 60 * 1000; // Replace it this long before it expires
+
+// Progress updates are throttled to this interval (ms); throughput is sampled over THROUGHPUT_WINDOW
+const PROGRESS_INTERVAL = 100;
+const THROUGHPUT_WINDOW = 1000;
+
+/**
+ * Thrown when the data channel to a peer goes away in the middle of a transfer
+ */
+class ConnectionLostError extends Error {
+  constructor(message = 'Connection lost') {
+    super(message);
+    this.name = 'ConnectionLostError';
+  }
+}
+
+/**
+ * Stands in for the RTCDataChannel to a peer whose messages go through the
+ * signaling server's relay. Offers what the transfer code uses of a data
+ * channel (send, readyState, bufferedAmount and its bufferedamountlow event,
+ * close), so transfers work the same over either.
+ */
+class RelayChannel extends EventTarget {
+  constructor(app, peerId) {
+    super();
+    this.app = app;
+    this.peerId = peerId;
+    this.readyState = 'connecting';
+    this.binaryType = 'arraybuffer';
+    this.bufferedAmountLowThreshold = 0;
+    this.drainTimer = null;
+    this.onopen = null;
+    this.onmessage = null;
+    this.onerror = null;
+    this.onclose = null;
+  }
+
+  get bufferedAmount() {
+    return this.app.signalingServer?.bufferedAmount || 0;
+  }
+
+  send(data) {
+    if (this.readyState !== 'open') {
+      throw new Error('Relay is not open');
+    }
+
+    if (typeof data === 'string') {
+      this.app.sendSignalingMessage({ type: 'relay-data', targetPeerId: this.peerId, payload: data });
+    } else {
+      this.app.signalingServer.send(this.app.protocol.encodeRelayFrame(this.peerId, data));
+    }
+    this.watchBufferedAmount();
+  }
+
+  /**
+   * Fire bufferedamountlow once the socket drained below the threshold
+   */
+  watchBufferedAmount() {
+    if (this.drainTimer || this.bufferedAmount <= this.bufferedAmountLowThreshold) return;
+
+    this.drainTimer = setInterval(() => {
+      if (this.readyState === 'open' && this.bufferedAmount > this.bufferedAmountLowThreshold) return;
+
+      clearInterval(this.drainTimer);
+      this.drainTimer = null;
+      if (this.readyState === 'open') {
+        this.emit('bufferedamountlow');
+      }
+    }, RELAY_DRAIN_POLL);
+  }
+
+  open() {
+    this.readyState = 'open';
+    this.emit('open');
+  }
+
+  receive(data) {
+    if (this.readyState === 'open') {
+      this.emit('message', { data });
+    }
+  }
+
+  /**
+   * Close the relay from this side
+   */
+  close() {
+    if (this.readyState === 'closed') return;
+    this.app.sendSignalingMessage({ type: 'relay-close', targetPeerId: this.peerId });
+    this.closed();
+  }
+
+  /**
+   * The relay is gone: closed by either side, by the server, or with the signaling socket
+   */
+  closed() {
+    if (this.readyState === 'closed') return;
+    clearInterval(this.drainTimer);
+    this.drainTimer = null;
+    this.readyState = 'closed';
+    this.emit('close');
+  }
+
+  emit(type, properties = {}) {
+    const event = Object.assign(new Event(type), properties);
+    this.dispatchEvent(event);
+    if (this[`on${type}`]) {
+      this[`on${type}`](event);
+    }
+  }
+}
+
 class ShearPointApp {
   constructor() {
     this.peerConnections = new Map();
     this.datachannels = new Map();
     this.localStream = null;
     this.signalingServer = null;
-    this.userId = this.generateUserId();
+    this.protocol = window.ShearPointProtocol;
+    this.hash = window.ShearPointHash;
+    this.verify = window.ShearPointVerify;
+    this.peerId = null; // Assigned by the server in the welcome message
+    this.registered = false;
+    this.protocolError = null;
+    this.selectedPeerId = null;
     this.devices = new Map();
+    this.pairings = this.loadPairings();
+    this.roomCode = sessionStorage.getItem('roomCode');
     this.fileTransfers = new Map();
+    this.incomingOffers = new Map(); // batchId -> { peerId, message, timer } waiting for the user
+    this.autoAcceptPeers = new Set(); // Unpaired peers always accepted for this session
+    this.outgoingTexts = new Map(); // textId -> { peerId, resolve, reject } waiting for text-accept
+    this.expectedTexts = new Map(); // textId -> peerId of an accepted text-offer
+    this.receivedTexts = []; // { id, peerId, deviceName, text, receivedAt } shown until dismissed
+    this.pendingCandidates = new Map(); // peerId -> ICE candidates received before the remote description
+    this.fingerprints = new Map(); // peerId -> { local, remote } DTLS fingerprints of the connection
+    this.verifiedPeers = new Map(); // Unpaired peerId -> fingerprint verified for this session
+    this.pendingVerification = null; // { peerId, fingerprint } shown in the verify dialog
+    this.reconnectTimers = new Map();
+    this.signalingReconnectTimer = null;
+    this.signalingReconnectAttempts = 0; // Failed attempts since we were last registered
+    this.signalingHeartbeat = null; // { interval, timeout } while registered
+    this.lastSignalingMessageAt = 0;
+    this.relay = null; // { bandwidth, quota } when the server relays for peers without a direct connection
+    this.relayRequests = new Map(); // peerId -> timeout of a relay-request waiting for the other peer
+    this.relativePaths = new WeakMap(); // File -> path inside a dropped folder
+    this.downloadDirectory = null; // Directory handle received files are written to
+    this.serviceWorker = null; // Registration of sw.js, which streams received files into downloads
+    this.certificate = null; // Persistent DTLS certificate, see loadCertificate
+    this.identity = null; // Persistent { privateKey, publicKey } keypair, see loadIdentity
+    this.session = null; // { peerId, sessionToken } of the last registration, presented to resume it
+    this.sessionToken = null; // Token of the current connection, from its welcome
+    this.accessToken = this.loadAccessToken(); // Token of servers that require one, see requestAccessToken
     this.config = {
+      // Only used when the server's /api/ice-config cannot be reached
       iceServers: [
         { urls: ['stun:stun.l.google.com:19302'] },
         { urls: ['stun:stun1.l.google.com:19302'] },
@@ -21,14 +212,10 @@ class ShearPointApp {
     };
     
     this.initializeEventListeners();
+    this.certificateReady = this.loadCertificate();
+    this.identityReady = this.loadIdentity();
     this.setupSignalingConnection();
-  }
-
-  /**
-   * Generate a unique user ID
-   */
-  generateUserId() {
-    return `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    this.registerServiceWorker();
   }
 
   /**
@@ -44,15 +231,117 @@ class ShearPointApp {
     // Send file button
     const sendBtn = document.getElementById('sendFileBtn');
     if (sendBtn) {
-      sendBtn.addEventListener('click', () => this.sendFile());
+      sendBtn.addEventListener('click', () => this.sendFiles());
+    }
+
+    // Where received folders are saved
+    const downloadFolderBtn = document.getElementById('downloadFolderBtn');
+    if (downloadFolderBtn) {
+      downloadFolderBtn.hidden = typeof window.showDirectoryPicker !== 'function';
+      downloadFolderBtn.addEventListener('click', () => this.chooseDownloadDirectory());
+    }
+
+    // Incoming transfer requests
+    const transferRequests = document.getElementById('transferRequests');
+    if (transferRequests) {
+      transferRequests.addEventListener('click', (e) => this.handleTransferRequestClick(e));
+    }
+
+    // Text snippets
+    const sendTextBtn = document.getElementById('sendTextBtn');
+    const textDialog = document.getElementById('textDialog');
+    const textDialogInput = document.getElementById('textDialogInput');
+    if (sendTextBtn && textDialog && textDialogInput) {
+      sendTextBtn.addEventListener('click', () => {
+        textDialog.returnValue = '';
+        textDialog.showModal();
+      });
+      textDialog.addEventListener('close', () => {
+        if (textDialog.returnValue === 'send') {
+          this.sendText(textDialogInput.value);
+          textDialogInput.value = '';
+        }
+      });
+    }
+
+    const sendClipboardBtn = document.getElementById('sendClipboardBtn');
+    if (sendClipboardBtn) {
+      sendClipboardBtn.addEventListener('click', () => this.sendClipboard());
+    }
+
+    const receivedTexts = document.getElementById('receivedTexts');
+    if (receivedTexts) {
+      receivedTexts.addEventListener('click', (e) => this.handleReceivedTextClick(e));
+    }
+
+    // Peer verification
+    const verifyDialog = document.getElementById('verifyDialog');
+    if (verifyDialog) {
+      verifyDialog.addEventListener('close', () => this.handleVerifyDialogClose(verifyDialog.returnValue));
+    }
+
+    // Access token of the server
+    const accessDialog = document.getElementById('accessDialog');
+    const accessTokenInput = document.getElementById('accessTokenInput');
+    if (accessDialog && accessTokenInput) {
+      accessDialog.addEventListener('close', () => {
+        if (accessDialog.returnValue === 'connect' && accessTokenInput.value.trim()) {
+          this.setAccessToken(accessTokenInput.value.trim());
+          accessTokenInput.value = '';
+          this.setupSignalingConnection();
+        }
+      });
     }
 
+    // A device that wakes up or comes back online checks its signaling link right away
+    window.addEventListener('online', () => this.checkSignalingConnection());
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') {
+        this.checkSignalingConnection();
+      }
+    });
+
     // Device list
     const deviceList = document.getElementById('deviceList');
     if (deviceList) {
       deviceList.addEventListener('click', (e) => this.handleDeviceClick(e));
     }
 
+    // Device pairing
+    const pairDeviceBtn = document.getElementById('pairDeviceBtn');
+    if (pairDeviceBtn) {
+      pairDeviceBtn.addEventListener('click', () => this.togglePairingPanel());
+    }
+
+    const pairingJoinBtn = document.getElementById('pairingJoinBtn');
+    const pairingCodeInput = document.getElementById('pairingCodeInput');
+    if (pairingJoinBtn && pairingCodeInput) {
+      pairingJoinBtn.addEventListener('click', () => this.joinPairing(pairingCodeInput.value));
+      pairingCodeInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') this.joinPairing(pairingCodeInput.value);
+      });
+    }
+
+    // Rooms
+    const createRoomBtn = document.getElementById('createRoomBtn');
+    if (createRoomBtn) {
+      createRoomBtn.addEventListener('click', () => this.createRoom());
+    }
+
+    const joinRoomBtn = document.getElementById('joinRoomBtn');
+    const roomCodeInput = document.getElementById('roomCodeInput');
+    if (joinRoomBtn && roomCodeInput) {
+      joinRoomBtn.addEventListener('click', () => this.joinRoom(roomCodeInput.value));
+      roomCodeInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') this.joinRoom(roomCodeInput.value);
+      });
+    }
+
+    const leaveRoomBtn = document.getElementById('leaveRoomBtn');
+    if (leaveRoomBtn) {
+      leaveRoomBtn.addEventListener('click', () => this.leaveRoom());
+    }
+
     // Drag and drop
     const dropZone = document.getElementById('dropZone');
     if (dropZone) {
@@ -67,74 +356,400 @@ class ShearPointApp {
    * Setup WebSocket connection to signaling server
    */
   setupSignalingConnection() {
+    clearTimeout(this.signalingReconnectTimer);
+    this.signalingReconnectTimer = null;
+
     const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-    const signalingUrl = `${protocol}//${window.location.host}/signal`;
+    const signalingUrl = this.withAccessToken(`${protocol}//${window.location.host}/signal`);
+    let opened = false;
     
-    this.signalingServer = new WebSocket(signalingUrl);
+    const socket = new WebSocket(signalingUrl);
+    this.signalingServer = socket;
+    socket.binaryType = 'arraybuffer';
     
-    this.signalingServer.onopen = () => {
+    socket.onopen = () => {
+      opened = true;
       console.log('Connected to signaling server');
-      this.announcePresence();
-      this.startDeviceDiscovery();
     };
 
-    this.signalingServer.onmessage = (event) => {
+    socket.onmessage = (event) => {
+      this.lastSignalingMessageAt = Date.now();
+
+      // Binary messages are relay frames from peers without a direct connection
+      if (typeof event.data !== 'string') {
+        this.handleRelayFrame(event.data);
+        return;
+      }
       this.handleSignalingMessage(JSON.parse(event.data));
     };
 
-    this.signalingServer.onerror = (error) => {
+    socket.onerror = (error) => {
       console.error('Signaling connection error:', error);
       this.updateStatus('Connection error', 'error');
     };
 
-    this.signalingServer.onclose = () => {
-      console.log('Disconnected from signaling server');
-      this.updateStatus('Disconnected', 'warning');
-      // Attempt to reconnect after 3 seconds
-      setTimeout(() => this.setupSignalingConnection(), 3000);
+    socket.onclose = event => this.handleSignalingClose(event, opened);
+  }
+
+  /**
+   * Clean up after the signaling socket closed and reconnect, unless that cannot help
+   */
+  async handleSignalingClose(event, opened) {
+    console.log('Disconnected from signaling server');
+    this.registered = false;
+    this.stopSignalingHeartbeat();
+    this.setConnectionIndicator(false);
+
+    // Relays run over this socket and end with it
+    this.datachannels.forEach((channel, peerId) => {
+      if (channel instanceof RelayChannel) {
+        this.datachannels.delete(peerId);
+        channel.closed();
+      }
+    });
+    this.relayRequests.forEach(timer => clearTimeout(timer));
+    this.relayRequests.clear();
+    this.renderDeviceList();
+
+    // Reconnecting cannot fix a protocol mismatch, only a page reload can
+    if (this.protocolError) {
+      return;
+    }
+
+    // Another connection took over our session; reconnecting would take it back and forth
+    const { CLOSE_CODES } = this.protocol;
+    if (event.code === CLOSE_CODES.SESSION_RESUMED) {
+      this.session = null;
+      this.updateStatus('Disconnected: this session continued on another connection', 'warning');
+      return;
+    }
+
+    // An admin removed this device; reload the page to join again
+    if (event.code === CLOSE_CODES.REMOVED) {
+      this.session = null;
+      this.updateStatus('Disconnected: this device was removed from the server', 'warning');
+      return;
+    }
+
+    // A server that rejects our token refuses the upgrade, so the socket never opens
+    if (!opened && await this.isAccessDenied()) {
+      this.requestAccessToken();
+      return;
+    }
+
+    const delay = this.scheduleSignalingReconnect();
+    const retry = `, reconnecting in ${Math.ceil(delay / 1000)}s`;
+
+    // The server disconnects clients that exceed its limits
+    if (event.code === CLOSE_CODES.TOO_MANY_CONNECTIONS) {
+      this.updateStatus(`Disconnected: too many connections from this address${retry}`, 'warning');
+    } else if (event.code === CLOSE_CODES.RATE_LIMITED) {
+      this.updateStatus(`Disconnected: too many messages${retry}`, 'warning');
+    } else {
+      this.updateStatus(`Disconnected${retry}`, 'warning');
+    }
+  }
+
+  /**
+   * Reconnect after an exponentially growing delay with jitter. Returns the delay.
+   */
+  scheduleSignalingReconnect() {
+    const ceiling = Math.min(SIGNALING_RECONNECT_MAX, SIGNALING_RECONNECT_MIN * 2 ** this.signalingReconnectAttempts);
+    const delay = ceiling / 2 + Math.random() * ceiling / 2;
+    this.signalingReconnectAttempts++;
+
+    clearTimeout(this.signalingReconnectTimer);
+    this.signalingReconnectTimer = setTimeout(() => this.setupSignalingConnection(), delay);
+    return delay;
+  }
+
+  /**
+   * Send heartbeats while registered; a heartbeat without any answer in time means the link is dead
+   */
+  startSignalingHeartbeat() {
+    this.stopSignalingHeartbeat();
+    this.signalingHeartbeat = {
+      interval: setInterval(() => this.sendSignalingHeartbeat(), SIGNALING_HEARTBEAT_INTERVAL),
+      timeout: null
     };
   }
 
+  stopSignalingHeartbeat() {
+    if (!this.signalingHeartbeat) return;
+    clearInterval(this.signalingHeartbeat.interval);
+    clearTimeout(this.signalingHeartbeat.timeout);
+    this.signalingHeartbeat = null;
+  }
+
+  sendSignalingHeartbeat() {
+    const heartbeat = this.signalingHeartbeat;
+    if (!heartbeat || heartbeat.timeout) return;
+
+    const socket = this.signalingServer;
+    const sentAt = Date.now();
+    this.sendSignalingMessage({ type: 'heartbeat' });
+    heartbeat.timeout = setTimeout(() => {
+      heartbeat.timeout = null;
+      if (this.lastSignalingMessageAt < sentAt && this.signalingServer === socket) {
+        this.dropSignalingConnection();
+      }
+    }, SIGNALING_HEARTBEAT_TIMEOUT);
+  }
+
+  /**
+   * Give up on a signaling socket that stopped answering. Closing a dead socket can take
+   * minutes to complete, so we stop listening to it and reconnect right away.
+   */
+  dropSignalingConnection() {
+    const socket = this.signalingServer;
+    if (!socket) return;
+
+    console.warn('Signaling server stopped answering, reconnecting');
+    socket.onopen = socket.onmessage = socket.onerror = socket.onclose = null;
+    socket.close();
+    this.signalingReconnectAttempts = 0;
+    this.handleSignalingClose({ code: 1006 }, true);
+  }
+
+  /**
+   * Check the signaling link now, e.g. after the device woke up: probe an open socket,
+   * reconnect a closed one without waiting for the backoff
+   */
+  checkSignalingConnection() {
+    const socket = this.signalingServer;
+    if (socket?.readyState === WebSocket.OPEN) {
+      if (this.registered) this.sendSignalingHeartbeat();
+    } else if (this.signalingReconnectTimer) {
+      this.signalingReconnectAttempts = 0;
+      this.setupSignalingConnection();
+    }
+  }
+
+  /**
+   * The stored access token. A `token` query parameter, as in links handed out
+   * by the server's operator, replaces it and is removed from the address bar.
+   */
+  loadAccessToken() {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('token');
+    if (token) {
+      params.delete('token');
+      const query = params.toString();
+      window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+      localStorage.setItem('accessToken', token);
+      return token;
+    }
+    return localStorage.getItem('accessToken');
+  }
+
+  setAccessToken(token) {
+    this.accessToken = token;
+    localStorage.setItem('accessToken', token);
+  }
+
+  /**
+   * Append the access token to a URL for requests that cannot carry headers
+   */
+  withAccessToken(url) {
+    if (!this.accessToken) return url;
+    return `${url}${url.includes('?') ? '&' : '?'}token=${encodeURIComponent(this.accessToken)}`;
+  }
+
+  /**
+   * Headers authorizing a fetch to the server
+   */
+  getAuthHeaders() {
+    return this.accessToken ? { Authorization: `Bearer ${this.accessToken}` } : {};
+  }
+
+  /**
+   * Whether the server rejects our access token (or requires one we lack)
+   */
+  async isAccessDenied() {
+    try {
+      const response = await fetch('/api/auth', { cache: 'no-store', headers: this.getAuthHeaders() });
+      return response.status === 401;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Ask the user for the server's access token; connecting resumes once it is entered
+   */
+  requestAccessToken() {
+    this.updateStatus(this.accessToken ? 'Access token rejected' : 'Access token required', 'error');
+    const dialog = document.getElementById('accessDialog');
+    if (dialog && !dialog.open) {
+      dialog.returnValue = '';
+      dialog.showModal();
+    }
+  }
+
+  /**
+   * Register the service worker that streams received files into downloads.
+   * Service workers only exist in secure contexts (HTTPS or localhost).
+   */
+  async registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    try {
+      await navigator.serviceWorker.register('sw.js');
+      this.serviceWorker = await navigator.serviceWorker.ready;
+    } catch (error) {
+      console.warn('Streaming downloads unavailable:', error);
+    }
+  }
+
   /**
-   * Announce presence to other peers
+   * Handle the server welcome and register with the negotiated protocol version,
+   * asking to resume the session of our previous connection
    */
-  announcePresence() {
+  async handleWelcome(message) {
+    const { PROTOCOL_VERSION } = this.protocol;
+
+    if (!this.protocol.isSupportedVersion(PROTOCOL_VERSION, message.minProtocolVersion, message.protocolVersion)) {
+      this.failProtocol(
+        `This page speaks protocol version ${PROTOCOL_VERSION}, but the server requires ` +
+        `${message.minProtocolVersion}-${message.protocolVersion}. Please reload the page.`
+      );
+      return;
+    }
+
+    // Until the server confirms a resumed session we are the peer it just welcomed
+    if (!this.session) {
+      this.peerId = message.peerId;
+    }
+    this.sessionToken = message.sessionToken || null;
+    const identity = message.challenge ? await this.signChallenge(message.challenge) : null;
+
     this.sendSignalingMessage({
-      type: 'announce',
-      userId: this.userId,
-      deviceName: this.getDeviceName(),
-      timestamp: Date.now()
+      type: 'register',
+      protocolVersion: PROTOCOL_VERSION,
+      device: {
+        name: this.getDeviceName(),
+        type: this.getDeviceType(),
+        capabilities: ['file-transfer']
+      },
+      pairings: this.pairings.map(pairing => pairing.secret),
+      identity,
+      resume: this.session
     });
   }
 
+  /**
+   * Handle the registration confirmation
+   */
+  handleRegistered(message) {
+    this.registered = true;
+    this.signalingReconnectAttempts = 0;
+    this.startSignalingHeartbeat();
+    this.peerId = message.peerId || this.peerId;
+    this.session = this.sessionToken ? { peerId: this.peerId, sessionToken: this.sessionToken } : null;
+    this.relay = message.relay || null;
+    this.setConnectionIndicator(true);
+    this.updateStatus(`${message.resumed ? 'Reconnected' : 'Connected'} as ${message.device.name}`, 'success');
+
+    // Forget pairings the server no longer knows, e.g. removed by the other device
+    if (Array.isArray(message.pairings)) {
+      const valid = new Set(message.pairings);
+      const stale = this.pairings.filter(pairing => !valid.has(pairing.pairingId));
+      if (stale.length > 0) {
+        this.pairings = this.pairings.filter(pairing => valid.has(pairing.pairingId));
+        this.savePairings();
+        this.renderDeviceList();
+      }
+    }
+
+    // Opened from a pairing QR code or a room link
+    const params = new URLSearchParams(window.location.search);
+    const pairCode = params.get('pair');
+    const roomCode = params.get('room');
+    if (pairCode || roomCode) {
+      params.delete('pair');
+      params.delete('room');
+      const query = params.toString();
+      window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+    }
+    if (pairCode) {
+      this.joinPairing(pairCode);
+    }
+
+    // Rejoin the room we were in before a reconnect
+    if (roomCode || this.roomCode) {
+      this.joinRoom(roomCode || this.roomCode);
+    }
+  }
+
+  /**
+   * Stop talking to a server whose protocol we cannot speak
+   */
+  failProtocol(error) {
+    this.protocolError = error;
+    this.updateStatus(error, 'error');
+    if (this.signalingServer) {
+      this.signalingServer.close();
+    }
+  }
+
   /**
    * Get device name
    */
   getDeviceName() {
-    return localStorage.getItem('deviceName') || `Device_${this.userId.slice(-4)}`;
+    return localStorage.getItem('deviceName') || `Device_${this.peerId.slice(-4)}`;
   }
 
   /**
-   * Start device discovery
+   * Guess the device type from the user agent
    */
-  startDeviceDiscovery() {
-    // Send periodic discovery beacon
-    setInterval(() => {
-      if (this.signalingServer && this.signalingServer.readyState === WebSocket.OPEN) {
-        this.sendSignalingMessage({
-          type: 'discover',
-          userId: this.userId,
-          timestamp: Date.now()
-        });
-      }
-    }, 5000);
+  getDeviceType() {
+    const ua = navigator.userAgent;
+    if (/iPad|Tablet/i.test(ua)) return 'Tablet';
+    if (/Mobi|Android|iPhone/i.test(ua)) return 'Mobile';
+    return 'Computer';
+  }
+
+  /**
+   * Ask the server for the current peer list
+   */
+  requestPeerList() {
+    if (this.registered) {
+      this.sendSignalingMessage({ type: 'peer-list-request' });
+    }
   }
 
   /**
    * Handle signaling messages from server
    */
   handleSignalingMessage(message) {
+    const validation = this.protocol.validateMessage(message, 'server');
+    if (!validation.valid) {
+      console.warn('Ignoring invalid signaling message:', validation.error);
+      return;
+    }
+
     switch (message.type) {
+      case 'welcome':
+        this.handleWelcome(message);
+        break;
+      case 'registered':
+        this.handleRegistered(message);
+        break;
+      case 'pair-code':
+        this.showPairingCode(message.code, message.expiresAt);
+        break;
+      case 'paired':
+        this.handlePaired(message);
+        break;
+      case 'unpaired':
+        this.handleUnpaired(message.pairingId);
+        break;
+      case 'room-joined':
+        this.handleRoomJoined(message);
+        break;
+      case 'room-left':
+        this.handleRoomLeft(message);
+        break;
       case 'peer-list':
         this.updatePeerList(message.peers);
         break;
@@ -147,53 +762,84 @@ class ShearPointApp {
       case 'ice-candidate':
         this.handleIceCandidate(message);
         break;
-      case 'peer-announced':
-        this.addDevice(message);
+      case 'relay-request':
+        this.handleRelayRequest(message.fromPeerId);
+        break;
+      case 'relay-open':
+        this.handleRelayOpen(message.peerId);
+        break;
+      case 'relay-data':
+        this.handleRelayData(message);
+        break;
+      case 'relay-close':
+        this.handleRelayClose(message);
         break;
-      case 'peer-disconnected':
-        this.removeDevice(message.userId);
+      case 'error':
+        if (message.code === this.protocol.ERROR_CODES.UNSUPPORTED_PROTOCOL_VERSION) {
+          this.failProtocol(message.error);
+        } else if (message.code === this.protocol.ERROR_CODES.ROOM_NOT_FOUND) {
+          this.setRoom(null);
+          this.updateStatus(message.error, 'error');
+        } else {
+          this.updateStatus(message.error, 'error');
+        }
         break;
-      default:
-        console.log('Unknown message type:', message.type);
     }
   }
 
   /**
-   * Update peer list
+   * Replace the discovered devices with the server's peer list
    */
   updatePeerList(peers) {
-    peers.forEach(peer => {
-      if (peer.userId !== this.userId && !this.devices.has(peer.userId)) {
-        this.addDevice(peer);
+    const peerIds = new Set(peers.map(peer => peer.peerId));
+
+    this.devices.forEach((device, peerId) => {
+      if (!peerIds.has(peerId)) {
+        this.removeDevice(peerId);
       }
     });
+
+    peers.forEach(peer => this.addDevice(peer));
+    this.renderDeviceList();
   }
 
   /**
    * Add device to discovered devices list
    */
-  addDevice(deviceInfo) {
-    const userId = deviceInfo.userId;
+  addDevice(peer) {
+    const peerId = peer.peerId;
     
-    if (userId === this.userId) return;
+    if (peerId === this.peerId) return;
     
-    this.devices.set(userId, {
-      userId,
-      deviceName: deviceInfo.deviceName || `Device_${userId.slice(-4)}`,
-      timestamp: deviceInfo.timestamp || Date.now(),
+    this.devices.set(peerId, {
+      peerId,
+      deviceName: peer.device?.name || `Device_${peerId.slice(-4)}`,
+      deviceType: peer.device?.type || 'Computer',
+      pairingId: peer.pairingId || null,
+      roomCode: peer.roomCode || null,
+      timestamp: peer.connectedAt || Date.now(),
       status: 'discovered'
     });
-    
-    this.renderDeviceList();
+
+    // Keep the remembered name of a paired device current
+    const pairing = peer.pairingId && this.pairings.find(p => p.pairingId === peer.pairingId);
+    if (pairing && peer.device?.name && pairing.deviceName !== peer.device.name) {
+      pairing.deviceName = peer.device.name;
+      pairing.deviceType = peer.device.type;
+      this.savePairings();
+    }
   }
 
   /**
    * Remove device from discovered devices list
    */
-  removeDevice(userId) {
-    this.devices.delete(userId);
-    if (this.peerConnections.has(userId)) {
-      this.closePeerConnection(userId);
+  removeDevice(peerId) {
+    this.devices.delete(peerId);
+    if (this.peerConnections.has(peerId)) {
+      this.closePeerConnection(peerId);
+    }
+    if (this.selectedPeerId === peerId) {
+      this.selectedPeerId = null;
     }
     this.renderDeviceList();
   }
@@ -207,92 +853,383 @@ class ShearPointApp {
 
     deviceList.innerHTML = '';
     
-    this.devices.forEach((device, userId) => {
+    this.devices.forEach((device, peerId) => {
+      const connected = this.peerConnections.has(peerId) || this.isRelayed(peerId);
       const item = document.createElement('div');
-      item.className = 'device-item';
-      item.setAttribute('data-user-id', userId);
-      
-      const statusClass = this.peerConnections.has(userId) ? 'connected' : 'discovered';
-      const statusText = this.peerConnections.has(userId) ? '● Connected' : '● Available';
+      item.className = `device-item${peerId === this.selectedPeerId ? ' active selected' : ''}`;
+      item.setAttribute('data-peer-id', peerId);
       
       item.innerHTML = `
-        <div class="device-info">
-          <div class="device-name">${this.escapeHtml(device.deviceName)}</div>
-          <div class="device-status ${statusClass}">${statusText}</div>
+        <div class="device-header">
+          <div class="device-icon">${this.getDeviceIcon(device.deviceType)}</div>
+          <div class="device-info">
+            <div class="device-name">${this.escapeHtml(device.deviceName)}</div>
+            <div class="device-type">
+              ${this.escapeHtml(device.deviceType)}
+              ${device.pairingId ? '<span class="device-badge">Paired</span>' : ''}
+              ${this.isAutoAccepted(peerId) ? '<span class="device-badge">Auto-accept</span>' : ''}
+              ${this.renderVerificationBadge(this.getVerification(peerId))}
+              ${this.isRelayed(peerId) ? '<span class="device-badge warning">Relayed</span>' : ''}
+              ${device.roomCode ? `<span class="device-badge">Room ${this.escapeHtml(device.roomCode)}</span>` : ''}
+            </div>
+          </div>
+          <div class="device-status">
+            <div class="status-dot online"></div>
+            <span>${connected ? 'Connected' : 'Online'}</span>
+          </div>
+        </div>
+        <div class="device-actions">
+          <button class="btn btn-small btn-secondary device-action" onclick="app.toggleConnection('${peerId}')">
+            ${connected ? 'Disconnect' : 'Connect'}
+          </button>
+          ${this.fingerprints.has(peerId) ? `<button class="btn btn-small btn-secondary device-action" onclick="app.verifyDevice('${peerId}')">Verify</button>` : ''}
+          ${this.isAutoAccepted(peerId) ? `<button class="btn btn-small btn-secondary device-action" onclick="app.setAutoAccept('${peerId}', false)">Ask First</button>` : ''}
+          ${device.pairingId ? `<button class="btn btn-small btn-danger device-action" onclick="app.unpairDevice('${device.pairingId}')">Unpair</button>` : ''}
         </div>
-        <button class="device-action" onclick="app.toggleConnection('${userId}')">
-          ${this.peerConnections.has(userId) ? 'Disconnect' : 'Connect'}
-        </button>
       `;
       
       deviceList.appendChild(item);
     });
 
-    if (this.devices.size === 0) {
-      deviceList.innerHTML = '<div class="no-devices">No devices discovered yet</div>';
+    // Paired devices stay listed while they are offline
+    const onlinePairings = new Set(Array.from(this.devices.values()).map(device => device.pairingId));
+    const offlinePairings = this.pairings.filter(pairing => !onlinePairings.has(pairing.pairingId));
+    offlinePairings.forEach((pairing) => {
+      const item = document.createElement('div');
+      item.className = 'device-item offline';
+      item.innerHTML = `
+        <div class="device-header">
+          <div class="device-icon">${this.getDeviceIcon(pairing.deviceType)}</div>
+          <div class="device-info">
+            <div class="device-name">${this.escapeHtml(pairing.deviceName)}</div>
+            <div class="device-type">
+              ${this.escapeHtml(pairing.deviceType || 'Computer')}
+              <span class="device-badge">Paired</span>
+              ${pairing.autoAccept ? '<span class="device-badge">Auto-accept</span>' : ''}
+              ${this.renderVerificationBadge(pairing.verifiedFingerprint ? 'verified' : null)}
+            </div>
+          </div>
+          <div class="device-status">
+            <div class="status-dot"></div>
+            <span>Offline</span>
+          </div>
+        </div>
+        <div class="device-actions">
+          <button class="btn btn-small btn-danger device-action" onclick="app.unpairDevice('${pairing.pairingId}')">Unpair</button>
+        </div>
+      `;
+      deviceList.appendChild(item);
+    });
+
+    if (this.devices.size === 0 && offlinePairings.length === 0) {
+      deviceList.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-icon">🔍</div>
+          <div class="empty-title">No devices found</div>
+          <p>Open ShearPoint on another device to see it here</p>
+        </div>
+      `;
     }
   }
 
   /**
-   * Toggle connection with a peer
+   * Load the pairings remembered by this browser
    */
-  async toggleConnection(userId) {
-    if (this.peerConnections.has(userId)) {
-      this.closePeerConnection(userId);
-    } else {
-      await this.initiatePeerConnection(userId);
+  loadPairings() {
+    try {
+      const pairings = JSON.parse(localStorage.getItem('pairings') || '[]');
+      return Array.isArray(pairings) ? pairings : [];
+    } catch (error) {
+      console.warn('Ignoring corrupt pairing storage:', error);
+      return [];
     }
   }
 
   /**
-   * Handle device click
+   * Persist the pairings of this browser
    */
-  handleDeviceClick(event) {
-    const deviceItem = event.target.closest('.device-item');
-    if (deviceItem && !event.target.classList.contains('device-action')) {
-      const userId = deviceItem.getAttribute('data-user-id');
-      this.toggleConnection(userId);
-    }
+  savePairings() {
+    localStorage.setItem('pairings', JSON.stringify(this.pairings));
   }
 
   /**
-   * Initiate peer connection
+   * Show or hide the pairing panel; opening it requests a fresh code
    */
-  async initiatePeerConnection(userId) {
-    try {
-      if (this.peerConnections.has(userId)) {
-        console.log('Connection already exists with', userId);
+  togglePairingPanel() {
+    const panel = document.getElementById('pairingPanel');
+    if (!panel) return;
+
+    const opening = !panel.classList.contains('active');
+    panel.classList.toggle('active', opening);
+
+    if (opening) {
+      if (!this.registered) {
+        this.updateStatus('Not connected to the signaling server', 'warning');
         return;
       }
+      this.sendSignalingMessage({ type: 'pair-create' });
+    }
+  }
 
-      const peerConnection = new RTCPeerConnection({ iceServers: this.config.iceServers });
-      this.peerConnections.set(userId, peerConnection);
-
-      // Setup event handlers
-      peerConnection.onicecandidate = (event) => {
-        if (event.candidate) {
-          this.sendSignalingMessage({
-            type: 'ice-candidate',
-            candidate: event.candidate,
-            fromUserId: this.userId,
-            toUserId: userId
-          });
-        }
-      };
+  /**
+   * Display the pairing code and its QR code
+   */
+  showPairingCode(code, expiresAt) {
+    const codeElement = document.getElementById('pairingCode');
+    const qrElement = document.getElementById('pairingQr');
+    const expiryElement = document.getElementById('pairingExpiry');
 
-      peerConnection.onconnectionstatechange = () => {
-        this.handleConnectionStateChange(userId, peerConnection);
+    if (codeElement) {
+      codeElement.textContent = code;
+    }
+    if (qrElement) {
+      qrElement.src = this.withAccessToken(`/api/pairing/qr/${encodeURIComponent(code)}`);
+    }
+    if (expiryElement) {
+      expiryElement.textContent = `Valid until ${new Date(expiresAt).toLocaleTimeString()}`;
+    }
+  }
+
+  /**
+   * Redeem a pairing code shown on another device
+   */
+  joinPairing(code) {
+    const trimmed = String(code || '').replace(/\s+/g, '');
+    if (!/^\d{4,10}$/.test(trimmed)) {
+      this.updateStatus('Enter the numeric code shown on the other device', 'warning');
+      return;
+    }
+    if (!this.registered) {
+      this.updateStatus('Not connected to the signaling server', 'warning');
+      return;
+    }
+    this.sendSignalingMessage({ type: 'pair-join', code: trimmed });
+  }
+
+  /**
+   * Remember a new pairing
+   */
+  handlePaired(message) {
+    const { pairingId, secret, peer } = message;
+
+    this.pairings = this.pairings.filter(pairing => pairing.pairingId !== pairingId);
+    this.pairings.push({
+      pairingId,
+      secret,
+      deviceName: peer.device?.name || `Device_${peer.peerId.slice(-4)}`,
+      deviceType: peer.device?.type || 'Computer',
+      pairedAt: new Date().toISOString()
+    });
+    this.savePairings();
+
+    const panel = document.getElementById('pairingPanel');
+    if (panel) {
+      panel.classList.remove('active');
+    }
+    const input = document.getElementById('pairingCodeInput');
+    if (input) {
+      input.value = '';
+    }
+
+    this.updateStatus(`Paired with ${peer.device?.name || peer.peerId}`, 'success');
+    this.renderDeviceList();
+  }
+
+  /**
+   * Unpair a device. The server forgets the pairing and tells the other device.
+   */
+  unpairDevice(pairingId) {
+    const pairing = this.pairings.find(p => p.pairingId === pairingId);
+    if (!pairing || !confirm(`Unpair ${pairing.deviceName}?`)) {
+      return;
+    }
+
+    if (this.registered) {
+      this.sendSignalingMessage({ type: 'pair-remove', secret: pairing.secret });
+    } else {
+      this.handleUnpaired(pairingId);
+    }
+  }
+
+  /**
+   * Forget a pairing removed by either device
+   */
+  handleUnpaired(pairingId) {
+    const pairing = this.pairings.find(p => p.pairingId === pairingId);
+    this.pairings = this.pairings.filter(p => p.pairingId !== pairingId);
+    this.savePairings();
+
+    if (pairing) {
+      this.updateStatus(`Unpaired from ${pairing.deviceName}`, 'info');
+    }
+    this.renderDeviceList();
+  }
+
+  /**
+   * Create a temporary room and join it
+   */
+  createRoom() {
+    if (!this.registered) {
+      this.updateStatus('Not connected to the signaling server', 'warning');
+      return;
+    }
+    this.sendSignalingMessage({ type: 'room-create' });
+  }
+
+  /**
+   * Join a room by its code
+   */
+  joinRoom(code) {
+    const normalized = String(code || '').trim().toUpperCase();
+    if (!normalized) {
+      this.updateStatus('Enter a room code', 'warning');
+      return;
+    }
+    if (!this.registered) {
+      this.updateStatus('Not connected to the signaling server', 'warning');
+      return;
+    }
+    this.sendSignalingMessage({ type: 'room-join', code: normalized });
+  }
+
+  /**
+   * Leave the current room
+   */
+  leaveRoom() {
+    if (this.registered && this.roomCode) {
+      this.sendSignalingMessage({ type: 'room-leave' });
+    } else {
+      this.setRoom(null);
+    }
+  }
+
+  /**
+   * Handle joining (or creating) a room
+   */
+  handleRoomJoined(message) {
+    const rejoined = message.code === this.roomCode;
+    this.setRoom(message.code, message.expiresAt);
+
+    const input = document.getElementById('roomCodeInput');
+    if (input) {
+      input.value = '';
+    }
+    if (!rejoined) {
+      this.updateStatus(`Joined room ${message.code}`, 'success');
+    }
+  }
+
+  /**
+   * Handle leaving a room, by request or because it expired
+   */
+  handleRoomLeft(message) {
+    if (message.code !== this.roomCode) return;
+
+    this.setRoom(null);
+    if (message.reason === 'expired') {
+      this.updateStatus(`Room ${message.code} expired`, 'warning');
+    } else {
+      this.updateStatus(`Left room ${message.code}`, 'info');
+    }
+  }
+
+  /**
+   * Remember the current room for reconnects and reflect it in the UI
+   */
+  setRoom(code, expiresAt = null) {
+    this.roomCode = code;
+    if (code) {
+      sessionStorage.setItem('roomCode', code);
+    } else {
+      sessionStorage.removeItem('roomCode');
+    }
+
+    const status = document.getElementById('roomStatus');
+    if (status) {
+      status.textContent = code
+        ? `Room ${code}${expiresAt ? ` · open until ${new Date(expiresAt).toLocaleTimeString()}` : ''}`
+        : 'Not in a room';
+    }
+
+    const leaveRoomBtn = document.getElementById('leaveRoomBtn');
+    if (leaveRoomBtn) {
+      leaveRoomBtn.hidden = !code;
+    }
+  }
+
+  /**
+   * Icon for a device type
+   */
+  getDeviceIcon(type) {
+    const icons = {
+      'Computer': '💻',
+      'Mobile': '📱',
+      'Tablet': '📱',
+      'Laptop': '💻'
+    };
+    return icons[type] || '📱';
+  }
+
+  /**
+   * Toggle connection with a peer
+   */
+  async toggleConnection(peerId) {
+    if (this.peerConnections.has(peerId) || this.isRelayed(peerId) || this.relayRequests.has(peerId)) {
+      this.closePeerConnection(peerId);
+    } else {
+      await this.initiatePeerConnection(peerId);
+    }
+  }
+
+  /**
+   * Handle device click
+   */
+  handleDeviceClick(event) {
+    const deviceItem = event.target.closest('.device-item');
+    if (deviceItem && !event.target.classList.contains('device-action')) {
+      this.selectedPeerId = deviceItem.getAttribute('data-peer-id');
+      this.renderDeviceList();
+    }
+  }
+
+  /**
+   * Initiate peer connection
+   */
+  async initiatePeerConnection(peerId) {
+    try {
+      const config = await this.getPeerConnectionConfig();
+      if (this.peerConnections.has(peerId)) {
+        console.log('Connection already exists with', peerId);
+        return;
+      }
+
+      const peerConnection = new RTCPeerConnection(config);
+      this.peerConnections.set(peerId, peerConnection);
+
+      // Setup event handlers
+      peerConnection.onicecandidate = (event) => {
+        if (event.candidate) {
+          this.sendSignalingMessage({
+            type: 'ice-candidate',
+            targetPeerId: peerId,
+            payload: event.candidate.toJSON()
+          });
+        }
+      };
+
+      peerConnection.onconnectionstatechange = () => {
+        this.handleConnectionStateChange(peerId, peerConnection);
       };
 
       peerConnection.ondatachannel = (event) => {
-        this.setupDataChannel(userId, event.channel);
+        this.setupDataChannel(peerId, event.channel);
       };
 
       // Create data channels
       const fileDataChannel = peerConnection.createDataChannel('file-transfer', {
         ordered: true
       });
-      this.setupDataChannel(userId, fileDataChannel);
+      this.setupDataChannel(peerId, fileDataChannel);
 
       // Create offer
       const offer = await peerConnection.createOffer();
@@ -300,12 +1237,11 @@ class ShearPointApp {
 
       this.sendSignalingMessage({
         type: 'offer',
-        offer: offer,
-        fromUserId: this.userId,
-        toUserId: userId
+        targetPeerId: peerId,
+        payload: { type: offer.type, sdp: offer.sdp }
       });
 
-      this.updateStatus(`Initiating connection with ${this.devices.get(userId)?.deviceName || userId}`, 'info');
+      this.updateStatus(`Initiating connection with ${this.devices.get(peerId)?.deviceName || peerId}`, 'info');
     } catch (error) {
       console.error('Error initiating peer connection:', error);
       this.updateStatus('Connection error', 'error');
@@ -316,429 +1252,2634 @@ class ShearPointApp {
    * Handle offer from peer
    */
   async handleOffer(message) {
-    const { fromUserId, offer } = message;
+    const { fromPeerId, payload: offer } = message;
 
     try {
-      if (!this.peerConnections.has(fromUserId)) {
-        const peerConnection = new RTCPeerConnection({ iceServers: this.config.iceServers });
-        this.peerConnections.set(fromUserId, peerConnection);
+      // A peer reconnecting after a dropped connection starts over with a fresh offer
+      const existing = this.peerConnections.get(fromPeerId);
+      if (existing && ['disconnected', 'failed', 'closed'].includes(existing.connectionState)) {
+        this.closePeerConnection(fromPeerId);
+      }
+
+      const config = await this.getPeerConnectionConfig();
+      if (!this.peerConnections.has(fromPeerId)) {
+        const peerConnection = new RTCPeerConnection(config);
+        this.peerConnections.set(fromPeerId, peerConnection);
 
         peerConnection.onicecandidate = (event) => {
           if (event.candidate) {
             this.sendSignalingMessage({
               type: 'ice-candidate',
-              candidate: event.candidate,
-              fromUserId: this.userId,
-              toUserId: fromUserId
+              targetPeerId: fromPeerId,
+              payload: event.candidate.toJSON()
             });
           }
         };
 
         peerConnection.onconnectionstatechange = () => {
-          this.handleConnectionStateChange(fromUserId, peerConnection);
+          this.handleConnectionStateChange(fromPeerId, peerConnection);
         };
 
         peerConnection.ondatachannel = (event) => {
-          this.setupDataChannel(fromUserId, event.channel);
+          this.setupDataChannel(fromPeerId, event.channel);
         };
       }
 
-      const peerConnection = this.peerConnections.get(fromUserId);
-      await peerConnection.setRemoteDescription(new RTCSessionDescription(offer));
-
-      const answer = await peerConnection.createAnswer();
-      await peerConnection.setLocalDescription(answer);
+      const peerConnection = this.peerConnections.get(fromPeerId);
+      await peerConnection.setRemoteDescription(new RTCSessionDescription(offer));
+      await this.addPendingCandidates(fromPeerId, peerConnection);
+
+      const answer = await peerConnection.createAnswer();
+      await peerConnection.setLocalDescription(answer);
+
+      this.sendSignalingMessage({
+        type: 'answer',
+        targetPeerId: fromPeerId,
+        payload: { type: answer.type, sdp: answer.sdp }
+      });
+    } catch (error) {
+      console.error('Error handling offer:', error);
+    }
+  }
+
+  /**
+   * Handle answer from peer
+   */
+  async handleAnswer(message) {
+    const { fromPeerId, payload: answer } = message;
+
+    try {
+      const peerConnection = this.peerConnections.get(fromPeerId);
+      if (peerConnection) {
+        await peerConnection.setRemoteDescription(new RTCSessionDescription(answer));
+        await this.addPendingCandidates(fromPeerId, peerConnection);
+      }
+    } catch (error) {
+      console.error('Error handling answer:', error);
+    }
+  }
+
+  /**
+   * Handle ICE candidate
+   */
+  async handleIceCandidate(message) {
+    const { fromPeerId, payload: candidate } = message;
+
+    if (!candidate) return;
+
+    // Candidates can overtake an offer while we fetch the ICE configuration for it
+    const peerConnection = this.peerConnections.get(fromPeerId);
+    if (!peerConnection || !peerConnection.remoteDescription) {
+      const pending = this.pendingCandidates.get(fromPeerId) || [];
+      pending.push(candidate);
+      this.pendingCandidates.set(fromPeerId, pending);
+      return;
+    }
+
+    try {
+      await peerConnection.addIceCandidate(new RTCIceCandidate(candidate));
+    } catch (error) {
+      console.error('Error handling ICE candidate:', error);
+    }
+  }
+
+  /**
+   * Add the candidates that arrived before the remote description
+   */
+  async addPendingCandidates(peerId, peerConnection) {
+    const pending = this.pendingCandidates.get(peerId) || [];
+    this.pendingCandidates.delete(peerId);
+
+    for (const candidate of pending) {
+      try {
+        await peerConnection.addIceCandidate(new RTCIceCandidate(candidate));
+      } catch (error) {
+        console.error('Error handling ICE candidate:', error);
+      }
+    }
+  }
+
+  /**
+   * Fetch the ICE servers for a new peer connection. The server hands out
+   * short-lived TURN credentials, so this runs before every connection.
+   */
+  async fetchIceServers() {
+    try {
+      const query = this.peerId ? `?peerId=${encodeURIComponent(this.peerId)}` : '';
+      const response = await fetch(`/api/ice-config${query}`, {
+        cache: 'no-store',
+        headers: this.getAuthHeaders(),
+        signal: AbortSignal.timeout?.(ICE_CONFIG_TIMEOUT)
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const { iceServers } = await response.json();
+      if (!Array.isArray(iceServers)) {
+        throw new Error('No iceServers in the response');
+      }
+      return iceServers;
+    } catch (error) {
+      console.warn('Could not fetch the ICE configuration, using the default STUN servers:', error);
+      return this.config.iceServers;
+    }
+  }
+
+  /**
+   * ICE servers and, once loaded, our persistent certificate for a new peer connection
+   */
+  async getPeerConnectionConfig() {
+    const [iceServers] = await Promise.all([this.fetchIceServers(), this.certificateReady]);
+    const config = { iceServers };
+    if (this.certificate) {
+      config.certificates = [this.certificate];
+    }
+    return config;
+  }
+
+  /**
+   * Load the DTLS certificate of this browser from IndexedDB, creating it on first use.
+   * Without it every connection gets a fresh certificate and so a new fingerprint.
+   */
+  async loadCertificate() {
+    if (typeof RTCPeerConnection === 'undefined' || typeof RTCPeerConnection.generateCertificate !== 'function' ||
+        typeof indexedDB === 'undefined') {
+      return;
+    }
+
+    try {
+      const db = await this.openDatabase();
+      try {
+        let certificate = await this.requestToPromise(db.transaction('keys').objectStore('keys').get('dtls-certificate'));
+        if (!certificate || certificate.expires < Date.now() + CERTIFICATE_RENEWAL) {
+          certificate = await RTCPeerConnection.generateCertificate({
+            name: 'ECDSA',
+            namedCurve: 'P-256',
+            expires: CERTIFICATE_LIFETIME
+          });
+          await this.requestToPromise(db.transaction('keys', 'readwrite').objectStore('keys').put(certificate, 'dtls-certificate'));
+        }
+        this.certificate = certificate;
+      } finally {
+        db.close();
+      }
+    } catch (error) {
+      console.warn('Could not load the stored certificate, fingerprints change with every connection:', error);
+    }
+  }
+
+  /**
+   * Load the identity keypair of this browser from IndexedDB, creating it on first use.
+   * The private key cannot be exported, not even by this page. WebCrypto only exists in
+   * secure contexts; elsewhere we connect without an identity.
+   */
+  async loadIdentity() {
+    if (typeof crypto === 'undefined' || !crypto.subtle || typeof indexedDB === 'undefined') {
+      return;
+    }
+
+    try {
+      const db = await this.openDatabase();
+      try {
+        let identity = await this.requestToPromise(db.transaction('keys').objectStore('keys').get('identity'));
+        if (!identity) {
+          const keyPair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, false, ['sign', 'verify']);
+          const spki = await crypto.subtle.exportKey('spki', keyPair.publicKey);
+          identity = { privateKey: keyPair.privateKey, publicKey: this.toBase64(spki) };
+          await this.requestToPromise(db.transaction('keys', 'readwrite').objectStore('keys').put(identity, 'identity'));
+        }
+        this.identity = identity;
+      } finally {
+        db.close();
+      }
+    } catch (error) {
+      console.warn('Could not load the stored identity, connecting without one:', error);
+    }
+  }
+
+  /**
+   * Prove our identity by signing the server's challenge
+   */
+  async signChallenge(challenge) {
+    await this.identityReady;
+    if (!this.identity) return null;
+
+    try {
+      const signature = await crypto.subtle.sign(
+        { name: 'ECDSA', hash: 'SHA-256' },
+        this.identity.privateKey,
+        new TextEncoder().encode(challenge)
+      );
+      return { publicKey: this.identity.publicKey, signature: this.toBase64(signature) };
+    } catch (error) {
+      console.warn('Could not sign the identity challenge:', error);
+      return null;
+    }
+  }
+
+  toBase64(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+  }
+
+  /**
+   * Open the IndexedDB database of this browser. It holds values localStorage cannot, such as keys.
+   */
+  openDatabase() {
+    const request = indexedDB.open('shearpoint', 1);
+    request.onupgradeneeded = () => request.result.createObjectStore('keys');
+    return this.requestToPromise(request);
+  }
+
+  /**
+   * Settle with the result of an IndexedDB request
+   */
+  requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Remember the DTLS fingerprints of a new connection and warn if a verified device's changed
+   */
+  checkFingerprint(peerId, peerConnection) {
+    const local = this.verify.getFingerprint(peerConnection.localDescription?.sdp);
+    const remote = this.verify.getFingerprint(peerConnection.remoteDescription?.sdp);
+    if (!local || !remote) return;
+
+    this.fingerprints.set(peerId, { local, remote });
+    if (this.getVerification(peerId) === 'changed') {
+      const deviceName = this.devices.get(peerId)?.deviceName || peerId;
+      this.updateStatus(`The fingerprint of ${deviceName} changed since you verified it. Verify it again before sending anything sensitive.`, 'error');
+    }
+  }
+
+  /**
+   * 'verified', 'changed' when the current connection has another fingerprint, or null
+   */
+  getVerification(peerId) {
+    const pairing = this.getPairingOf(peerId);
+    const expected = pairing ? pairing.verifiedFingerprint : this.verifiedPeers.get(peerId);
+    if (!expected) return null;
+
+    const current = this.fingerprints.get(peerId)?.remote;
+    return !current || current === expected ? 'verified' : 'changed';
+  }
+
+  /**
+   * Badge for the verification state of a device
+   */
+  renderVerificationBadge(verification) {
+    if (verification === 'verified') {
+      return '<span class="device-badge verified">Verified</span>';
+    }
+    if (verification === 'changed') {
+      return '<span class="device-badge warning">Fingerprint changed</span>';
+    }
+    return '';
+  }
+
+  /**
+   * Show the safety code of a connection so both users can compare it
+   */
+  async verifyDevice(peerId) {
+    const fingerprints = this.fingerprints.get(peerId);
+    const dialog = document.getElementById('verifyDialog');
+    if (!fingerprints || !dialog) return;
+
+    const code = await this.verify.getSafetyCode(fingerprints.local, fingerprints.remote);
+    this.pendingVerification = { peerId, fingerprint: fingerprints.remote };
+
+    const deviceName = this.devices.get(peerId)?.deviceName || peerId;
+    document.getElementById('verifyDeviceName').textContent = deviceName;
+    document.getElementById('verifyEmoji').innerHTML = code.emoji.map(({ symbol, name }) => `
+      <div class="verify-emoji">
+        <span class="verify-emoji-symbol">${symbol}</span>
+        <span class="verify-emoji-name">${this.escapeHtml(name)}</span>
+      </div>
+    `).join('');
+    document.getElementById('verifyDigits').textContent = code.digits;
+
+    dialog.returnValue = '';
+    dialog.showModal();
+  }
+
+  /**
+   * Record the user's verdict on the safety code
+   */
+  handleVerifyDialogClose(verdict) {
+    const pending = this.pendingVerification;
+    this.pendingVerification = null;
+    if (!pending) return;
+
+    const deviceName = this.devices.get(pending.peerId)?.deviceName || pending.peerId;
+    if (verdict === 'match') {
+      this.setVerified(pending.peerId, pending.fingerprint);
+      this.updateStatus(`${deviceName} is verified`, 'success');
+    } else if (verdict === 'mismatch') {
+      this.closePeerConnection(pending.peerId);
+      this.updateStatus(`The safety codes did not match, disconnected from ${deviceName}. Someone may be intercepting the connection.`, 'error');
+    }
+  }
+
+  /**
+   * Mark a device as verified with the fingerprint the user confirmed. Paired devices remember
+   * this with their pairing; other peers only for as long as the page is open.
+   */
+  setVerified(peerId, fingerprint) {
+    const pairing = this.getPairingOf(peerId);
+    if (pairing) {
+      pairing.verifiedFingerprint = fingerprint;
+      this.savePairings();
+    } else {
+      this.verifiedPeers.set(peerId, fingerprint);
+    }
+    this.renderDeviceList();
+  }
+
+  /**
+   * Whether the messages of a peer go through the server relay
+   */
+  isRelayed(peerId) {
+    return this.datachannels.get(peerId) instanceof RelayChannel;
+  }
+
+  /**
+   * Fall back to the server relay after the direct connection to a peer failed
+   */
+  requestRelay(peerId) {
+    const deviceName = this.devices.get(peerId)?.deviceName || peerId;
+    if (!this.relay) {
+      this.updateStatus(`Could not connect to ${deviceName} directly, and this server does not relay`, 'error');
+      return;
+    }
+    if (!this.devices.has(peerId) || this.relayRequests.has(peerId) || this.isRelayed(peerId)) return;
+
+    this.relayRequests.set(peerId, setTimeout(() => {
+      this.relayRequests.delete(peerId);
+      this.updateStatus(`Could not connect to ${deviceName}, neither directly nor through the server`, 'error');
+      this.renderDeviceList();
+    }, RELAY_REQUEST_TIMEOUT));
+    this.sendSignalingMessage({ type: 'relay-request', targetPeerId: peerId });
+    this.updateStatus(`Could not connect to ${deviceName} directly, trying the server relay...`, 'warning');
+  }
+
+  /**
+   * The other peer's direct connection failed and it asks for the relay; agree to it
+   */
+  handleRelayRequest(peerId) {
+    if (!this.devices.has(peerId) || this.isRelayed(peerId)) return;
+
+    // Our side of the failed connection may not have noticed yet
+    if (this.peerConnections.has(peerId)) {
+      this.closePeerConnection(peerId);
+    }
+    this.requestRelay(peerId);
+  }
+
+  /**
+   * Both peers agreed: carry the peer's data channel messages over the relay from now on
+   */
+  handleRelayOpen(peerId) {
+    if (this.isRelayed(peerId)) return;
+
+    clearTimeout(this.relayRequests.get(peerId));
+    this.relayRequests.delete(peerId);
+    if (this.peerConnections.has(peerId)) {
+      this.closePeerConnection(peerId);
+    }
+
+    const channel = new RelayChannel(this, peerId);
+    this.setupDataChannel(peerId, channel);
+    channel.open();
+
+    const deviceName = this.devices.get(peerId)?.deviceName || peerId;
+    const limit = this.relay ? ` at up to ${this.formatFileSize(this.relay.bandwidth)}/s` : '';
+    this.updateStatus(`Connected to ${deviceName} through the server relay${limit}`, 'warning');
+    this.renderDeviceList();
+  }
+
+  /**
+   * A JSON data channel message from a relayed peer
+   */
+  handleRelayData(message) {
+    const channel = this.datachannels.get(message.fromPeerId);
+    if (channel instanceof RelayChannel) {
+      channel.receive(message.payload);
+    }
+  }
+
+  /**
+   * A binary data channel message from a relayed peer
+   */
+  handleRelayFrame(data) {
+    const frame = this.protocol.decodeRelayFrame(data);
+    const channel = frame && this.datachannels.get(frame.peerId);
+    if (channel instanceof RelayChannel) {
+      channel.receive(frame.data);
+    }
+  }
+
+  /**
+   * The server closed a relay, or refused to open one
+   */
+  handleRelayClose(message) {
+    const { peerId, reason } = message;
+    const channel = this.datachannels.get(peerId);
+    // Messages still in flight when a relay closed are answered with relay-close too
+    if (!this.relayRequests.has(peerId) && !(channel instanceof RelayChannel)) return;
+
+    clearTimeout(this.relayRequests.get(peerId));
+    this.relayRequests.delete(peerId);
+    if (channel instanceof RelayChannel) {
+      channel.closed();
+      this.datachannels.delete(peerId);
+    }
+
+    const deviceName = this.devices.get(peerId)?.deviceName || peerId;
+    const reasons = {
+      quota: `The relay to ${deviceName} used up its data quota`,
+      unavailable: `Could not connect to ${deviceName} directly, and this server does not relay`,
+      closed: `Relay to ${deviceName} closed`
+    };
+    if (reasons[reason]) {
+      this.updateStatus(reasons[reason], reason === 'closed' ? 'info' : 'error');
+    }
+    this.renderDeviceList();
+  }
+
+  /**
+   * Handle connection state change
+   */
+  handleConnectionStateChange(peerId, peerConnection) {
+    const state = peerConnection.connectionState;
+    const device = this.devices.get(peerId);
+
+    console.log(`Connection state with ${peerId}: ${state}`);
+
+    switch (state) {
+      case 'connected':
+        if (device) {
+          this.updateStatus(`Connected to ${device.deviceName}`, 'success');
+        }
+        this.checkFingerprint(peerId, peerConnection);
+        this.renderDeviceList();
+        break;
+      case 'disconnected':
+        // ICE often recovers on its own; only tear down if it does not
+        setTimeout(() => {
+          if (peerConnection.connectionState === 'disconnected' && this.peerConnections.get(peerId) === peerConnection) {
+            this.closePeerConnection(peerId);
+          }
+        }, DISCONNECT_GRACE);
+        break;
+      case 'closed':
+        if (this.peerConnections.get(peerId) === peerConnection) {
+          this.closePeerConnection(peerId);
+        }
+        break;
+      case 'failed':
+        if (this.peerConnections.get(peerId) === peerConnection) {
+          this.closePeerConnection(peerId);
+          this.requestRelay(peerId);
+        }
+        break;
+    }
+  }
+
+  /**
+   * Setup data channel
+   */
+  setupDataChannel(peerId, dataChannel) {
+    dataChannel.binaryType = 'arraybuffer';
+
+    dataChannel.onopen = () => {
+      console.log(`Data channel opened with ${peerId}`);
+      this.resumePeerTransfers(peerId);
+    };
+
+    dataChannel.onmessage = (event) => {
+      this.handleDataChannelMessage(peerId, event.data);
+    };
+
+    dataChannel.onerror = (error) => {
+      console.error(`Data channel error with ${peerId}:`, error);
+    };
+
+    dataChannel.onclose = () => {
+      console.log(`Data channel closed with ${peerId}`);
+      // Ignore old channels replaced by a reconnect
+      const current = this.datachannels.get(peerId);
+      if (!current || current === dataChannel) {
+        this.interruptPeerTransfers(peerId);
+      }
+    };
+
+    this.datachannels.set(peerId, dataChannel);
+  }
+
+  /**
+   * Handle data channel message
+   */
+  handleDataChannelMessage(peerId, data) {
+    try {
+      // Parse message based on type
+      if (data instanceof ArrayBuffer) {
+        // Binary file data
+        this.handleFileChunk(peerId, data);
+      } else if (typeof data === 'string') {
+        const message = JSON.parse(data);
+
+        const validation = this.protocol.validateMessage(message, 'peer');
+        if (!validation.valid) {
+          console.warn(`Ignoring invalid message from ${peerId}:`, validation.error);
+          return;
+        }
+
+        switch (message.type) {
+          case 'batch-offer':
+            this.handleBatchOffer(peerId, message);
+            break;
+          case 'batch-accept':
+            this.handleBatchAccept(peerId, message);
+            break;
+          case 'batch-decline':
+            this.handleBatchDecline(peerId, message);
+            break;
+          case 'file-start':
+            this.handleFileStart(peerId, message);
+            break;
+          case 'file-complete':
+            this.handleFileComplete(peerId, message);
+            break;
+          case 'file-error':
+            this.handleFileError(peerId, message);
+            break;
+          case 'batch-complete':
+            this.handleBatchComplete(peerId, message);
+            break;
+          case 'batch-cancel':
+            this.handleBatchCancel(peerId, message);
+            break;
+          case 'batch-result':
+            this.handleBatchResult(peerId, message);
+            break;
+          case 'chunk-request':
+            this.handleChunkRequest(peerId, message);
+            break;
+          case 'file-resume':
+            this.handleFileResume(peerId, message);
+            break;
+          case 'file-resume-ack':
+            this.handleFileResumeAck(peerId, message);
+            break;
+          case 'file-ack':
+            this.handleFileAck(peerId, message);
+            break;
+          case 'text-offer':
+            this.handleTextOffer(peerId, message);
+            break;
+          case 'text-accept':
+          case 'text-decline':
+            this.handleTextAnswer(peerId, message);
+            break;
+          case 'text':
+            this.handleText(peerId, message);
+            break;
+        }
+      }
+    } catch (error) {
+      console.error('Error handling data channel message:', error);
+    }
+  }
+
+  /**
+   * Send a JSON message to a peer over its data channel
+   */
+  sendPeerMessage(peerId, message) {
+    const dataChannel = this.datachannels.get(peerId);
+    if (!dataChannel || dataChannel.readyState !== 'open') {
+      throw new ConnectionLostError('Connection not ready');
+    }
+    dataChannel.send(JSON.stringify(message));
+  }
+
+  /**
+   * Handle file select
+   */
+  handleFileSelect(event) {
+    const files = event.target.files;
+    if (files.length > 0) {
+      const file = files[0];
+      this.displayFileInfo(file);
+    }
+  }
+
+  /**
+   * Handle drag and drop
+   */
+  handleDrop(event) {
+    const files = event.dataTransfer.files;
+    if (files.length > 0) {
+      const file = files[0];
+      this.displayFileInfo(file);
+      // Update file input
+      const fileInput = document.getElementById('fileInput');
+      if (fileInput) {
+        fileInput.files = files;
+      }
+    }
+  }
+
+  /**
+   * Display file info
+   */
+  displayFileInfo(file) {
+    const fileInfo = document.getElementById('fileInfo');
+    if (fileInfo) {
+      fileInfo.innerHTML = `
+        <div class="file-info-content">
+          <div class="file-name">${this.escapeHtml(file.name)}</div>
+          <div class="file-size">${this.formatFileSize(file.size)}</div>
+        </div>
+      `;
+    }
+  }
+
+  /**
+   * Read the files of a drop, walking into dropped folders. Empty folders are
+   * returned separately so they can be recreated on the other side.
+   */
+  async readDataTransfer(dataTransfer) {
+    // Entries must be taken synchronously, the DataTransfer is emptied once the event returns
+    const entries = Array.from(dataTransfer.items || [])
+      .filter(item => item.kind === 'file')
+      .map(item => (typeof item.webkitGetAsEntry === 'function' ? item.webkitGetAsEntry() : null));
+
+    if (entries.length === 0 || entries.some(entry => !entry)) {
+      return { files: Array.from(dataTransfer.files), directories: [] };
+    }
+
+    const files = [];
+    const directories = [];
+    for (const entry of entries) {
+      await this.readEntry(entry, files, directories);
+    }
+    return { files, directories };
+  }
+
+  /**
+   * Recursively collect the files below a FileSystemEntry
+   */
+  async readEntry(entry, files, directories) {
+    const path = entry.fullPath.replace(/^\/+/, '');
+
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      this.relativePaths.set(file, path);
+      files.push(file);
+      return;
+    }
+
+    const reader = entry.createReader();
+    let children = [];
+    let batch;
+    // readEntries returns at most 100 entries per call
+    do {
+      batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+      children = children.concat(batch);
+    } while (batch.length > 0);
+
+    if (children.length === 0) {
+      directories.push(path);
+    }
+    for (const child of children) {
+      await this.readEntry(child, files, directories);
+    }
+  }
+
+  /**
+   * Path of a file relative to the folder it was selected or dropped with
+   */
+  getRelativePath(file) {
+    return this.relativePaths.get(file) || file.webkitRelativePath || file.name;
+  }
+
+  /**
+   * Send files to the selected device as one batch. Defaults to the files in the file input.
+   */
+  async sendFiles(files = null, directories = []) {
+    const fileInput = document.getElementById('fileInput');
+    const batchFiles = Array.from(files || (fileInput ? fileInput.files : []));
+    if (batchFiles.length === 0 && directories.length === 0) {
+      this.updateStatus('Please select a file', 'warning');
+      return;
+    }
+
+    const selectedDevice = this.getSelectedDevice();
+
+    if (!selectedDevice) {
+      this.updateStatus('Please select a device to send to', 'warning');
+      return;
+    }
+
+    const dataChannel = this.datachannels.get(selectedDevice);
+    if (!dataChannel || dataChannel.readyState !== 'open') {
+      this.updateStatus('Connection not ready', 'error');
+      return;
+    }
+
+    await this.transferBatch(selectedDevice, batchFiles, directories);
+  }
+
+  /**
+   * Offer a batch of files to a peer and stream them one after another once accepted
+   */
+  async transferBatch(peerId, files, directories = []) {
+    const batchId = `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const manifest = files.map((file, index) => ({
+      fileId: index,
+      name: file.name,
+      relativePath: this.protocol.sanitizeRelativePath(this.getRelativePath(file)) || file.name,
+      size: file.size,
+      type: file.type || 'application/octet-stream',
+      lastModified: file.lastModified || Date.now()
+    }));
+
+    const batch = {
+      id: batchId,
+      direction: 'send',
+      peerId,
+      files: manifest.map(entry => ({ ...entry, transferred: 0, status: 'pending' })),
+      totalSize: manifest.reduce((sum, entry) => sum + entry.size, 0),
+      transferred: 0,
+      bytesMoved: 0, // Bytes actually sent or received, for throughput
+      currentFileId: null,
+      startTime: Date.now()
+    };
+    batch.accepted = new Promise((resolve, reject) => {
+      batch.resolveAccept = resolve;
+      batch.rejectAccept = reject;
+    });
+
+    batch.sourceFiles = files; // Kept to answer chunk-request until the receiver verified everything
+    this.fileTransfers.set(batchId, batch);
+    const deviceName = this.devices.get(peerId)?.deviceName || peerId;
+
+    try {
+      this.sendPeerMessage(peerId, {
+        type: 'batch-offer',
+        batchId,
+        files: manifest,
+        totalSize: batch.totalSize,
+        directories: directories.map(path => this.protocol.sanitizeRelativePath(path)).filter(Boolean)
+      });
+      this.updateStatus(`Waiting for ${deviceName} to accept ${files.length} file(s)...`, 'info');
+
+      const timeout = setTimeout(() => batch.rejectAccept(new Error('timed out')), BATCH_ACCEPT_TIMEOUT);
+      try {
+        await batch.accepted;
+      } finally {
+        clearTimeout(timeout);
+      }
+    } catch (error) {
+      this.updateStatus(`Could not send files to ${deviceName}: ${error.message}`, 'error');
+      this.fileTransfers.delete(batchId);
+      return;
+    }
+
+    batch.startTime = Date.now();
+    this.renderTransferProgress(batch);
+
+    // Walk the files by index: a resume handshake may move us back or forward
+    let index = 0;
+    let resumeOffset = null;
+    while (index <= batch.files.length && !batch.aborted) {
+      const entry = batch.files[index];
+      try {
+        if (!entry) {
+          this.sendPeerMessage(peerId, { type: 'batch-complete', batchId });
+          await this.waitForBatchResult(batch);
+          break;
+        }
+        await this.transferFile(peerId, batch, entry, files[index], resumeOffset);
+        entry.status = 'done';
+        index++;
+        resumeOffset = null;
+      } catch (error) {
+        if (!(error instanceof ConnectionLostError)) {
+          console.error(`Error transferring ${entry.name}:`, error);
+          entry.status = 'failed';
+          entry.error = error.message;
+          // Skip the remaining bytes of this file in the overall progress
+          batch.transferred += entry.size - entry.transferred;
+          this.updateStatus(`Failed to send ${entry.name}: ${error.message}`, 'error');
+          index++;
+          resumeOffset = null;
+
+          try {
+            this.sendPeerMessage(peerId, { type: 'file-error', batchId, fileId: entry.fileId, error: error.message });
+          } catch (sendError) {
+            // The connection dropped as well; the resume handshake below sorts it out
+          }
+          if (this.isDataChannelOpen(peerId)) {
+            this.renderTransferProgress(batch);
+            continue;
+          }
+        }
+
+        try {
+          const ack = await this.waitForResume(peerId, batch);
+          index = ack.fileId;
+          resumeOffset = ack.offset;
+          this.applyResumePosition(batch, ack.fileId, ack.offset);
+        } catch (resumeError) {
+          batch.aborted = resumeError.message;
+          this.updateStatus(`Transfer to ${deviceName} stopped: ${resumeError.message}`, 'error');
+        }
+      }
+      this.renderTransferProgress(batch);
+    }
+
+    if (batch.aborted) {
+      batch.files
+        .filter(entry => entry.status !== 'done' && entry.status !== 'failed')
+        .forEach((entry) => {
+          entry.status = 'failed';
+          entry.error = batch.aborted;
+        });
+    }
+
+    this.finishBatch(batch);
+
+    // Clear file input
+    const fileInput = document.getElementById('fileInput');
+    const fileInfo = document.getElementById('fileInfo');
+    if (fileInput) fileInput.value = '';
+    if (fileInfo) fileInfo.innerHTML = '';
+  }
+
+  /**
+   * Stream a single file of a batch to a peer, from the start or from a resume offset
+   */
+  async transferFile(peerId, batch, entry, file, resumeOffset = null) {
+    const dataChannel = this.datachannels.get(peerId);
+    if (!dataChannel || dataChannel.readyState !== 'open') {
+      throw new ConnectionLostError();
+    }
+
+    const chunkSize = this.getChunkSize(peerId);
+    let offset = resumeOffset || 0;
+    dataChannel.bufferedAmountLowThreshold = BUFFER_LOW_WATERMARK;
+
+    // A resumed file was already reopened on the receiver by the handshake
+    if (resumeOffset === null) {
+      this.sendPeerMessage(peerId, { type: 'file-start', batchId: batch.id, fileId: entry.fileId });
+      entry.seq = 0;
+      entry.chunkDigests = []; // { offset, size, digest } of every chunk sent
+      entry.ackedOffset = 0; // Bytes the receiver confirmed as written (file-ack)
+    }
+    batch.currentFileId = entry.fileId;
+    entry.status = 'active';
+    entry.transferred = offset;
+    this.renderTransferProgress(batch);
+
+    // Send file in chunks, pausing whenever the SCTP send buffer fills up
+    while (offset < file.size) {
+      const chunk = file.slice(offset, offset + chunkSize);
+      const arrayBuffer = await chunk.arrayBuffer();
+      const digest = await this.hash.sha256(arrayBuffer);
+      entry.chunkDigests.push({ offset, size: arrayBuffer.byteLength, digest });
+
+      if (dataChannel.bufferedAmount > BUFFER_HIGH_WATERMARK) {
+        await this.waitForBufferedAmountLow(dataChannel);
+      }
+      while (offset - entry.ackedOffset >= RECEIVE_WINDOW) {
+        await this.waitForFileAck(batch, dataChannel);
+      }
+
+      this.sendChunk(dataChannel, batch, entry, offset, arrayBuffer, digest);
+
+      offset += arrayBuffer.byteLength;
+      entry.transferred = offset;
+      batch.transferred += arrayBuffer.byteLength;
+      batch.bytesMoved += arrayBuffer.byteLength;
+      this.updateTransferProgress(batch);
+    }
+
+    // The file hash covers the chunk hashes in file order, so it can be built while streaming
+    const chunkDigests = entry.chunkDigests.slice().sort((a, b) => a.offset - b.offset).map(chunk => chunk.digest);
+    const fileHash = this.hash.toHex(await this.hash.sha256OfDigests(chunkDigests));
+    this.sendPeerMessage(peerId, { type: 'file-complete', batchId: batch.id, fileId: entry.fileId, hash: fileHash });
+    batch.currentFileId = null;
+  }
+
+  /**
+   * Send one chunk as a single binary frame carrying its batch, file, position and hash
+   */
+  sendChunk(dataChannel, batch, entry, offset, arrayBuffer, digest) {
+    if (dataChannel.readyState !== 'open') {
+      throw new ConnectionLostError();
+    }
+    dataChannel.send(this.protocol.encodeChunkFrame({
+      batchId: batch.id,
+      fileId: entry.fileId,
+      seq: entry.seq++,
+      offset,
+      hash: digest
+    }, arrayBuffer));
+  }
+
+  /**
+   * Send a chunk again after the receiver found it corrupted
+   */
+  async handleChunkRequest(peerId, message) {
+    const batch = this.fileTransfers.get(message.batchId);
+    const entry = batch?.direction === 'send' && batch.peerId === peerId ? batch.files[message.fileId] : null;
+    if (!entry) return;
+
+    const { offset, size } = message;
+    if (!Number.isInteger(offset) || !Number.isInteger(size) || offset < 0 || size <= 0 || offset + size > entry.size) {
+      return;
+    }
+
+    try {
+      const arrayBuffer = await batch.sourceFiles[entry.fileId].slice(offset, offset + size).arrayBuffer();
+      const digest = await this.hash.sha256(arrayBuffer);
+      this.sendChunk(this.datachannels.get(peerId), batch, entry, offset, arrayBuffer, digest);
+    } catch (error) {
+      console.error(`Could not resend chunk of ${entry.name} at ${offset}:`, error);
+    }
+  }
+
+  /**
+   * Wait for the receiver to report which files it saved after verifying them
+   */
+  waitForBatchResult(batch) {
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        console.warn(`No result for batch ${batch.id}, assuming it arrived`);
+        batch.resolveResult = null;
+        batch.rejectResult = null;
+        resolve();
+      }, BATCH_RESULT_TIMEOUT);
+
+      batch.resolveResult = () => {
+        clearTimeout(timeout);
+        batch.resolveResult = null;
+        batch.rejectResult = null;
+        resolve();
+      };
+      batch.rejectResult = (error) => {
+        clearTimeout(timeout);
+        batch.resolveResult = null;
+        batch.rejectResult = null;
+        reject(error);
+      };
+    });
+  }
+
+  /**
+   * Handle the receiver's verdict on a batch we sent
+   */
+  handleBatchResult(peerId, message) {
+    const batch = this.fileTransfers.get(message.batchId);
+    if (!batch || batch.direction !== 'send' || batch.peerId !== peerId) return;
+
+    for (const failure of message.failed) {
+      const entry = batch.files[failure?.fileId];
+      if (entry && entry.status !== 'failed') {
+        entry.status = 'failed';
+        entry.error = typeof failure.error === 'string' ? failure.error : 'not received';
+        this.updateStatus(`${entry.name} was not received: ${entry.error}`, 'error');
+      }
+    }
+
+    if (batch.resolveResult) {
+      batch.resolveResult();
+    }
+  }
+
+  /**
+   * Wait until the connection to a peer is back and the receiver told us where to continue
+   */
+  waitForResume(peerId, batch) {
+    const deviceName = this.devices.get(peerId)?.deviceName || peerId;
+    batch.interrupted = true;
+    this.updateStatus(`Connection to ${deviceName} lost, the transfer resumes when it is back`, 'warning');
+    this.renderTransferProgress(batch);
+    this.scheduleReconnect(peerId);
+
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        batch.resume = null;
+        reject(new Error('Connection lost'));
+      }, RESUME_TIMEOUT);
+
+      batch.resume = {
+        resolve: (ack) => {
+          clearTimeout(timeout);
+          batch.resume = null;
+          batch.interrupted = false;
+          resolve(ack);
+        },
+        reject: (error) => {
+          clearTimeout(timeout);
+          batch.resume = null;
+          reject(error);
+        }
+      };
+
+      // The connection may already be back
+      if (this.isDataChannelOpen(peerId)) {
+        this.requestResume(peerId, batch);
+      }
+    });
+  }
+
+  /**
+   * Ask the receiver where to continue an interrupted batch
+   */
+  requestResume(peerId, batch) {
+    try {
+      this.sendPeerMessage(peerId, { type: 'file-resume', batchId: batch.id });
+    } catch (error) {
+      // Retried when the next data channel opens
+    }
+  }
+
+  /**
+   * Continue the interrupted batches we were sending to a peer whose data channel (re)opened
+   */
+  resumePeerTransfers(peerId) {
+    this.fileTransfers.forEach((batch) => {
+      if (batch.direction === 'send' && batch.peerId === peerId && batch.resume) {
+        this.requestResume(peerId, batch);
+      }
+    });
+  }
+
+  /**
+   * Reconnect to a peer while a batch to it waits to resume
+   */
+  scheduleReconnect(peerId) {
+    if (this.reconnectTimers.has(peerId)) return;
+
+    const timer = setTimeout(async () => {
+      this.reconnectTimers.delete(peerId);
+
+      const waiting = Array.from(this.fileTransfers.values())
+        .some(batch => batch.direction === 'send' && batch.peerId === peerId && batch.resume);
+      if (!waiting || this.peerConnections.has(peerId) || this.isRelayed(peerId) || this.relayRequests.has(peerId)) return;
+
+      // The peer is not on the signaling server right now; try again later
+      if (!this.devices.has(peerId)) {
+        this.scheduleReconnect(peerId);
+        return;
+      }
+      await this.initiatePeerConnection(peerId);
+    }, RECONNECT_DELAY);
+
+    this.reconnectTimers.set(peerId, timer);
+  }
+
+  /**
+   * Move a batch to the position confirmed by the receiver
+   */
+  applyResumePosition(batch, fileId, offset) {
+    batch.files.forEach((entry) => {
+      if (entry.fileId < fileId) {
+        if (entry.status !== 'failed') entry.status = 'done';
+      } else if (entry.fileId === fileId) {
+        entry.status = 'active';
+        entry.transferred = offset;
+        // Chunks past the confirmed offset are sent again and hashed again
+        entry.chunkDigests = (entry.chunkDigests || []).filter(chunk => chunk.offset + chunk.size <= offset);
+        entry.seq = entry.seq || 0;
+        entry.ackedOffset = offset;
+      } else if (entry.status !== 'failed') {
+        entry.status = 'pending';
+        entry.transferred = 0;
+      }
+    });
+    batch.currentFileId = fileId < batch.files.length ? fileId : null;
+    this.recountTransferred(batch);
+
+    const entry = batch.files[fileId];
+    if (entry && offset > 0) {
+      this.updateStatus(`Resuming ${entry.name} at ${this.formatFileSize(offset)}`, 'info');
+    }
+  }
+
+  /**
+   * Recompute the overall progress of a batch from its files
+   */
+  recountTransferred(batch) {
+    batch.transferred = batch.files.reduce((sum, entry) => (
+      sum + (entry.status === 'done' || entry.status === 'failed' ? entry.size : entry.transferred)
+    ), 0);
+  }
+
+  /**
+   * Whether the data channel to a peer is open
+   */
+  isDataChannelOpen(peerId) {
+    return this.datachannels.get(peerId)?.readyState === 'open';
+  }
+
+  /**
+   * Chunk size for a peer, adapted to the message size its SCTP transport negotiated.
+   * Leaves room for the frame header and stays a multiple of MIN_CHUNK_SIZE.
+   */
+  getChunkSize(peerId) {
+    const maxMessageSize = this.peerConnections.get(peerId)?.sctp?.maxMessageSize;
+    if (!maxMessageSize) {
+      return DEFAULT_CHUNK_SIZE;
+    }
+    const available = Math.min(MAX_CHUNK_SIZE, maxMessageSize) - this.protocol.MAX_CHUNK_HEADER_SIZE;
+    return Math.max(MIN_CHUNK_SIZE, Math.floor(available / MIN_CHUNK_SIZE) * MIN_CHUNK_SIZE);
+  }
+
+  /**
+   * Resolve once the data channel buffer drained below its low threshold
+   */
+  waitForBufferedAmountLow(dataChannel) {
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        dataChannel.removeEventListener('bufferedamountlow', onLow);
+        dataChannel.removeEventListener('close', onClose);
+      };
+      const onLow = () => {
+        cleanup();
+        resolve();
+      };
+      const onClose = () => {
+        cleanup();
+        reject(new ConnectionLostError());
+      };
+
+      dataChannel.addEventListener('bufferedamountlow', onLow);
+      dataChannel.addEventListener('close', onClose);
+    });
+  }
+
+  /**
+   * Resolve once the receiver confirmed more written bytes of the file being sent
+   */
+  waitForFileAck(batch, dataChannel) {
+    return new Promise((resolve, reject) => {
+      if (dataChannel.readyState !== 'open') {
+        reject(new ConnectionLostError());
+        return;
+      }
+
+      const onClose = () => {
+        batch.ackWaiter = null;
+        reject(new ConnectionLostError());
+      };
+      batch.ackWaiter = () => {
+        batch.ackWaiter = null;
+        dataChannel.removeEventListener('close', onClose);
+        resolve();
+      };
+      dataChannel.addEventListener('close', onClose, { once: true });
+    });
+  }
+
+  /**
+   * Handle the receiver confirming how much of a file it has written
+   */
+  handleFileAck(peerId, message) {
+    const batch = this.fileTransfers.get(message.batchId);
+    const entry = batch?.direction === 'send' && batch.peerId === peerId ? batch.files[message.fileId] : null;
+    if (!entry) return;
+
+    entry.ackedOffset = Math.max(entry.ackedOffset || 0, message.offset);
+    if (batch.ackWaiter) {
+      batch.ackWaiter();
+    }
+  }
+
+  /**
+   * Handle the receiver accepting one of our batches
+   */
+  handleBatchAccept(peerId, message) {
+    const batch = this.fileTransfers.get(message.batchId);
+    if (batch && batch.direction === 'send' && batch.peerId === peerId) {
+      batch.resolveAccept();
+    }
+  }
+
+  /**
+   * Handle the receiver declining one of our batches, or letting the request expire
+   */
+  handleBatchDecline(peerId, message) {
+    const batch = this.fileTransfers.get(message.batchId);
+    if (batch && batch.direction === 'send' && batch.peerId === peerId) {
+      batch.rejectAccept(new Error(message.reason === 'timeout' ? 'timed out' : 'declined'));
+    }
+  }
+
+  /**
+   * Handle an incoming batch offer: ask the user first, unless the sender is always accepted
+   */
+  handleBatchOffer(peerId, message) {
+    const validation = this.protocol.validateManifest(message.files);
+    if (!validation.valid) {
+      console.warn(`Ignoring batch offer from ${peerId}:`, validation.error);
+      return;
+    }
+    if (this.fileTransfers.has(message.batchId) || this.incomingOffers.has(message.batchId)) {
+      return;
+    }
+
+    if (this.isAutoAccepted(peerId)) {
+      this.acceptBatchOffer(peerId, message);
+      return;
+    }
+
+    this.askToAccept('files', peerId, message.batchId, message);
+    const deviceName = this.devices.get(peerId)?.deviceName || peerId;
+    this.updateStatus(`${deviceName} wants to send you ${message.files.length} file(s)`, 'info');
+  }
+
+  /**
+   * Queue a transfer request for the user. `kind` is 'files' for a batch-offer
+   * and 'text' for a text-offer; both are answered the same way.
+   */
+  askToAccept(kind, peerId, offerId, message) {
+    this.incomingOffers.set(offerId, {
+      kind,
+      peerId,
+      message,
+      timer: setTimeout(() => this.declineTransferRequest(offerId, 'timeout'), TRANSFER_REQUEST_TIMEOUT)
+    });
+    this.renderTransferRequests();
+  }
+
+  /**
+   * Accept a transfer request the user answered
+   */
+  acceptTransferRequest(offerId, always = false) {
+    const offer = this.incomingOffers.get(offerId);
+    if (!offer) return;
+
+    clearTimeout(offer.timer);
+    this.incomingOffers.delete(offerId);
+    this.renderTransferRequests();
+
+    if (always) {
+      this.setAutoAccept(offer.peerId, true);
+    }
+    if (!this.isDataChannelOpen(offer.peerId)) {
+      this.updateStatus('The sender is no longer connected', 'warning');
+      return;
+    }
+
+    if (offer.kind === 'text') {
+      this.acceptTextOffer(offer.peerId, offer.message);
+    } else {
+      this.acceptBatchOffer(offer.peerId, offer.message);
+    }
+  }
+
+  /**
+   * Turn down a transfer request; `reason` is 'declined' or 'timeout'
+   */
+  declineTransferRequest(offerId, reason = 'declined') {
+    const offer = this.incomingOffers.get(offerId);
+    if (!offer) return;
+
+    clearTimeout(offer.timer);
+    this.incomingOffers.delete(offerId);
+    this.renderTransferRequests();
+
+    try {
+      if (offer.kind === 'text') {
+        this.sendPeerMessage(offer.peerId, { type: 'text-decline', textId: offerId, reason });
+      } else {
+        this.sendPeerMessage(offer.peerId, { type: 'batch-decline', batchId: offerId, reason });
+      }
+    } catch (error) {
+      // The sender stops waiting after BATCH_ACCEPT_TIMEOUT
+    }
+
+    const deviceName = this.devices.get(offer.peerId)?.deviceName || offer.peerId;
+    const what = offer.kind === 'text' ? 'a text' : `${offer.message.files.length} file(s)`;
+    if (reason === 'timeout') {
+      this.updateStatus(`Transfer request from ${deviceName} expired`, 'warning');
+    } else {
+      this.updateStatus(`Declined ${what} from ${deviceName}`, 'info');
+    }
+  }
+
+  /**
+   * Handle Accept and Decline in the transfer request list
+   */
+  handleTransferRequestClick(event) {
+    const button = event.target.closest('[data-action]');
+    const request = button?.closest('.transfer-request');
+    if (!request) return;
+
+    const offerId = request.getAttribute('data-offer-id');
+    if (button.getAttribute('data-action') === 'accept') {
+      this.acceptTransferRequest(offerId, request.querySelector('[data-role="always"]')?.checked);
+    } else {
+      this.declineTransferRequest(offerId);
+    }
+  }
+
+  /**
+   * Render one card per transfer request waiting for an answer
+   */
+  renderTransferRequests() {
+    const container = document.getElementById('transferRequests');
+    if (!container) return;
+
+    container.innerHTML = Array.from(this.incomingOffers.entries()).map(([offerId, offer]) => {
+      const deviceName = this.devices.get(offer.peerId)?.deviceName || offer.peerId;
+      if (offer.kind === 'text') {
+        return this.renderTransferRequest(offerId, `${this.escapeHtml(deviceName)} wants to send a text, ${offer.message.length} characters`, '');
+      }
+
+      const { files, directories = [] } = offer.message;
+      const totalSize = files.reduce((sum, entry) => sum + entry.size, 0);
+      const listed = files.slice(0, TRANSFER_REQUEST_PREVIEW).map(entry => `
+        <li>
+          <span class="progress-file-name">${this.escapeHtml(entry.relativePath || entry.name)}</span>
+          <span class="progress-file-status">${this.formatFileSize(entry.size)} · ${this.escapeHtml(entry.type)}</span>
+        </li>
+      `).join('');
+      const more = files.length - TRANSFER_REQUEST_PREVIEW;
+
+      return this.renderTransferRequest(
+        offerId,
+        `${this.escapeHtml(deviceName)} wants to send ${files.length} file(s), ${this.formatFileSize(totalSize)}`,
+        `
+          <ul class="transfer-request-files">
+            ${listed}
+            ${more > 0 ? `<li class="progress-file-status">and ${more} more</li>` : ''}
+            ${directories.length > 0 ? `<li class="progress-file-status">${directories.length} empty folder(s)</li>` : ''}
+          </ul>
+        `
+      );
+    }).join('');
+  }
+
+  /**
+   * Markup of one transfer request card; `title` and `details` are HTML
+   */
+  renderTransferRequest(offerId, title, details) {
+    return `
+        <div class="transfer-request" data-offer-id="${this.escapeHtml(offerId)}">
+          <div class="progress-title">${title}</div>
+          ${details}
+          <label class="transfer-request-option">
+            <input type="checkbox" data-role="always"> Always accept from this device
+          </label>
+          <div class="device-actions">
+            <button class="btn btn-small btn-primary" data-action="accept">Accept</button>
+            <button class="btn btn-small btn-danger" data-action="decline">Decline</button>
+          </div>
+        </div>
+      `;
+  }
+
+  /**
+   * Whether files and texts from a peer are accepted without asking. Paired devices remember
+   * this with their pairing; other peers only for as long as the page is open.
+   */
+  isAutoAccepted(peerId) {
+    const pairing = this.getPairingOf(peerId);
+    return pairing ? Boolean(pairing.autoAccept) : this.autoAcceptPeers.has(peerId);
+  }
+
+  /**
+   * Turn "always accept from this device" on or off
+   */
+  setAutoAccept(peerId, enabled) {
+    const pairing = this.getPairingOf(peerId);
+    if (pairing) {
+      pairing.autoAccept = enabled;
+      this.savePairings();
+    } else if (enabled) {
+      this.autoAcceptPeers.add(peerId);
+    } else {
+      this.autoAcceptPeers.delete(peerId);
+    }
+    this.renderDeviceList();
+  }
+
+  /**
+   * The stored pairing of an online peer, if it is paired with this browser
+   */
+  getPairingOf(peerId) {
+    const pairingId = this.devices.get(peerId)?.pairingId;
+    return pairingId ? this.pairings.find(pairing => pairing.pairingId === pairingId) || null : null;
+  }
+
+  /**
+   * Start receiving an offered batch and tell the sender to go ahead
+   */
+  acceptBatchOffer(peerId, message) {
+    const { batchId, files, totalSize, directories = [] } = message;
+    const device = this.devices.get(peerId);
+
+    const batch = {
+      id: batchId,
+      direction: 'receive',
+      peerId,
+      files: files.map(entry => ({
+        ...entry,
+        path: this.protocol.sanitizeRelativePath(entry.relativePath),
+        transferred: 0,
+        status: 'pending'
+      })),
+      directories: directories.map(path => this.protocol.sanitizeRelativePath(path)).filter(Boolean),
+      totalSize,
+      transferred: 0,
+      bytesMoved: 0, // Bytes actually sent or received, for throughput
+      currentFileId: null,
+      startTime: Date.now()
+    };
+
+    // Files go into the chosen download folder; without one a folder is saved as a ZIP,
+    // streamed through the service worker or, without one, built in memory if it is small enough
+    batch.isFolder = batch.directories.length > 0 || batch.files.some(entry => entry.path && entry.path.includes('/'));
+    if (this.downloadDirectory) {
+      batch.saveTarget = 'directory';
+    } else if (!batch.isFolder) {
+      batch.saveTarget = 'download';
+    } else if (!window.ShearPointZip.fitsInZip(batch.files.filter(entry => entry.path), batch.directories)) {
+      batch.saveTarget = 'download';
+      this.updateStatus(`Folder is larger than a ZIP can hold (4 GB), saving its ${files.length} file(s) one by one`, 'warning');
+    } else if (this.serviceWorker?.active) {
+      batch.saveTarget = 'zip-stream';
+    } else if (totalSize <= MAX_MEMORY_ZIP_SIZE) {
+      batch.saveTarget = 'zip';
+    } else {
+      batch.saveTarget = 'download';
+      this.updateStatus(`Folder is too large to zip in this browser, saving its ${files.length} file(s) one by one`, 'warning');
+    }
+    batch.received = []; // Completed files of an in-memory ZIP batch
+    batch.zipDownload = null; // Streamed ZIP of a folder batch, opened with its first file
+    batch.pendingWrites = [];
+
+    this.fileTransfers.set(batchId, batch);
+
+    // Never write outside the target folder
+    batch.files
+      .filter(entry => !entry.path)
+      .forEach(entry => this.failIncomingFile(batch, entry, `unsafe path '${entry.relativePath}'`));
+
+    if (batch.saveTarget === 'directory') {
+      batch.pendingWrites.push(...batch.directories.map(path =>
+        this.getDirectoryHandle(this.downloadDirectory, path.split('/'))
+          .catch(error => this.updateStatus(`Could not create folder ${path}: ${error.message}`, 'error'))
+      ));
+    }
+
+    this.sendPeerMessage(peerId, { type: 'batch-accept', batchId });
+    this.updateStatus(`Receiving ${files.length} file(s) from ${device?.deviceName || peerId}...`, 'info');
+    this.renderTransferProgress(batch);
+  }
+
+  /**
+   * Handle file start
+   */
+  handleFileStart(peerId, message) {
+    const batch = this.fileTransfers.get(message.batchId);
+    const entry = batch?.peerId === peerId ? batch.files[message.fileId] : null;
+    if (!entry || entry.status !== 'pending') return;
+
+    this.openIncomingFile(batch, entry);
+    this.renderTransferProgress(batch);
+  }
+
+  /**
+   * Start receiving a file: open where it is written to and reset its chunk bookkeeping
+   */
+  openIncomingFile(batch, entry) {
+    batch.currentFileId = entry.fileId;
+    entry.status = 'active';
+    entry.received = new Map(); // offset -> verified chunk that arrived ahead of a gap
+    entry.digests = new Map(); // offset -> SHA-256 of every verified chunk, for the file hash
+    entry.contiguousOffset = 0; // Verified without a gap from the start, and queued for writing
+    entry.writtenOffset = 0;
+    entry.ackedOffset = 0;
+    entry.transferred = 0;
+    entry.verifying = new Set(); // Chunk hash checks still running
+    entry.retries = new Map(); // offset -> times the chunk was requested again
+    entry.completion = null; // Set by file-complete, with the expected file hash
+    entry.settled = new Promise((resolve) => {
+      entry.settle = resolve;
+    });
+    entry.sink = null;
+    entry.writes = this.openFileSink(batch, entry)
+      .then((sink) => {
+        entry.sink = sink;
+      })
+      .catch(error => this.failIncomingFile(batch, entry, `could not save: ${error.message}`));
+  }
+
+  /**
+   * Handle a chunk frame, routed by the batch it names; a batch only takes chunks
+   * from the peer it was accepted from
+   */
+  handleFileChunk(peerId, data) {
+    const frame = this.protocol.decodeChunkFrame(data);
+    if (!frame) {
+      console.warn(`Dropping malformed chunk frame from ${peerId}`);
+      return;
+    }
+
+    const batch = this.fileTransfers.get(frame.batchId);
+    const entry = batch?.direction === 'receive' && batch.peerId === peerId ? batch.files[frame.fileId] : null;
+    if (!entry || entry.status !== 'active') return;
+
+    const { offset } = frame;
+    const size = frame.data.byteLength;
+    if (size === 0 || offset + size > entry.size || this.hasChunk(entry, offset)) {
+      return;
+    }
+
+    const verification = this.verifyChunk(batch, entry, frame);
+    entry.verifying.add(verification);
+    verification.finally(() => entry.verifying.delete(verification));
+  }
+
+  /**
+   * Check a chunk against the hash in its frame; keep it or ask for it again
+   */
+  async verifyChunk(batch, entry, frame) {
+    const chunkData = frame.data;
+    const digest = await this.hash.sha256(chunkData);
+    // The file may have failed or been reset by a resume meanwhile
+    if (entry.status !== 'active' || this.hasChunk(entry, frame.offset)) {
+      return;
+    }
+
+    if (this.hash.toHex(digest) !== this.hash.toHex(frame.hash)) {
+      this.requestChunkAgain(batch, entry, frame.offset, chunkData.byteLength);
+      return;
+    }
+
+    entry.received.set(frame.offset, chunkData);
+    entry.digests.set(frame.offset, digest);
+    entry.retries.delete(frame.offset);
+    entry.transferred += chunkData.byteLength;
+    batch.transferred += chunkData.byteLength;
+    batch.bytesMoved += chunkData.byteLength;
+    this.updateTransferProgress(batch);
+
+    // Write everything that now follows on without a gap; chunks past a gap wait in memory
+    let next;
+    while ((next = entry.received.get(entry.contiguousOffset))) {
+      entry.received.delete(entry.contiguousOffset);
+      entry.contiguousOffset += next.byteLength;
+      this.writeChunk(batch, entry, next);
+    }
+
+    // A re-requested chunk may have been the last piece missing
+    if (entry.completion && entry.retries.size === 0 && entry.contiguousOffset === entry.size) {
+      this.finishIncomingFile(batch, entry);
+    }
+  }
+
+  /**
+   * Whether a verified chunk starting at an offset is already held or written
+   */
+  hasChunk(entry, offset) {
+    return offset < entry.contiguousOffset || entry.received.has(offset);
+  }
+
+  /**
+   * Queue a verified chunk for writing and confirm written bytes to the sender
+   */
+  writeChunk(batch, entry, data) {
+    // Sinks may transfer the buffer elsewhere, which empties it
+    const size = data.byteLength;
+    entry.writes = entry.writes
+      .then(async () => {
+        if (entry.status === 'failed') return;
+        await entry.sink.write(data);
+        entry.writtenOffset += size;
+
+        if (entry.writtenOffset - entry.ackedOffset >= ACK_INTERVAL || entry.writtenOffset === entry.size) {
+          entry.ackedOffset = entry.writtenOffset;
+          this.sendPeerMessage(batch.peerId, {
+            type: 'file-ack',
+            batchId: batch.id,
+            fileId: entry.fileId,
+            offset: entry.writtenOffset
+          });
+        }
+      })
+      .catch((error) => {
+        // A lost connection only delays the ack; file-resume-ack tells the sender where we are
+        if (!(error instanceof ConnectionLostError) && entry.status !== 'failed') {
+          this.failIncomingFile(batch, entry, `could not save: ${error.message}`);
+        }
+      });
+  }
+
+  /**
+   * Ask the sender for a corrupted chunk again, up to MAX_CHUNK_RETRIES times
+   */
+  requestChunkAgain(batch, entry, offset, size) {
+    const attempts = (entry.retries.get(offset) || 0) + 1;
+    const name = entry.path || entry.name;
+
+    if (attempts > MAX_CHUNK_RETRIES) {
+      this.failIncomingFile(batch, entry, `chunk at byte ${offset} failed its integrity check ${MAX_CHUNK_RETRIES} times`);
+      return;
+    }
+
+    entry.retries.set(offset, attempts);
+    this.updateStatus(`Corrupted chunk in ${name} at byte ${offset}, requesting it again`, 'warning');
+    try {
+      this.sendPeerMessage(batch.peerId, { type: 'chunk-request', batchId: batch.id, fileId: entry.fileId, offset, size });
+    } catch (error) {
+      // The resume handshake re-sends everything after the last chunk received without gaps
+    }
+  }
+
+  /**
+   * Handle file complete
+   */
+  handleFileComplete(peerId, message) {
+    const batch = this.fileTransfers.get(message.batchId);
+    const entry = batch?.peerId === peerId ? batch.files[message.fileId] : null;
+    if (!entry || entry.status !== 'active' || entry.completion) return;
+
+    batch.currentFileId = null;
+    entry.completion = { hash: message.hash };
+
+    // Let running hash checks finish; chunks requested again complete the file when they arrive
+    Promise.all(entry.verifying).then(() => {
+      if (entry.status === 'active' && entry.retries.size === 0) {
+        this.finishIncomingFile(batch, entry);
+      }
+    });
+  }
+
+  /**
+   * Verify a fully received file against the sender's hash, then commit what was written
+   */
+  async finishIncomingFile(batch, entry) {
+    if (entry.status !== 'active') return;
+
+    if (entry.contiguousOffset !== entry.size) {
+      this.failIncomingFile(batch, entry, `received ${entry.transferred} of ${entry.size} bytes`);
+      return;
+    }
+
+    entry.status = 'verifying';
+    const offsets = Array.from(entry.digests.keys()).sort((a, b) => a - b);
+    const fileHash = this.hash.toHex(await this.hash.sha256OfDigests(offsets.map(offset => entry.digests.get(offset))));
+    if (entry.status !== 'verifying') return;
+
+    if (fileHash !== entry.completion.hash) {
+      this.failIncomingFile(
+        batch,
+        entry,
+        `integrity check failed (expected SHA-256 ${entry.completion.hash.slice(0, 16)}…, got ${fileHash.slice(0, 16)}…)`,
+        false
+      );
+      return;
+    }
+
+    entry.status = 'saving';
+    this.renderTransferProgress(batch);
+    await entry.writes;
+    if (entry.status !== 'saving') return;
+
+    try {
+      await entry.sink.commit();
+    } catch (error) {
+      this.failIncomingFile(batch, entry, `could not save: ${error.message}`, false);
+      return;
+    }
+
+    entry.received = null;
+    entry.digests = null;
+    this.completeIncomingFile(batch, entry);
+  }
+
+  /**
+   * Mark a received file as saved
+   */
+  completeIncomingFile(batch, entry) {
+    entry.status = 'done';
+    if (entry.settle) entry.settle();
+    this.updateStatus(`File received: ${entry.path || entry.name}`, 'success');
+    this.renderTransferProgress(batch);
+  }
+
+  /**
+   * Offer a blob to the user as a download
+   */
+  downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Ask where received files and folders should be saved (File System Access API)
+   */
+  async chooseDownloadDirectory() {
+    try {
+      this.downloadDirectory = await window.showDirectoryPicker({ mode: 'readwrite' });
+      this.updateStatus(`Received files are saved to ${this.downloadDirectory.name}`, 'success');
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        this.updateStatus(`Could not open folder: ${error.message}`, 'error');
+      }
+    }
+  }
+
+  /**
+   * Walk (and create) nested directories below a directory handle
+   */
+  async getDirectoryHandle(root, segments) {
+    let directory = root;
+    for (const segment of segments) {
+      directory = await directory.getDirectoryHandle(segment, { create: true });
+    }
+    return directory;
+  }
+
+  /**
+   * Open the destination a received file is streamed to. Every sink has
+   * write(data), commit() once the file hash matched, and abort() to discard it.
+   */
+  async openFileSink(batch, entry) {
+    if (batch.saveTarget === 'directory') {
+      return this.openDirectorySink(this.downloadDirectory, entry.path);
+    }
+    if (batch.saveTarget === 'zip-stream') {
+      const { writer } = await this.openZipDownload(batch);
+      return writer.addFile({ path: entry.path, size: entry.size, lastModified: entry.lastModified });
+    }
+    if (batch.saveTarget === 'zip') {
+      return this.openMemorySink(entry.type, (blob) => {
+        batch.received.push({ path: entry.path, blob, lastModified: entry.lastModified });
+      });
+    }
+    if (this.serviceWorker?.active) {
+      return this.openDownloadStreamSink(entry);
+    }
+    return this.openMemorySink(entry.type, blob => this.downloadBlob(blob, entry.name));
+  }
+
+  /**
+   * Start the streamed ZIP download of a folder batch, once per batch
+   */
+  openZipDownload(batch) {
+    if (!batch.zipDownload) {
+      batch.zipDownload = this.openDownloadStreamSink({ name: this.getZipName(batch), type: 'application/zip' })
+        .then(sink => ({ sink, writer: window.ShearPointZip.createZipWriter(data => sink.write(data)) }));
+    }
+    return batch.zipDownload;
+  }
+
+  /**
+   * End the streamed ZIP of a folder batch with the files committed to it; an
+   * archive without any entries is cancelled instead
+   */
+  async finishZipDownload(batch) {
+    if (!batch.zipDownload && batch.directories.length === 0) return;
+
+    const { sink, writer } = await this.openZipDownload(batch);
+    try {
+      const entries = await writer.finish(batch.directories);
+      await (entries > 0 ? sink.commit() : sink.abort());
+    } catch (error) {
+      sink.abort();
+      throw error;
+    }
+  }
+
+  /**
+   * Write a file below a directory handle through a writable stream (File System Access API)
+   */
+  async openDirectorySink(root, path) {
+    const segments = path.split('/');
+    const fileName = segments.pop();
+    const directory = await this.getDirectoryHandle(root, segments);
+    const existed = await directory.getFileHandle(fileName).then(() => true, () => false);
+    const fileHandle = await directory.getFileHandle(fileName, { create: true });
+    // Writes go to a swap file that only replaces the target on close()
+    const writable = await fileHandle.createWritable();
+
+    return {
+      write: data => writable.write(data),
+      commit: () => writable.close(),
+      abort: async () => {
+        await writable.abort();
+        if (!existed) {
+          await directory.removeEntry(fileName).catch(() => {});
+        }
+      }
+    };
+  }
+
+  /**
+   * Stream a file into a regular browser download through the service worker (see sw.js)
+   */
+  openDownloadStreamSink(entry) {
+    const worker = this.serviceWorker.active;
+    const channel = new MessageChannel();
+    const port = channel.port1;
+    let credits = 0; // Chunks the download asked for
+    let wakeUp = null;
+    let cancelled = null;
+    let frame = null;
+
+    // The worker is stopped when idle; messages to it keep it running while the file streams
+    const keepAlive = setInterval(() => worker.postMessage({ type: 'keep-alive' }), SERVICE_WORKER_KEEPALIVE);
+    const close = (type) => {
+      clearInterval(keepAlive);
+      port.postMessage({ type });
+      port.close();
+      // Leave the frame long enough for the download to pick up the end of the stream
+      setTimeout(() => frame?.remove(), SERVICE_WORKER_KEEPALIVE);
+    };
+
+    return new Promise((resolve) => {
+      port.onmessage = ({ data }) => {
+        if (data.type === 'ready') {
+          frame = document.createElement('iframe');
+          frame.hidden = true;
+          frame.src = data.url;
+          document.body.appendChild(frame);
+          resolve({
+            write: async (chunk) => {
+              while (credits === 0 && !cancelled) {
+                await new Promise((wake) => {
+                  wakeUp = wake;
+                });
+              }
+              if (cancelled) throw cancelled;
+              credits--;
+              port.postMessage({ type: 'chunk', chunk }, [chunk]);
+            },
+            commit: () => close('end'),
+            abort: () => close('abort')
+          });
+          return;
+        }
+
+        if (data.type === 'pull') {
+          credits++;
+        } else if (data.type === 'cancel') {
+          cancelled = new Error('download cancelled');
+        }
+        if (wakeUp) {
+          wakeUp();
+          wakeUp = null;
+        }
+      };
+
+      worker.postMessage({
+        type: 'stream-download',
+        fileName: entry.name,
+        size: entry.size,
+        mimeType: entry.type
+      }, [channel.port2]);
+    });
+  }
+
+  /**
+   * Collect a file in memory when it cannot be streamed to disk (no File System Access
+   * API, no service worker). Chunks are folded into a Blob regularly, which lets the
+   * browser move them out of the page's memory.
+   */
+  openMemorySink(type, save) {
+    let blob = new Blob([], { type });
+    let parts = [];
+    let pending = 0;
+
+    return {
+      write: (data) => {
+        parts.push(data);
+        pending += data.byteLength;
+        if (pending >= MEMORY_FLUSH_SIZE) {
+          blob = new Blob([blob, ...parts], { type });
+          parts = [];
+          pending = 0;
+        }
+      },
+      commit: () => {
+        save(new Blob([blob, ...parts], { type }));
+        parts = null;
+      },
+      abort: () => {
+        parts = null;
+      }
+    };
+  }
+
+  /**
+   * Name for the ZIP of a received folder batch: the common top folder if there is one
+   */
+  getZipName(batch) {
+    const paths = [...batch.files.map(entry => entry.path).filter(Boolean), ...batch.directories];
+    const roots = new Set(paths.map(path => path.split('/')[0]));
+    const name = roots.size === 1 && paths.every(path => path.includes('/')) ? [...roots][0] : `shearpoint-${Date.now()}`;
+    return `${name}.zip`;
+  }
+
+  /**
+   * Handle file error
+   */
+  handleFileError(peerId, message) {
+    const batch = this.fileTransfers.get(message.batchId);
+    const entry = batch?.peerId === peerId ? batch.files[message.fileId] : null;
+    if (!entry) return;
+
+    if (batch.currentFileId === entry.fileId) {
+      batch.currentFileId = null;
+    }
+    this.failIncomingFile(batch, entry, message.error);
+  }
+
+  /**
+   * Drop a file that could not be received; the rest of the batch carries on
+   */
+  failIncomingFile(batch, entry, error, countRemaining = true) {
+    entry.status = 'failed';
+    entry.error = error;
+    this.discardIncomingFile(entry);
+    if (entry.settle) entry.settle();
+    if (countRemaining) {
+      batch.transferred += entry.size - entry.transferred;
+    }
+    this.updateStatus(`Failed to receive ${entry.path || entry.relativePath}: ${error}`, 'error');
+    this.renderTransferProgress(batch);
+  }
+
+  /**
+   * Handle the end of an incoming batch
+   */
+  async handleBatchComplete(peerId, message) {
+    const batch = this.fileTransfers.get(message.batchId);
+    // A sender that reconnected near the end may send batch-complete twice
+    if (!batch || batch.peerId !== peerId || batch.completing) return;
+    batch.completing = true;
+
+    // Anything the sender never started or finished did not arrive
+    batch.files
+      .filter(entry => entry.status === 'pending' || (entry.status === 'active' && !entry.completion))
+      .forEach(entry => this.failIncomingFile(batch, entry, 'not sent'));
+
+    // Wait for files still being verified, re-requested or written
+    await Promise.all(batch.files.filter(entry => entry.settled).map(entry => entry.settled));
+    await Promise.all(batch.pendingWrites);
+    if (this.fileTransfers.get(batch.id) !== batch) return;
+
+    if (batch.saveTarget === 'zip' && (batch.received.length > 0 || batch.directories.length > 0)) {
+      try {
+        const entries = [
+          ...batch.directories.map(path => ({ path, directory: true })),
+          ...batch.received
+        ];
+        this.downloadBlob(await window.ShearPointZip.createZip(entries), this.getZipName(batch));
+      } catch (error) {
+        batch.received.forEach((file) => {
+          const entry = batch.files.find(candidate => candidate.path === file.path);
+          entry.status = 'failed';
+          entry.error = error.message;
+        });
+        this.updateStatus(`Could not build ZIP: ${error.message}`, 'error');
+      }
+      batch.received = [];
+    }
+
+    if (batch.saveTarget === 'zip-stream') {
+      try {
+        await this.finishZipDownload(batch);
+      } catch (error) {
+        batch.files
+          .filter(entry => entry.status === 'done')
+          .forEach((entry) => {
+            entry.status = 'failed';
+            entry.error = error.message;
+          });
+        this.updateStatus(`Could not save ZIP: ${error.message}`, 'error');
+      }
+    }
 
-      this.sendSignalingMessage({
-        type: 'answer',
-        answer: answer,
-        fromUserId: this.userId,
-        toUserId: fromUserId
+    try {
+      this.sendPeerMessage(peerId, {
+        type: 'batch-result',
+        batchId: batch.id,
+        failed: batch.files
+          .filter(entry => entry.status === 'failed')
+          .map(entry => ({ fileId: entry.fileId, error: entry.error }))
       });
     } catch (error) {
-      console.error('Error handling offer:', error);
+      // The sender falls back to its own view after BATCH_RESULT_TIMEOUT
     }
+
+    this.finishBatch(batch);
   }
 
   /**
-   * Handle answer from peer
+   * Keep the batches exchanged with a peer whose connection went away, so they can resume
    */
-  async handleAnswer(message) {
-    const { fromUserId, answer } = message;
+  interruptPeerTransfers(peerId) {
+    // The sender stops waiting for an answer when its connection drops
+    this.incomingOffers.forEach((offer, offerId) => {
+      if (offer.peerId === peerId) {
+        clearTimeout(offer.timer);
+        this.incomingOffers.delete(offerId);
+      }
+    });
+    this.renderTransferRequests();
 
-    try {
-      const peerConnection = this.peerConnections.get(fromUserId);
-      if (peerConnection) {
-        await peerConnection.setRemoteDescription(new RTCSessionDescription(answer));
+    // Texts are small enough to simply be sent again
+    this.outgoingTexts.forEach((pending) => {
+      if (pending.peerId === peerId) {
+        pending.reject(new ConnectionLostError());
       }
-    } catch (error) {
-      console.error('Error handling answer:', error);
-    }
+    });
+    this.expectedTexts.forEach((senderId, textId) => {
+      if (senderId === peerId) {
+        this.expectedTexts.delete(textId);
+      }
+    });
+
+    this.fileTransfers.forEach((batch) => {
+      if (batch.peerId !== peerId) return;
+
+      if (batch.direction === 'send') {
+        // Only rejects while still waiting for the receiver to accept; a running batch
+        // notices on its next chunk and waits for the resume handshake
+        batch.rejectAccept(new ConnectionLostError());
+        if (batch.rejectResult) {
+          batch.rejectResult(new ConnectionLostError());
+        }
+        return;
+      }
+
+      if (!batch.interrupted) {
+        batch.interrupted = true;
+        batch.resumeTimer = setTimeout(() => this.abandonBatch(batch, 'Connection lost'), RESUME_TIMEOUT);
+        this.renderTransferProgress(batch);
+      }
+    });
   }
 
   /**
-   * Handle ICE candidate
+   * Give up on an incoming batch; files already saved stay saved
    */
-  async handleIceCandidate(message) {
-    const { fromUserId, candidate } = message;
+  abandonBatch(batch, reason) {
+    batch.files
+      .filter(entry => entry.status === 'pending' || entry.status === 'active')
+      .forEach((entry) => {
+        entry.status = 'failed';
+        entry.error = reason;
+        this.discardIncomingFile(entry);
+      });
+    // The streamed ZIP keeps the files that were complete
+    if (batch.saveTarget === 'zip-stream') {
+      this.finishZipDownload(batch).catch(error => console.warn('Could not save ZIP:', error));
+    }
+    this.finishBatch(batch);
+  }
 
-    try {
-      const peerConnection = this.peerConnections.get(fromUserId);
-      if (peerConnection && candidate) {
-        await peerConnection.addIceCandidate(new RTCIceCandidate(candidate));
-      }
-    } catch (error) {
-      console.error('Error handling ICE candidate:', error);
+  /**
+   * Drop the chunks held for a failed file and discard what was written of it
+   */
+  discardIncomingFile(entry) {
+    entry.received = null;
+    entry.digests = null;
+    if (entry.writes) {
+      entry.writes = entry.writes
+        .then(() => entry.sink && entry.sink.abort())
+        .catch(error => console.warn(`Could not discard ${entry.path || entry.name}:`, error));
     }
   }
 
   /**
-   * Handle connection state change
+   * Tell a reconnected sender where to continue: the first file we do not have
+   * completely yet and the offset we received without gaps
    */
-  handleConnectionStateChange(userId, peerConnection) {
-    const state = peerConnection.connectionState;
-    const device = this.devices.get(userId);
+  handleFileResume(peerId, message) {
+    const batch = this.fileTransfers.get(message.batchId);
+    if (!batch || batch.direction !== 'receive' || batch.peerId !== peerId) {
+      this.sendPeerMessage(peerId, {
+        type: 'batch-cancel',
+        batchId: message.batchId,
+        reason: 'The receiver no longer knows this transfer'
+      });
+      return;
+    }
 
-    console.log(`Connection state with ${userId}: ${state}`);
+    clearTimeout(batch.resumeTimer);
+    batch.interrupted = false;
 
-    switch (state) {
-      case 'connected':
-        if (device) {
-          this.updateStatus(`Connected to ${device.deviceName}`, 'success');
-        }
-        this.renderDeviceList();
-        break;
-      case 'disconnected':
-      case 'closed':
-      case 'failed':
-        this.closePeerConnection(userId);
-        break;
+    const entry = batch.files.find(candidate => candidate.status === 'pending' || candidate.status === 'active');
+    let offset = 0;
+
+    if (entry && entry.status === 'active') {
+      // Keep only what arrived without gaps, which is written or queued for writing;
+      // the sender re-sends the rest
+      offset = entry.contiguousOffset;
+      entry.received.clear();
+      Array.from(entry.digests.keys())
+        .filter(chunkOffset => chunkOffset >= offset)
+        .forEach(chunkOffset => entry.digests.delete(chunkOffset));
+      entry.transferred = offset;
+      entry.retries.clear();
+      entry.completion = null;
+      batch.currentFileId = entry.fileId;
+    } else if (entry) {
+      this.openIncomingFile(batch, entry);
+    } else {
+      batch.currentFileId = null;
+    }
+
+    this.recountTransferred(batch);
+    this.sendPeerMessage(peerId, {
+      type: 'file-resume-ack',
+      batchId: batch.id,
+      fileId: entry ? entry.fileId : batch.files.length,
+      offset
+    });
+
+    if (entry) {
+      this.updateStatus(`Resuming ${entry.path || entry.name} at ${this.formatFileSize(offset)}`, 'info');
     }
+    this.renderTransferProgress(batch);
   }
 
   /**
-   * Setup data channel
+   * Handle the receiver's answer to our resume request
    */
-  setupDataChannel(userId, dataChannel) {
-    dataChannel.onopen = () => {
-      console.log(`Data channel opened with ${userId}`);
-    };
+  handleFileResumeAck(peerId, message) {
+    const batch = this.fileTransfers.get(message.batchId);
+    if (!batch || batch.direction !== 'send' || batch.peerId !== peerId || !batch.resume) return;
 
-    dataChannel.onmessage = (event) => {
-      this.handleDataChannelMessage(userId, event.data);
-    };
-
-    dataChannel.onerror = (error) => {
-      console.error(`Data channel error with ${userId}:`, error);
-    };
-
-    dataChannel.onclose = () => {
-      console.log(`Data channel closed with ${userId}`);
-    };
+    if (!Number.isInteger(message.fileId) || message.fileId < 0 || message.fileId > batch.files.length) {
+      batch.resume.reject(new Error('Invalid resume position'));
+      return;
+    }
+    const entry = batch.files[message.fileId];
+    if (!Number.isInteger(message.offset) || message.offset < 0 || message.offset > (entry ? entry.size : 0)) {
+      batch.resume.reject(new Error('Invalid resume position'));
+      return;
+    }
 
-    this.datachannels.set(userId, dataChannel);
+    batch.resume.resolve({ fileId: message.fileId, offset: message.offset });
   }
 
   /**
-   * Handle data channel message
+   * Handle the other side dropping a batch
    */
-  handleDataChannelMessage(userId, data) {
-    try {
-      // Parse message based on type
-      if (data instanceof ArrayBuffer) {
-        // Binary file data
-        this.handleFileChunk(userId, data);
-      } else if (typeof data === 'string') {
-        const message = JSON.parse(data);
-        
-        switch (message.type) {
-          case 'file-start':
-            this.handleFileStart(userId, message);
-            break;
-          case 'file-chunk':
-            this.handleFileChunk(userId, message);
-            break;
-          case 'file-complete':
-            this.handleFileComplete(userId, message);
-            break;
-          case 'file-error':
-            this.handleFileError(userId, message);
-            break;
-        }
+  handleBatchCancel(peerId, message) {
+    const batch = this.fileTransfers.get(message.batchId);
+    if (!batch || batch.peerId !== peerId) return;
+
+    if (batch.direction === 'send') {
+      batch.aborted = message.reason;
+      batch.rejectAccept(new Error(message.reason));
+      if (batch.resume) {
+        batch.resume.reject(new Error(message.reason));
       }
-    } catch (error) {
-      console.error('Error handling data channel message:', error);
+    } else {
+      clearTimeout(batch.resumeTimer);
+      this.abandonBatch(batch, message.reason);
     }
   }
 
   /**
-   * Handle file select
+   * Send a text snippet to the selected device once its user accepted it
    */
-  handleFileSelect(event) {
-    const files = event.target.files;
-    if (files.length > 0) {
-      const file = files[0];
-      this.displayFileInfo(file);
+  async sendText(text) {
+    const peerId = this.getSelectedDevice();
+    if (!text) {
+      this.updateStatus('Nothing to send', 'warning');
+      return;
+    }
+    if (text.length > this.protocol.MAX_TEXT_LENGTH) {
+      this.updateStatus(`Texts are limited to ${this.protocol.MAX_TEXT_LENGTH} characters, send it as a file instead`, 'error');
+      return;
+    }
+    if (!peerId) {
+      this.updateStatus('Please select a device to send to', 'warning');
+      return;
+    }
+    if (!this.isDataChannelOpen(peerId)) {
+      this.updateStatus('Connection not ready', 'error');
+      return;
+    }
+
+    const textId = `text_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const deviceName = this.devices.get(peerId)?.deviceName || peerId;
+    const accepted = new Promise((resolve, reject) => {
+      this.outgoingTexts.set(textId, { peerId, resolve, reject });
+    });
+    const timeout = setTimeout(() => this.outgoingTexts.get(textId)?.reject(new Error('timed out')), BATCH_ACCEPT_TIMEOUT);
+
+    try {
+      this.sendPeerMessage(peerId, { type: 'text-offer', textId, length: text.length });
+      this.updateStatus(`Waiting for ${deviceName} to accept a text...`, 'info');
+      await accepted;
+      this.sendPeerMessage(peerId, { type: 'text', textId, text });
+      this.updateStatus(`Text sent to ${deviceName}`, 'success');
+    } catch (error) {
+      this.updateStatus(`Could not send text to ${deviceName}: ${error.message}`, 'error');
+    } finally {
+      clearTimeout(timeout);
+      this.outgoingTexts.delete(textId);
     }
   }
 
   /**
-   * Handle drag and drop
+   * Send the clipboard contents as a text snippet
    */
-  handleDrop(event) {
-    const files = event.dataTransfer.files;
-    if (files.length > 0) {
-      const file = files[0];
-      this.displayFileInfo(file);
-      // Update file input
-      const fileInput = document.getElementById('fileInput');
-      if (fileInput) {
-        fileInput.files = files;
-      }
+  async sendClipboard() {
+    // The async clipboard API only exists in secure contexts
+    if (!navigator.clipboard?.readText) {
+      this.updateStatus('Reading the clipboard needs HTTPS, paste into Send Text instead', 'warning');
+      return;
     }
+
+    let text;
+    try {
+      text = await navigator.clipboard.readText();
+    } catch (error) {
+      this.updateStatus(`Could not read the clipboard: ${error.message}`, 'error');
+      return;
+    }
+    await this.sendText(text);
   }
 
   /**
-   * Display file info
+   * Handle the receiver accepting or declining one of our texts
    */
-  displayFileInfo(file) {
-    const fileInfo = document.getElementById('fileInfo');
-    if (fileInfo) {
-      fileInfo.innerHTML = `
-        <div class="file-info-content">
-          <div class="file-name">${this.escapeHtml(file.name)}</div>
-          <div class="file-size">${this.formatFileSize(file.size)}</div>
-        </div>
-      `;
+  handleTextAnswer(peerId, message) {
+    const pending = this.outgoingTexts.get(message.textId);
+    if (!pending || pending.peerId !== peerId) return;
+
+    if (message.type === 'text-accept') {
+      pending.resolve();
+    } else {
+      pending.reject(new Error(message.reason === 'timeout' ? 'timed out' : 'declined'));
     }
   }
 
   /**
-   * Send file
+   * Handle an incoming text offer: ask the user first, unless the sender is always accepted
    */
-  async sendFile() {
-    const fileInput = document.getElementById('fileInput');
-    if (!fileInput || fileInput.files.length === 0) {
-      this.updateStatus('Please select a file', 'warning');
+  handleTextOffer(peerId, message) {
+    const { textId, length } = message;
+    if (!Number.isInteger(length) || length <= 0 || length > this.protocol.MAX_TEXT_LENGTH) {
+      console.warn(`Ignoring text offer from ${peerId} with length ${length}`);
       return;
     }
-
-    const file = fileInput.files[0];
-    const selectedDevice = this.getSelectedDevice();
-
-    if (!selectedDevice) {
-      this.updateStatus('Please select a device to send to', 'warning');
+    if (this.incomingOffers.has(textId) || this.expectedTexts.has(textId)) {
       return;
     }
 
-    const dataChannel = this.datachannels.get(selectedDevice);
-    if (!dataChannel || dataChannel.readyState !== 'open') {
-      this.updateStatus('Connection not ready', 'error');
+    if (this.isAutoAccepted(peerId)) {
+      this.acceptTextOffer(peerId, message);
       return;
     }
 
-    await this.transferFile(selectedDevice, file);
+    this.askToAccept('text', peerId, textId, message);
+    const deviceName = this.devices.get(peerId)?.deviceName || peerId;
+    this.updateStatus(`${deviceName} wants to send you a text`, 'info');
   }
 
   /**
-   * Transfer file to peer
+   * Tell the sender of a text to go ahead
    */
-  async transferFile(userId, file) {
-    const transferId = `transfer_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    const chunkSize = 65536; // 64KB chunks
-    let offset = 0;
+  acceptTextOffer(peerId, message) {
+    this.expectedTexts.set(message.textId, peerId);
+    this.sendPeerMessage(peerId, { type: 'text-accept', textId: message.textId });
+  }
 
-    const fileTransfer = {
-      id: transferId,
-      fileName: file.name,
-      fileSize: file.size,
-      sent: 0,
-      startTime: Date.now()
-    };
+  /**
+   * Handle a text that was accepted before
+   */
+  handleText(peerId, message) {
+    if (this.expectedTexts.get(message.textId) !== peerId) return;
+    this.expectedTexts.delete(message.textId);
+    if (typeof message.text !== 'string' || message.text.length > this.protocol.MAX_TEXT_LENGTH) return;
+
+    const deviceName = this.devices.get(peerId)?.deviceName || peerId;
+    this.receivedTexts.unshift({
+      id: message.textId,
+      peerId,
+      deviceName,
+      text: message.text,
+      receivedAt: Date.now()
+    });
+    this.updateStatus(`Text received from ${deviceName}`, 'success');
+    this.renderReceivedTexts();
+  }
 
-    this.fileTransfers.set(transferId, fileTransfer);
+  /**
+   * Render one dismissible card per received text
+   */
+  renderReceivedTexts() {
+    const container = document.getElementById('receivedTexts');
+    if (!container) return;
+
+    container.innerHTML = this.receivedTexts.map(item => `
+      <div class="text-card" data-text-id="${this.escapeHtml(item.id)}">
+        <div class="progress-file-header">
+          <span class="progress-title">From ${this.escapeHtml(item.deviceName)}</span>
+          <span class="progress-file-status">${new Date(item.receivedAt).toLocaleTimeString()}</span>
+        </div>
+        <pre class="text-card-body">${this.escapeHtml(item.text)}</pre>
+        <div class="device-actions">
+          <button class="btn btn-small btn-primary" data-action="copy">Copy</button>
+          ${this.getLink(item.text) ? '<button class="btn btn-small btn-secondary" data-action="open">Open Link</button>' : ''}
+          <button class="btn btn-small btn-secondary" data-action="dismiss">Dismiss</button>
+        </div>
+      </div>
+    `).join('');
+  }
 
-    const dataChannel = this.datachannels.get(userId);
+  /**
+   * Handle Copy, Open Link and Dismiss on a received text
+   */
+  handleReceivedTextClick(event) {
+    const button = event.target.closest('[data-action]');
+    const card = button?.closest('.text-card');
+    const item = card && this.receivedTexts.find(text => text.id === card.getAttribute('data-text-id'));
+    if (!item) return;
+
+    switch (button.getAttribute('data-action')) {
+      case 'copy':
+        this.copyToClipboard(item.text);
+        break;
+      case 'open': {
+        const link = this.getLink(item.text);
+        if (link) {
+          window.open(link, '_blank', 'noopener,noreferrer');
+        }
+        break;
+      }
+      case 'dismiss':
+        this.receivedTexts = this.receivedTexts.filter(text => text !== item);
+        this.renderReceivedTexts();
+        break;
+    }
+  }
 
+  /**
+   * The http(s) URL a text consists of, if any
+   */
+  getLink(text) {
+    const candidate = text.trim();
+    if (!/^https?:\/\/\S+$/i.test(candidate)) {
+      return null;
+    }
     try {
-      // Send file start message
-      dataChannel.send(JSON.stringify({
-        type: 'file-start',
-        transferId,
-        fileName: file.name,
-        fileSize: file.size,
-        timestamp: Date.now()
-      }));
-
-      this.updateStatus(`Sending ${file.name} to ${this.devices.get(userId)?.deviceName}...`, 'info');
-
-      // Send file in chunks
-      while (offset < file.size) {
-        const chunk = file.slice(offset, offset + chunkSize);
-        const arrayBuffer = await chunk.arrayBuffer();
-        
-        dataChannel.send(arrayBuffer);
-
-        offset += chunkSize;
-        fileTransfer.sent = offset;
-
-        // Update progress
-        const progress = (offset / file.size) * 100;
-        this.updateTransferProgress(transferId, progress);
-
-        // Throttle to prevent overwhelming the connection
-        await new Promise(resolve => setTimeout(resolve, 10));
-      }
-
-      // Send completion message
-      dataChannel.send(JSON.stringify({
-        type: 'file-complete',
-        transferId,
-        timestamp: Date.now()
-      }));
-
-      const duration = (Date.now() - fileTransfer.startTime) / 1000;
-      this.updateStatus(`File sent successfully in ${duration.toFixed(2)}s`, 'success');
-      this.fileTransfers.delete(transferId);
-      
-      // Clear file input
-      document.getElementById('fileInput').value = '';
-      document.getElementById('fileInfo').innerHTML = '';
+      return new URL(candidate).href;
+    } catch (error) {
+      return null;
+    }
+  }
 
+  /**
+   * Copy text to the clipboard, with a fallback for pages without the async clipboard API
+   */
+  async copyToClipboard(text) {
+    try {
+      if (navigator.clipboard?.writeText) {
+        await navigator.clipboard.writeText(text);
+      } else {
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        const copied = document.execCommand('copy');
+        document.body.removeChild(textarea);
+        if (!copied) {
+          throw new Error('the browser refused');
+        }
+      }
+      this.updateStatus('Copied to clipboard', 'success');
     } catch (error) {
-      console.error('Error transferring file:', error);
-      dataChannel.send(JSON.stringify({
-        type: 'file-error',
-        transferId,
-        error: error.message
-      }));
-      this.updateStatus('File transfer failed', 'error');
+      this.updateStatus(`Could not copy: ${error.message}`, 'error');
     }
   }
 
   /**
-   * Handle file start
+   * Report the outcome of a batch and forget it
    */
-  handleFileStart(userId, message) {
-    const { transferId, fileName, fileSize } = message;
-    const device = this.devices.get(userId);
-    
-    const fileTransfer = {
-      id: transferId,
-      fileName,
-      fileSize,
-      received: 0,
-      chunks: [],
-      startTime: Date.now()
-    };
+  finishBatch(batch) {
+    if (this.fileTransfers.get(batch.id) !== batch) return;
+    clearTimeout(batch.resumeTimer);
+
+    const failed = batch.files.filter(entry => entry.status === 'failed');
+    const done = batch.files.length - failed.length;
+    const duration = (Date.now() - batch.startTime) / 1000;
+    const verb = batch.direction === 'send' ? 'sent' : 'received';
+    const throughput = duration > 0 ? this.formatFileSize(Math.round(batch.bytesMoved / duration)) : null;
+
+    if (failed.length === 0) {
+      this.updateStatus(
+        `${done} file(s) ${verb} successfully in ${duration.toFixed(2)}s${throughput ? ` (${throughput}/s)` : ''}`,
+        'success'
+      );
+    } else {
+      this.updateStatus(`${done} of ${batch.files.length} file(s) ${verb}, ${failed.length} failed`, done > 0 ? 'warning' : 'error');
+    }
 
-    this.fileTransfers.set(transferId, fileTransfer);
-    this.updateStatus(`Receiving ${fileName} from ${device?.deviceName}...`, 'info');
+    batch.currentFileId = null;
+    this.renderTransferProgress(batch);
+    this.fileTransfers.delete(batch.id);
   }
 
   /**
-   * Handle file chunk
+   * Render the transfer panel with one row per file of every running batch
    */
-  handleFileChunk(userId, chunkData) {
-    // Find the active transfer
-    let transfer = null;
-    let transferId = null;
-
-    for (const [id, t] of this.fileTransfers) {
-      if (t.chunks !== undefined) { // Receiving transfer
-        transfer = t;
-        transferId = id;
-        break;
-      }
+  renderTransferProgress(batch) {
+    const panel = document.getElementById('transferProgress');
+    if (panel) {
+      panel.classList.add('active');
     }
 
-    if (!transfer) return;
-
-    if (chunkData instanceof ArrayBuffer) {
-      transfer.chunks.push(new Uint8Array(chunkData));
-      transfer.received += chunkData.byteLength;
-    } else if (typeof chunkData === 'object') {
-      transfer.received += chunkData.size || 0;
+    const fileList = document.getElementById('progressFiles');
+    if (fileList) {
+      const labels = {
+        pending: 'Waiting',
+        active: 'In progress',
+        verifying: 'Verifying',
+        saving: 'Saving',
+        done: 'Done',
+        failed: 'Failed'
+      };
+      const batches = this.getVisibleBatches(batch);
+      fileList.innerHTML = batches.map(shown => `
+        ${batches.length > 1 ? `<div class="progress-batch-title">${this.escapeHtml(this.describeBatch(shown))}</div>` : ''}
+        ${shown.files.map(entry => `
+          <div class="progress-file ${entry.status}">
+            <div class="progress-file-header">
+              <span class="progress-file-name">${this.escapeHtml(entry.path || entry.relativePath || entry.name)}</span>
+              <span class="progress-file-status" title="${this.escapeHtml(entry.error || '')}">${labels[entry.status]}</span>
+            </div>
+            <div class="progress-bar-container">
+              <div class="progress-bar" id="progress_${this.escapeHtml(shown.id)}_${entry.fileId}"></div>
+            </div>
+          </div>
+        `).join('')}
+      `).join('');
     }
 
-    const progress = (transfer.received / transfer.fileSize) * 100;
-    this.updateTransferProgress(transferId, progress);
+    this.updateTransferProgress(batch, true);
   }
 
   /**
-   * Handle file complete
+   * Batches shown in the transfer panel: all running ones, plus one that just finished
    */
-  handleFileComplete(userId, message) {
-    const { transferId } = message;
-    const transfer = this.fileTransfers.get(transferId);
-
-    if (!transfer) return;
+  getVisibleBatches(batch) {
+    const batches = Array.from(this.fileTransfers.values());
+    return batches.includes(batch) ? batches : [...batches, batch];
+  }
 
-    // Reconstruct file from chunks
-    const blob = new Blob(transfer.chunks, { type: 'application/octet-stream' });
-    
-    // Download file
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = transfer.fileName;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+  /**
+   * One line summary of a batch for the transfer panel
+   */
+  describeBatch(batch) {
+    const deviceName = this.devices.get(batch.peerId)?.deviceName || 'the other device';
+    if (batch.interrupted) {
+      return `Waiting for ${deviceName} to reconnect...`;
+    }
 
-    const duration = (Date.now() - transfer.startTime) / 1000;
-    this.updateStatus(`File received: ${transfer.fileName} (${duration.toFixed(2)}s)`, 'success');
-    this.fileTransfers.delete(transferId);
+    // Relayed transfers are limited by the server's bandwidth, so say why they are slow
+    const relayed = this.isRelayed(batch.peerId) ? ' (relayed)' : '';
+    const current = batch.currentFileId !== null ? batch.files[batch.currentFileId] : null;
+    if (current) {
+      return `${batch.direction === 'send' ? 'Sending' : 'Receiving'} ${current.fileId + 1} of ${batch.files.length}: ${current.relativePath}${relayed}`;
+    }
+    return `${batch.direction === 'send' ? 'To' : 'From'} ${deviceName}${relayed}`;
   }
 
   /**
-   * Handle file error
+   * Measure throughput over a sliding window of THROUGHPUT_WINDOW ms
    */
-  handleFileError(userId, message) {
-    const { transferId, error } = message;
-    this.updateStatus(`File transfer error: ${error}`, 'error');
-    this.fileTransfers.delete(transferId);
+  measureThroughput(batch, now) {
+    if (!batch.throughputSample) {
+      batch.throughputSample = { time: batch.startTime, bytes: 0 };
+    }
+
+    const elapsed = now - batch.throughputSample.time;
+    if (elapsed >= THROUGHPUT_WINDOW) {
+      batch.throughput = ((batch.bytesMoved - batch.throughputSample.bytes) * 1000) / elapsed;
+      batch.throughputSample = { time: now, bytes: batch.bytesMoved };
+    }
+
+    // Before the first full window, fall back to the average so far
+    if (batch.throughput === undefined) {
+      return now > batch.startTime ? (batch.bytesMoved * 1000) / (now - batch.startTime) : 0;
+    }
+    return batch.throughput;
   }
 
   /**
-   * Update transfer progress
+   * Update transfer progress. Per-chunk updates are throttled unless forced.
+   * With several batches running, the summary covers all of them.
    */
-  updateTransferProgress(transferId, progress) {
-    const progressBar = document.getElementById(`progress_${transferId}`);
-    if (progressBar) {
-      progressBar.style.width = `${progress}%`;
+  updateTransferProgress(batch, force = false) {
+    const now = Date.now();
+    if (!force && now - (batch.lastProgressUpdate || 0) < PROGRESS_INTERVAL) {
+      return;
     }
+    batch.lastProgressUpdate = now;
+
+    const batches = this.getVisibleBatches(batch);
+    let totalSize = 0;
+    let transferred = 0;
+    let fileCount = 0;
+    let finished = 0;
+    let speed = 0;
+
+    batches.forEach((shown) => {
+      totalSize += shown.totalSize;
+      transferred += shown.transferred;
+      fileCount += shown.files.length;
+      finished += shown.files.filter(entry => entry.status === 'done' || entry.status === 'failed').length;
+      speed += this.measureThroughput(shown, now);
+
+      shown.files.forEach((entry) => {
+        const fileBar = document.getElementById(`progress_${shown.id}_${entry.fileId}`);
+        if (fileBar) {
+          const progress = entry.status === 'done' ? 100 : entry.size > 0 ? (entry.transferred / entry.size) * 100 : 0;
+          fileBar.style.width = `${progress}%`;
+        }
+      });
+    });
+
+    const overall = totalSize > 0
+      ? (transferred / totalSize) * 100
+      : (fileCount > 0 ? (finished / fileCount) * 100 : 100);
+    const remaining = speed > 0 ? (totalSize - transferred) / speed : null;
+
+    const elements = {
+      progressTitle: batches.length > 1 ? `${batches.length} transfers` : this.describeBatch(batch),
+      progressPercentage: `${overall.toFixed(0)}%`,
+      progressSpeed: `${this.formatFileSize(Math.round(speed))}/s`,
+      progressTime: remaining !== null ? this.formatDuration(remaining) : '--:--',
+      progressUploaded: `${this.formatFileSize(transferred)} / ${this.formatFileSize(totalSize)}`
+    };
+    Object.entries(elements).forEach(([id, text]) => {
+      const element = document.getElementById(id);
+      if (element) {
+        element.textContent = text;
+      }
+    });
 
-    // Also update in status
-    const percent = progress.toFixed(0);
-    console.log(`Transfer ${transferId}: ${percent}%`);
+    const progressBar = document.getElementById('progressBar');
+    if (progressBar) {
+      progressBar.style.width = `${overall}%`;
+    }
   }
 
   /**
    * Get selected device
    */
   getSelectedDevice() {
-    const selected = document.querySelector('.device-item.selected');
-    return selected ? selected.getAttribute('data-user-id') : null;
+    return this.selectedPeerId;
   }
 
   /**
    * Close peer connection
    */
-  closePeerConnection(userId) {
-    const peerConnection = this.peerConnections.get(userId);
+  closePeerConnection(peerId) {
+    const peerConnection = this.peerConnections.get(peerId);
     if (peerConnection) {
       peerConnection.close();
-      this.peerConnections.delete(userId);
+      this.peerConnections.delete(peerId);
     }
 
-    const dataChannel = this.datachannels.get(userId);
+    const dataChannel = this.datachannels.get(peerId);
     if (dataChannel) {
       dataChannel.close();
-      this.datachannels.delete(userId);
+      this.datachannels.delete(peerId);
     }
 
+    clearTimeout(this.relayRequests.get(peerId));
+    this.relayRequests.delete(peerId);
+    this.fingerprints.delete(peerId);
+    this.pendingCandidates.delete(peerId);
     this.renderDeviceList();
   }
 
@@ -746,6 +3887,12 @@ class ShearPointApp {
    * Send signaling message
    */
   sendSignalingMessage(message) {
+    const validation = this.protocol.validateMessage(message, 'client');
+    if (!validation.valid) {
+      console.error('Refusing to send invalid signaling message:', validation.error);
+      return;
+    }
+
     if (this.signalingServer && this.signalingServer.readyState === WebSocket.OPEN) {
       this.signalingServer.send(JSON.stringify(message));
     }
@@ -760,9 +3907,28 @@ class ShearPointApp {
       statusElement.textContent = message;
       statusElement.className = `status status-${type}`;
     }
+
+    // Mirror into the status log of index.html
+    if (typeof window.addStatusMessage === 'function') {
+      window.addStatusMessage(message, type, new Date().toLocaleTimeString());
+    }
     console.log(`[${type.toUpperCase()}] ${message}`);
   }
 
+  /**
+   * Reflect the signaling connection in the header indicator
+   */
+  setConnectionIndicator(online) {
+    const indicator = document.getElementById('statusIndicator');
+    const label = document.getElementById('connectionStatus');
+    if (indicator) {
+      indicator.classList.toggle('active', online);
+    }
+    if (label) {
+      label.textContent = online ? 'Online' : 'Offline';
+    }
+  }
+
   /**
    * Prevent default drag and drop behavior
    */
@@ -782,6 +3948,14 @@ class ShearPointApp {
     return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
   }
 
+  /**
+   * Format a duration in seconds as m:ss
+   */
+  formatDuration(seconds) {
+    const total = Math.max(0, Math.round(seconds));
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+  }
+
   /**
    * Escape HTML
    */
@@ -801,13 +3975,13 @@ class ShearPointApp {
    */
   destroy() {
     // Close all peer connections
-    this.peerConnections.forEach((pc, userId) => {
-      this.closePeerConnection(userId);
+    this.peerConnections.forEach((pc, peerId) => {
+      this.closePeerConnection(peerId);
     });
 
-    // Close signaling connection
+    // Close signaling connection; a normal close tells the server we left for good
     if (this.signalingServer) {
-      this.signalingServer.close();
+      this.signalingServer.close(1000);
     }
   }
 }
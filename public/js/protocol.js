@@ -0,0 +1,483 @@
+/**
+ * ShearPoint - Signaling protocol
+ * protocol.js - Versioned message definitions shared by the signaling servers and the browser client
+ *
+ * Loaded with require() by the Node.js servers and as a plain <script> in the
+ * browser, where it is exposed as `window.ShearPointProtocol`.
+ *
+ * Connection flow:
+ *   1. server -> client  welcome    { peerId, protocolVersion, minProtocolVersion, serverTime, sessionToken, challenge }
+ *   2. client -> server  register   { protocolVersion, device, identity, resume }
+ *   3. server -> client  registered { peerId, resumed, device, protocolVersion, identityId }
+ *
+ * The server rejects any client that does not register first with a supported
+ * protocolVersion by sending an `error` with code `unsupported-protocol-version`
+ * and closing the socket with CLOSE_CODES.UNSUPPORTED_PROTOCOL.
+ *
+ * Identity and session resumption:
+ *   - `identity` { publicKey, signature } is the browser's persistent ECDSA P-256 public key
+ *     (base64 SPKI) and its signature of the welcome `challenge` (base64, IEEE P1363). The server
+ *     answers with the derived `identityId` and shows it in peer lists. A wrong signature fails
+ *     with `invalid-identity`.
+ *   - `resume` { peerId, sessionToken } presents the peerId and welcome sessionToken of the
+ *     previous connection. Within the server's grace period, and from the same network and
+ *     identity, the client gets that peer entry back (`registered.resumed`, `registered.peerId`)
+ *     and receives the signaling messages sent to it meanwhile; other peers see no leave or join.
+ *     Otherwise it registers as the welcome peerId. A session resumed on another socket closes
+ *     the old one with CLOSE_CODES.SESSION_RESUMED.
+ *
+ * Pairing flow:
+ *   1. device A -> server  pair-create                     server -> A  pair-code { code, expiresAt }
+ *   2. device B -> server  pair-join { code }              server -> A, B  paired { pairingId, secret, peer }
+ *   3. both devices store the secret and send it in `register.pairings` from then on
+ *
+ * Rooms:
+ *   room-create / room-join { code } / room-leave   ->   room-joined { code, expiresAt } / room-left { code, reason }
+ *
+ * Relay, for peers whose direct connection failed:
+ *   1. both peers -> server  relay-request { targetPeerId }    server -> other peer  relay-request { fromPeerId }
+ *   2. once both asked: server -> both  relay-open { peerId }
+ *   3. data channel messages: relay-data { targetPeerId, payload } -> relay-data { fromPeerId, payload },
+ *      binary messages as relay frames (see encodeRelayFrame) addressed to the target and rewritten to name the sender
+ *   4. relay-close { targetPeerId } -> relay-close { peerId, reason }, also sent by the server when the
+ *      relay quota ran out ('quota'), the other peer left ('disconnected') or relaying is off ('unavailable')
+ *
+ * File batches travel peer to peer over the WebRTC data channel (PEER_MESSAGES):
+ *   1. sender -> receiver  batch-offer { batchId, files, totalSize, directories }    receiver -> sender  batch-accept { batchId }
+ *      The receiver asks its user first and may answer batch-decline { batchId, reason } instead, with
+ *      reason 'declined' or 'timeout'. Nothing else is sent for a batch before it was accepted.
+ *   2. for every file: file-start { batchId, fileId }, chunks, then file-complete { batchId, fileId, hash } or file-error.
+ *      Every binary message is one chunk frame (see encodeChunkFrame) that names its batch, file and offset,
+ *      so chunks of several batches, from several peers, can be in flight at once.
+ *      The receiver asks again for a chunk whose SHA-256 does not match with chunk-request { batchId, fileId, offset, size }
+ *      and confirms the bytes it has written with file-ack { batchId, fileId, offset }; the sender stays within a
+ *      window of unconfirmed bytes.
+ *   3. sender -> receiver  batch-complete { batchId }    receiver -> sender  batch-result { batchId, failed }
+ *
+ * Text snippets use the same consent step as batches:
+ *   sender -> receiver  text-offer { textId, length }    receiver -> sender  text-accept { textId } or text-decline { textId, reason }
+ *   sender -> receiver  text { textId, text }    (at most MAX_TEXT_LENGTH characters)
+ *
+ * A chunk hash is the hex SHA-256 of its bytes; a file hash is the SHA-256 of
+ * the binary digests of its chunks, concatenated in file order.
+ *
+ * After a dropped connection the sender reconnects and asks where to continue:
+ *   sender -> receiver  file-resume { batchId }    receiver -> sender  file-resume-ack { batchId, fileId, offset }
+ * A receiver that no longer knows the batch answers batch-cancel { batchId, reason }.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ShearPointProtocol = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const PROTOCOL_VERSION = 1;
+  const MIN_PROTOCOL_VERSION = 1;
+
+  const ERROR_CODES = {
+    UNSUPPORTED_PROTOCOL_VERSION: 'unsupported-protocol-version',
+    NOT_REGISTERED: 'not-registered',
+    INVALID_MESSAGE: 'invalid-message',
+    UNKNOWN_MESSAGE_TYPE: 'unknown-message-type',
+    PEER_UNAVAILABLE: 'peer-unavailable',
+    INVALID_PAIRING_CODE: 'invalid-pairing-code',
+    TOO_MANY_PAIRING_ATTEMPTS: 'too-many-pairing-attempts',
+    ROOM_NOT_FOUND: 'room-not-found',
+    FEATURE_DISABLED: 'feature-disabled',
+    INVALID_IDENTITY: 'invalid-identity'
+  };
+
+  const CLOSE_CODES = {
+    UNSUPPORTED_PROTOCOL: 4000,
+    RATE_LIMITED: 4001,
+    TOO_MANY_CONNECTIONS: 4002,
+    SESSION_RESUMED: 4003,
+    REMOVED: 4004
+  };
+
+  // Field types: 'string', 'number', 'boolean', 'object', 'array', 'any'. A trailing '?'
+  // marks the field optional.
+  const CLIENT_MESSAGES = {
+    register: {
+      protocolVersion: 'number',
+      device: 'object?',
+      pairings: 'array?',
+      identity: 'object?',
+      resume: 'object?'
+    },
+    'peer-list-request': {},
+    'pair-create': {},
+    'pair-join': { code: 'string' },
+    'pair-remove': { secret: 'string' },
+    'room-create': {},
+    'room-join': { code: 'string' },
+    'room-leave': {},
+    offer: { targetPeerId: 'string', payload: 'object' },
+    answer: { targetPeerId: 'string', payload: 'object' },
+    'ice-candidate': { targetPeerId: 'string', payload: 'object' },
+    'relay-request': { targetPeerId: 'string' },
+    'relay-data': { targetPeerId: 'string', payload: 'string' },
+    'relay-close': { targetPeerId: 'string' },
+    heartbeat: {}
+  };
+
+  const SERVER_MESSAGES = {
+    welcome: {
+      peerId: 'string',
+      protocolVersion: 'number',
+      minProtocolVersion: 'number',
+      serverTime: 'string',
+      sessionToken: 'string?',
+      challenge: 'string?'
+    },
+    registered: {
+      device: 'object',
+      protocolVersion: 'number',
+      peerId: 'string?',
+      resumed: 'boolean?',
+      identityId: 'string?',
+      pairings: 'array?',
+      relay: 'object?'
+    },
+    'peer-list': { peers: 'array' },
+    'pair-code': { code: 'string', expiresAt: 'number' },
+    paired: { pairingId: 'string', secret: 'string', peer: 'object' },
+    unpaired: { pairingId: 'string' },
+    'room-joined': { code: 'string', expiresAt: 'number' },
+    'room-left': { code: 'string', reason: 'string' },
+    offer: { fromPeerId: 'string', payload: 'object' },
+    answer: { fromPeerId: 'string', payload: 'object' },
+    'ice-candidate': { fromPeerId: 'string', payload: 'object' },
+    'relay-request': { fromPeerId: 'string' },
+    'relay-open': { peerId: 'string' },
+    'relay-data': { fromPeerId: 'string', payload: 'string' },
+    'relay-close': { peerId: 'string', reason: 'string' },
+    'heartbeat-ack': {},
+    error: { code: 'string', error: 'string' }
+  };
+
+  // Messages exchanged between two browsers over the data channel
+  const PEER_MESSAGES = {
+    'batch-offer': { batchId: 'string', files: 'array', totalSize: 'number', directories: 'array?' },
+    'batch-accept': { batchId: 'string' },
+    'batch-decline': { batchId: 'string', reason: 'string' },
+    'file-start': { batchId: 'string', fileId: 'number' },
+    'chunk-request': { batchId: 'string', fileId: 'number', offset: 'number', size: 'number' },
+    'file-complete': { batchId: 'string', fileId: 'number', hash: 'string' },
+    'file-error': { batchId: 'string', fileId: 'number', error: 'string' },
+    'batch-complete': { batchId: 'string' },
+    'batch-result': { batchId: 'string', failed: 'array' },
+    'batch-cancel': { batchId: 'string', reason: 'string' },
+    'file-resume': { batchId: 'string' },
+    'file-resume-ack': { batchId: 'string', fileId: 'number', offset: 'number' },
+    'file-ack': { batchId: 'string', fileId: 'number', offset: 'number' },
+    'text-offer': { textId: 'string', length: 'number' },
+    'text-accept': { textId: 'string' },
+    'text-decline': { textId: 'string', reason: 'string' },
+    text: { textId: 'string', text: 'string' }
+  };
+
+  // Limits of the device description clients register with
+  const MAX_DEVICE_NAME_LENGTH = 64;
+  const MAX_DEVICE_TYPE_LENGTH = 32;
+  const MAX_CAPABILITIES = 16;
+
+  // Longest text snippet; even fully escaped as JSON it fits one data channel message
+  const MAX_TEXT_LENGTH = 32 * 1024;
+
+  // Fields of every file entry in a batch-offer manifest
+  const MANIFEST_ENTRY = {
+    fileId: 'number',
+    name: 'string',
+    relativePath: 'string',
+    size: 'number',
+    type: 'string',
+    lastModified: 'number'
+  };
+
+  // Binary chunk frames, all integers big-endian:
+  //   u8 version | u8 batchId length | batchId (UTF-8) | u32 fileId | u32 seq
+  //   | u32 offset (high) | u32 offset (low) | SHA-256 of the payload (32 bytes) | payload
+  const CHUNK_FRAME_VERSION = 1;
+  const CHUNK_HASH_LENGTH = 32;
+  const MAX_BATCH_ID_LENGTH = 255;
+  // Largest possible header, for fitting frames into the data channel's message size
+  const MAX_CHUNK_HEADER_SIZE = 2 + MAX_BATCH_ID_LENGTH + 16 + CHUNK_HASH_LENGTH;
+
+  // Binary relay frames on the signaling socket: u8 peerId length | peerId (UTF-8) | data channel message
+  const MAX_PEER_ID_LENGTH = 255;
+
+  const textEncoder = new TextEncoder();
+  const textDecoder = new TextDecoder();
+
+  /**
+   * Check a single value against a field type
+   */
+  function matchesType(value, type) {
+    switch (type) {
+      case 'array':
+        return Array.isArray(value);
+      case 'object':
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'any':
+        return value !== undefined;
+      default:
+        return typeof value === type;
+    }
+  }
+
+  /**
+   * Validate a message against the definitions for its sender.
+   * `from` is 'client' for messages sent to the server, 'server' for
+   * messages sent to the browser and 'peer' for data channel messages.
+   */
+  function validateMessage(message, from) {
+    const definitions = { server: SERVER_MESSAGES, peer: PEER_MESSAGES }[from] || CLIENT_MESSAGES;
+
+    if (!message || typeof message !== 'object' || typeof message.type !== 'string') {
+      return { valid: false, code: ERROR_CODES.INVALID_MESSAGE, error: 'Message must be an object with a type' };
+    }
+
+    const fields = definitions[message.type];
+    if (!fields) {
+      return {
+        valid: false,
+        code: ERROR_CODES.UNKNOWN_MESSAGE_TYPE,
+        error: `Unknown message type '${message.type}'`
+      };
+    }
+
+    for (const [name, spec] of Object.entries(fields)) {
+      const optional = spec.endsWith('?');
+      const type = optional ? spec.slice(0, -1) : spec;
+      const value = message[name];
+
+      if (value === undefined || value === null) {
+        if (optional) continue;
+        return {
+          valid: false,
+          code: ERROR_CODES.INVALID_MESSAGE,
+          error: `'${message.type}' requires field '${name}'`
+        };
+      }
+
+      if (!matchesType(value, type)) {
+        return {
+          valid: false,
+          code: ERROR_CODES.INVALID_MESSAGE,
+          error: `'${message.type}' field '${name}' must be of type ${type}`
+        };
+      }
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Validate the file entries of a batch-offer manifest
+   */
+  function validateManifest(files) {
+    for (const [index, entry] of files.entries()) {
+      if (!entry || typeof entry !== 'object') {
+        return { valid: false, code: ERROR_CODES.INVALID_MESSAGE, error: `Manifest entry ${index} must be an object` };
+      }
+      for (const [name, type] of Object.entries(MANIFEST_ENTRY)) {
+        if (!matchesType(entry[name], type)) {
+          return {
+            valid: false,
+            code: ERROR_CODES.INVALID_MESSAGE,
+            error: `Manifest entry ${index} field '${name}' must be of type ${type}`
+          };
+        }
+      }
+      if (entry.fileId !== index || !Number.isSafeInteger(entry.size) || entry.size < 0) {
+        return { valid: false, code: ERROR_CODES.INVALID_MESSAGE, error: `Manifest entry ${index} is malformed` };
+      }
+    }
+    return { valid: true };
+  }
+
+  /**
+   * Pick the device fields a client registered with, so every peer that lists
+   * the device can rely on them: name and type become trimmed, length-limited
+   * strings (null when missing or not a string), capabilities a short list of
+   * strings.
+   */
+  function sanitizeDevice(device) {
+    const text = (value, max) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, max) : null);
+    const capabilities = Array.isArray(device?.capabilities) ? device.capabilities : [];
+    return {
+      name: text(device?.name, MAX_DEVICE_NAME_LENGTH),
+      type: text(device?.type, MAX_DEVICE_TYPE_LENGTH),
+      capabilities: capabilities
+        .map(capability => text(capability, MAX_DEVICE_TYPE_LENGTH))
+        .filter(Boolean)
+        .slice(0, MAX_CAPABILITIES)
+    };
+  }
+
+  /**
+   * Normalize a relative path from a manifest into 'a/b/c' form. Returns null for
+   * anything that could escape the target directory ('..', drive letters) or
+   * contains characters file systems reject.
+   */
+  function sanitizeRelativePath(path) {
+    if (typeof path !== 'string') {
+      return null;
+    }
+
+    const segments = [];
+    for (const segment of path.split(/[\\/]+/)) {
+      if (segment === '' || segment === '.') continue;
+      if (segment === '..' || segment.length > 255 || /[\x00-\x1f:*?"<>|]/.test(segment)) {
+        return null;
+      }
+      segments.push(segment);
+    }
+    return segments.length > 0 ? segments.join('/') : null;
+  }
+
+  /**
+   * Build the binary data channel message for one chunk.
+   * `header` is { batchId, fileId, seq, offset, hash } with the raw SHA-256 digest as hash.
+   */
+  function encodeChunkFrame(header, payload) {
+    const batchId = textEncoder.encode(header.batchId);
+    if (batchId.length === 0 || batchId.length > MAX_BATCH_ID_LENGTH) {
+      throw new Error(`Batch id must be 1-${MAX_BATCH_ID_LENGTH} bytes`);
+    }
+    if (header.hash.length !== CHUNK_HASH_LENGTH) {
+      throw new Error(`Chunk hash must be ${CHUNK_HASH_LENGTH} bytes`);
+    }
+
+    const headerSize = 2 + batchId.length + 16 + CHUNK_HASH_LENGTH;
+    const frame = new Uint8Array(headerSize + payload.byteLength);
+    const view = new DataView(frame.buffer);
+    let position = 0;
+
+    view.setUint8(position++, CHUNK_FRAME_VERSION);
+    view.setUint8(position++, batchId.length);
+    frame.set(batchId, position);
+    position += batchId.length;
+    view.setUint32(position, header.fileId);
+    view.setUint32(position + 4, header.seq >>> 0);
+    view.setUint32(position + 8, Math.floor(header.offset / 0x100000000));
+    view.setUint32(position + 12, header.offset >>> 0);
+    position += 16;
+    frame.set(header.hash, position);
+    position += CHUNK_HASH_LENGTH;
+    frame.set(new Uint8Array(payload.buffer || payload, payload.byteOffset || 0, payload.byteLength), position);
+
+    return frame.buffer;
+  }
+
+  /**
+   * Read a chunk frame. Returns { batchId, fileId, seq, offset, hash, data } with the
+   * payload copied into its own ArrayBuffer, or null for anything malformed.
+   */
+  function decodeChunkFrame(buffer) {
+    const bytes = new Uint8Array(buffer);
+    if (bytes.length < 2 || bytes[0] !== CHUNK_FRAME_VERSION) {
+      return null;
+    }
+
+    const batchIdLength = bytes[1];
+    const headerSize = 2 + batchIdLength + 16 + CHUNK_HASH_LENGTH;
+    if (batchIdLength === 0 || bytes.length < headerSize) {
+      return null;
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const position = 2 + batchIdLength;
+    const offset = view.getUint32(position + 8) * 0x100000000 + view.getUint32(position + 12);
+    if (!Number.isSafeInteger(offset)) {
+      return null;
+    }
+
+    return {
+      batchId: textDecoder.decode(bytes.subarray(2, position)),
+      fileId: view.getUint32(position),
+      seq: view.getUint32(position + 4),
+      offset,
+      hash: bytes.slice(position + 16, headerSize),
+      data: bytes.slice(headerSize).buffer
+    };
+  }
+
+  /**
+   * Wrap a binary data channel message for the relay. `peerId` is the target when
+   * a client sends the frame and the sender when the server forwards it.
+   */
+  function encodeRelayFrame(peerId, payload) {
+    const id = textEncoder.encode(peerId);
+    if (id.length === 0 || id.length > MAX_PEER_ID_LENGTH) {
+      throw new Error(`Peer id must be 1-${MAX_PEER_ID_LENGTH} bytes`);
+    }
+
+    const frame = new Uint8Array(1 + id.length + payload.byteLength);
+    frame[0] = id.length;
+    frame.set(id, 1);
+    frame.set(new Uint8Array(payload.buffer || payload, payload.byteOffset || 0, payload.byteLength), 1 + id.length);
+    return frame.buffer;
+  }
+
+  /**
+   * Read a relay frame. Returns { peerId, data } with the message copied into its
+   * own ArrayBuffer, or null for anything malformed.
+   */
+  function decodeRelayFrame(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    if (bytes.length < 1 || bytes[0] === 0 || bytes.length < 1 + bytes[0]) {
+      return null;
+    }
+
+    return {
+      peerId: textDecoder.decode(bytes.subarray(1, 1 + bytes[0])),
+      // A copy, not slice(): on a Node.js Buffer slice() shares memory
+      data: new Uint8Array(bytes.subarray(1 + bytes[0])).buffer
+    };
+  }
+
+  /**
+   * Whether a protocol version announced by the other side can be spoken
+   */
+  function isSupportedVersion(version, minVersion = MIN_PROTOCOL_VERSION, maxVersion = PROTOCOL_VERSION) {
+    return Number.isInteger(version) && version >= minVersion && version <= maxVersion;
+  }
+
+  /**
+   * Human readable explanation for a version mismatch
+   */
+  function describeVersionMismatch(version) {
+    const range = MIN_PROTOCOL_VERSION === PROTOCOL_VERSION
+      ? `version ${PROTOCOL_VERSION}`
+      : `versions ${MIN_PROTOCOL_VERSION}-${PROTOCOL_VERSION}`;
+    const announced = version === undefined ? 'no protocol version' : `protocol version ${version}`;
+    return `Client announced ${announced}, but this server speaks ${range}. Please reload the page to update ShearPoint.`;
+  }
+
+  return {
+    PROTOCOL_VERSION,
+    MIN_PROTOCOL_VERSION,
+    ERROR_CODES,
+    CLOSE_CODES,
+    CLIENT_MESSAGES,
+    SERVER_MESSAGES,
+    PEER_MESSAGES,
+    MAX_TEXT_LENGTH,
+    validateMessage,
+    validateManifest,
+    sanitizeDevice,
+    MAX_CHUNK_HEADER_SIZE,
+    encodeChunkFrame,
+    decodeChunkFrame,
+    encodeRelayFrame,
+    decodeRelayFrame,
+    sanitizeRelativePath,
+    isSupportedVersion,
+    describeVersionMismatch
+  };
+}));
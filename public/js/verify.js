@@ -0,0 +1,96 @@
+/**
+ * ShearPoint - Peer verification
+ * verify.js - Short authentication strings derived from DTLS fingerprints
+ *
+ * The data channel is encrypted with the DTLS certificates whose fingerprints
+ * are announced in the SDP. Both SDPs travel through the signaling server, so a
+ * compromised server could swap in its own certificates and sit in the middle.
+ * Both users derive a safety code from the two fingerprints each of them sees;
+ * the codes only match when nobody replaced a certificate on the way.
+ * Exposed as `window.ShearPointVerify` in the browser.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./hash'));
+  } else {
+    root.ShearPointVerify = factory(root.ShearPointHash);
+  }
+}(typeof self !== 'undefined' ? self : this, function (hash) {
+  'use strict';
+
+  // 64 emoji that are easy to tell apart and to name out loud
+  const EMOJI = [
+    ['🐶', 'Dog'], ['🐱', 'Cat'], ['🦁', 'Lion'], ['🐎', 'Horse'],
+    ['🦄', 'Unicorn'], ['🐷', 'Pig'], ['🐘', 'Elephant'], ['🐰', 'Rabbit'],
+    ['🐼', 'Panda'], ['🐓', 'Rooster'], ['🐧', 'Penguin'], ['🐢', 'Turtle'],
+    ['🐟', 'Fish'], ['🐙', 'Octopus'], ['🦋', 'Butterfly'], ['🌷', 'Flower'],
+    ['🌳', 'Tree'], ['🌵', 'Cactus'], ['🍄', 'Mushroom'], ['🌏', 'Globe'],
+    ['🌙', 'Moon'], ['☁️', 'Cloud'], ['🔥', 'Fire'], ['🍌', 'Banana'],
+    ['🍎', 'Apple'], ['🍓', 'Strawberry'], ['🌽', 'Corn'], ['🍕', 'Pizza'],
+    ['🎂', 'Cake'], ['❤️', 'Heart'], ['😀', 'Smiley'], ['🤖', 'Robot'],
+    ['🎩', 'Hat'], ['👓', 'Glasses'], ['🔧', 'Spanner'], ['🎅', 'Santa'],
+    ['👍', 'Thumbs Up'], ['☂️', 'Umbrella'], ['⌛', 'Hourglass'], ['⏰', 'Clock'],
+    ['🎁', 'Gift'], ['💡', 'Light Bulb'], ['📕', 'Book'], ['✏️', 'Pencil'],
+    ['📎', 'Paperclip'], ['✂️', 'Scissors'], ['🔒', 'Lock'], ['🔑', 'Key'],
+    ['🔨', 'Hammer'], ['☎️', 'Telephone'], ['🏁', 'Flag'], ['🚂', 'Train'],
+    ['🚲', 'Bicycle'], ['✈️', 'Aeroplane'], ['🚀', 'Rocket'], ['🏆', 'Trophy'],
+    ['⚽', 'Ball'], ['🎸', 'Guitar'], ['🎺', 'Trumpet'], ['🔔', 'Bell'],
+    ['⚓', 'Anchor'], ['🎧', 'Headphones'], ['📁', 'Folder'], ['📌', 'Pin']
+  ];
+  const EMOJI_COUNT = 7; // 42 bits
+  const DIGIT_GROUPS = 3; // 39 bits
+
+  /**
+   * The DTLS fingerprint of an SDP, e.g. "sha-256 AB:CD:...". An SDP may repeat
+   * it per media section; differing fingerprints are all kept, sorted.
+   */
+  function getFingerprint(sdp) {
+    const fingerprints = new Set();
+    String(sdp || '').split(/\r?\n/).forEach((line) => {
+      const match = /^a=fingerprint:(\S+)\s+([0-9a-f:]+)\s*$/i.exec(line);
+      if (match) {
+        fingerprints.add(`${match[1].toLowerCase()} ${match[2].toUpperCase()}`);
+      }
+    });
+    return fingerprints.size > 0 ? Array.from(fingerprints).sort().join(', ') : null;
+  }
+
+  /**
+   * Read `count` bits starting at bit `start` of a byte array
+   */
+  function readBits(bytes, start, count) {
+    let value = 0;
+    for (let i = start; i < start + count; i++) {
+      value = value * 2 + ((bytes[i >> 3] >> (7 - (i & 7))) & 1);
+    }
+    return value;
+  }
+
+  /**
+   * Safety code for a connection. Both sides pass their own fingerprint first
+   * and get the same code, since the pair is sorted before hashing.
+   */
+  async function getSafetyCode(localFingerprint, remoteFingerprint) {
+    const input = [localFingerprint, remoteFingerprint].sort().join('\n');
+    const digest = await hash.sha256(new TextEncoder().encode(`ShearPoint SAS v1\n${input}`));
+
+    const emoji = [];
+    for (let i = 0; i < EMOJI_COUNT; i++) {
+      const [symbol, name] = EMOJI[readBits(digest, i * 6, 6)];
+      emoji.push({ symbol, name });
+    }
+
+    // Four-digit groups from 1000 to 9191, so none starts with a zero
+    const digits = [];
+    for (let i = 0; i < DIGIT_GROUPS; i++) {
+      digits.push(1000 + readBits(digest, 64 + i * 13, 13));
+    }
+
+    return { emoji, digits: digits.join(' ') };
+  }
+
+  return {
+    getFingerprint,
+    getSafetyCode
+  };
+}));
@@ -0,0 +1,288 @@
+/**
+ * ShearPoint - ZIP archives
+ * zip.js - Minimal ZIP writer used to save received folders as a single download,
+ * built in memory or streamed
+ *
+ * Entries are stored uncompressed: received files are usually already
+ * compressed (media, archives) and storing keeps the writer small and fast.
+ * Exposed as `window.ShearPointZip` in the browser.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ShearPointZip = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Without ZIP64 records sizes, offsets and the entry count are limited
+  const MAX_ZIP_SIZE = 0xffffffff;
+  const MAX_ZIP_ENTRIES = 0xffff;
+
+  const FLAG_DATA_DESCRIPTOR = 0x0008;
+  const FLAG_UTF8 = 0x0800;
+  const DIRECTORY_ATTRIBUTE = 0x10;
+
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  /**
+   * CRC-32 of a byte array; pass the CRC of the preceding bytes to continue it
+   */
+  function crc32(bytes, previous = 0) {
+    let crc = previous ^ 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * MS-DOS time and date fields for a timestamp
+   */
+  function toDosDateTime(timestamp) {
+    const date = new Date(timestamp);
+    const year = Math.max(1980, date.getFullYear());
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  /**
+   * Encode an entry's name and timestamp; `record` later collects its CRC, size and offset
+   */
+  function describeEntry(entry, encoder) {
+    return {
+      name: encoder.encode(entry.directory ? `${entry.path}/` : entry.path),
+      directory: Boolean(entry.directory),
+      flags: FLAG_UTF8,
+      crc: 0,
+      size: 0,
+      offset: 0,
+      ...toDosDateTime(entry.lastModified || Date.now())
+    };
+  }
+
+  function localHeader(record) {
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true); // Local file header signature
+    local.setUint16(4, 20, true); // Version needed to extract
+    local.setUint16(6, record.flags, true);
+    local.setUint16(8, 0, true); // Stored
+    local.setUint16(10, record.time, true);
+    local.setUint16(12, record.date, true);
+    local.setUint32(14, record.crc, true);
+    local.setUint32(18, record.size, true);
+    local.setUint32(22, record.size, true);
+    local.setUint16(26, record.name.length, true);
+    local.setUint16(28, 0, true);
+    return local;
+  }
+
+  function dataDescriptor(record) {
+    const descriptor = new DataView(new ArrayBuffer(16));
+    descriptor.setUint32(0, 0x08074b50, true); // Data descriptor signature
+    descriptor.setUint32(4, record.crc, true);
+    descriptor.setUint32(8, record.size, true);
+    descriptor.setUint32(12, record.size, true);
+    return descriptor;
+  }
+
+  function centralHeader(record) {
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true); // Central directory header signature
+    central.setUint16(4, 20, true); // Version made by
+    central.setUint16(6, 20, true); // Version needed to extract
+    central.setUint16(8, record.flags, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, record.time, true);
+    central.setUint16(14, record.date, true);
+    central.setUint32(16, record.crc, true);
+    central.setUint32(20, record.size, true);
+    central.setUint32(24, record.size, true);
+    central.setUint16(28, record.name.length, true);
+    central.setUint32(38, record.directory ? DIRECTORY_ATTRIBUTE : 0, true);
+    central.setUint32(42, record.offset, true);
+    return central;
+  }
+
+  /**
+   * Central directory and end record for the entries written so far
+   */
+  function centralDirectory(records, offset) {
+    const parts = records.flatMap(record => [centralHeader(record), record.name]);
+    const centralSize = parts.reduce((sum, part) => sum + part.byteLength, 0);
+    if (offset + centralSize > MAX_ZIP_SIZE) {
+      throw new Error('ZIP archives are limited to 4 GB');
+    }
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // End of central directory signature
+    end.setUint16(8, records.length, true);
+    end.setUint16(10, records.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    return [...parts, end];
+  }
+
+  /**
+   * Build a ZIP archive. Each entry is { path, blob, lastModified } for a file
+   * or { path, directory: true } for an (empty) directory.
+   */
+  async function createZip(entries) {
+    if (entries.length > MAX_ZIP_ENTRIES) {
+      throw new Error(`ZIP archives are limited to ${MAX_ZIP_ENTRIES} entries`);
+    }
+
+    const encoder = new TextEncoder();
+    const parts = [];
+    const records = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+      const record = describeEntry(entry, encoder);
+      const data = entry.directory ? new Uint8Array(0) : new Uint8Array(await entry.blob.arrayBuffer());
+      record.crc = crc32(data);
+      record.size = data.length;
+      record.offset = offset;
+
+      if (offset + 30 + record.name.length + data.length > MAX_ZIP_SIZE) {
+        throw new Error('ZIP archives are limited to 4 GB');
+      }
+
+      parts.push(localHeader(record), record.name, data);
+      records.push(record);
+      offset += 30 + record.name.length + data.length;
+    }
+
+    return new Blob([...parts, ...centralDirectory(records, offset)], { type: 'application/zip' });
+  }
+
+  /**
+   * Whether files ({ path, size }) and directory paths fit in one archive without
+   * ZIP64, counting headers and data descriptors
+   */
+  function fitsInZip(files, directories = []) {
+    if (files.length + directories.length > MAX_ZIP_ENTRIES) {
+      return false;
+    }
+    const encoder = new TextEncoder();
+    let size = 22;
+    files.forEach((file) => {
+      size += 30 + 16 + 46 + 2 * encoder.encode(file.path).length + file.size;
+    });
+    directories.forEach((path) => {
+      size += 30 + 46 + 2 * encoder.encode(`${path}/`).length;
+    });
+    return size <= MAX_ZIP_SIZE;
+  }
+
+  /**
+   * Write a ZIP archive piece by piece, for archives too large to hold in memory.
+   * `write(buffer)` receives every piece as an ArrayBuffer, in order, and may
+   * return a promise to slow the writer down.
+   *
+   * addFile({ path, size, lastModified }) resolves, once the file before it is
+   * closed, with a sink: write(data) appends bytes, commit() finishes the entry
+   * and abort() drops it. The CRC is only known at the end, so it follows the
+   * data in a data descriptor. Dropped entries stay in the stream but are left
+   * out of the central directory, so unzip tools do not list them.
+   * finish(directories) adds the (empty) directories and ends the archive.
+   */
+  function createZipWriter(write) {
+    const encoder = new TextEncoder();
+    const records = [];
+    let offset = 0;
+    let previous = Promise.resolve(); // Closes when the last opened entry is committed or aborted
+
+    // Headers are copied: `write` may transfer the buffer, and names are needed again at the end
+    const append = (part) => {
+      offset += part.byteLength;
+      return write(new Uint8Array(part.buffer, part.byteOffset, part.byteLength).slice().buffer);
+    };
+
+    const checkLimits = (bytes) => {
+      if (records.length >= MAX_ZIP_ENTRIES) {
+        throw new Error(`ZIP archives are limited to ${MAX_ZIP_ENTRIES} entries`);
+      }
+      if (offset + bytes > MAX_ZIP_SIZE) {
+        throw new Error('ZIP archives are limited to 4 GB');
+      }
+    };
+
+    function addFile(entry) {
+      const opened = previous.then(async () => {
+        const record = describeEntry(entry, encoder);
+        record.flags |= FLAG_DATA_DESCRIPTOR;
+        record.offset = offset;
+        checkLimits(30 + record.name.length + entry.size + 16);
+
+        await append(localHeader(record));
+        await append(record.name);
+
+        let close;
+        const closed = new Promise((resolve) => {
+          close = resolve;
+        });
+        return {
+          closed,
+          write: (data) => {
+            // Written buffers may be transferred elsewhere, so the CRC comes first
+            const bytes = new Uint8Array(data);
+            record.crc = crc32(bytes, record.crc);
+            record.size += bytes.length;
+            offset += bytes.length;
+            return write(data);
+          },
+          commit: async () => {
+            try {
+              await append(dataDescriptor(record));
+              records.push(record);
+            } finally {
+              close();
+            }
+          },
+          abort: () => close()
+        };
+      });
+      previous = opened.then(sink => sink.closed, () => {});
+      return opened;
+    }
+
+    async function finish(directories = []) {
+      await previous;
+      for (const path of directories) {
+        const record = describeEntry({ path, directory: true }, encoder);
+        record.offset = offset;
+        checkLimits(30 + record.name.length);
+        await append(localHeader(record));
+        await append(record.name);
+        records.push(record);
+      }
+      for (const part of centralDirectory(records, offset)) {
+        await append(part);
+      }
+      return records.length;
+    }
+
+    return { addFile, finish };
+  }
+
+  return {
+    crc32,
+    createZip,
+    createZipWriter,
+    fitsInZip
+  };
+}));
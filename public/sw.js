@@ -0,0 +1,105 @@
+/**
+ * ShearPoint - Service worker
+ * sw.js - Streams received files into regular browser downloads
+ *
+ * A page cannot hand a stream to the browser's download manager directly.
+ * Instead app.js sends a `stream-download` message with a MessagePort; this
+ * worker answers with a URL, and loading that URL starts a download whose body
+ * is fed chunk by chunk from the port. The download asks for every chunk
+ * (`pull`), so at most a few chunks wait here no matter how large the file is.
+ * Only requests below stream-download/ are handled; everything else goes to
+ * the network as usual.
+ */
+const DOWNLOAD_PATH = 'stream-download/';
+const QUEUED_CHUNKS = 16;
+
+const downloads = new Map(); // id -> { stream, fileName, size, mimeType }
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', event => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('message', (event) => {
+  const message = event.data || {};
+  const port = event.ports[0];
+  // keep-alive messages only exist to keep this worker running
+  if (message.type !== 'stream-download' || !port) return;
+
+  const id = self.crypto.randomUUID();
+  let delivered = null; // Resolves the running pull once the page sent something
+
+  const finish = () => {
+    downloads.delete(id);
+    port.close();
+  };
+
+  const stream = new ReadableStream({
+    start(controller) {
+      port.onmessage = ({ data }) => {
+        if (data.type === 'chunk') {
+          controller.enqueue(new Uint8Array(data.chunk));
+        } else if (data.type === 'end') {
+          controller.close();
+          finish();
+        } else if (data.type === 'abort') {
+          controller.error(new Error('Transfer failed'));
+          finish();
+        }
+        if (delivered) {
+          delivered();
+          delivered = null;
+        }
+      };
+    },
+    // Every pull lets the page send one more chunk
+    pull() {
+      return new Promise((resolve) => {
+        delivered = resolve;
+        port.postMessage({ type: 'pull' });
+      });
+    },
+    cancel() {
+      port.postMessage({ type: 'cancel' });
+      finish();
+    }
+  }, new CountQueuingStrategy({ highWaterMark: QUEUED_CHUNKS }));
+
+  downloads.set(id, {
+    stream,
+    fileName: String(message.fileName || 'download'),
+    size: message.size,
+    mimeType: message.mimeType
+  });
+
+  const url = new URL(`${DOWNLOAD_PATH}${id}/${encodeURIComponent(message.fileName || 'download')}`, self.registration.scope);
+  port.postMessage({ type: 'ready', url: url.href });
+});
+
+self.addEventListener('fetch', (event) => {
+  const prefix = new URL(DOWNLOAD_PATH, self.registration.scope).pathname;
+  const { pathname } = new URL(event.request.url);
+  if (!pathname.startsWith(prefix)) return;
+
+  const id = pathname.slice(prefix.length).split('/')[0];
+  const download = downloads.get(id);
+  downloads.delete(id);
+
+  if (!download) {
+    event.respondWith(new Response('Download not found', { status: 404 }));
+    return;
+  }
+
+  // RFC 5987 encoding; encodeURIComponent leaves a few reserved characters alone
+  const encodedName = encodeURIComponent(download.fileName)
+    .replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  const headers = {
+    'Content-Type': download.mimeType || 'application/octet-stream',
+    'Content-Disposition': `attachment; filename*=UTF-8''${encodedName}`,
+    'Content-Security-Policy': "default-src 'none'",
+    'X-Content-Type-Options': 'nosniff'
+  };
+  if (Number.isSafeInteger(download.size)) {
+    headers['Content-Length'] = String(download.size);
+  }
+
+  event.respondWith(new Response(download.stream, { headers }));
+});
@@ -0,0 +1,289 @@
+const express = require('express');
+const cors = require('cors');
+const WebSocket = require('ws');
+const os = require('os');
+const protocol = require('../public/js/protocol');
+const { sendPairingQr } = require('./pairing');
+const { createIceConfigHandler } = require('./ice');
+const { redactConfig } = require('./config');
+const { getServerLanAddress } = require('./network');
+const { version } = require('../package.json');
+
+/**
+ * REST API
+ *
+ * Health, server info, the admin endpoints (peers, devices, stats, status)
+ * and what clients fetch besides the WebSocket: the token check, pairing QR
+ * codes and ICE servers. Returns a router, so the API can be mounted into any
+ * Express app.
+ */
+function createApiRouter(context) {
+  const {
+    config,
+    accessControl,
+    connectionLimiter,
+    liveness,
+    peers,
+    deviceInventory,
+    pairingManager,
+    roomManager,
+    iceConfig,
+    relayManager
+  } = context;
+  const router = express.Router();
+  const serverAddress = () => getServerLanAddress() || 'localhost';
+
+  router.use(['/api', '/health'], cors(accessControl.corsOptions()));
+  router.use('/api', express.json(), express.urlencoded({ extended: true }));
+
+  /**
+   * Health check endpoint
+   */
+  router.get('/health', (req, res) => {
+    res.json({
+      status: 'ok',
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+      port: context.getPort()
+    });
+  });
+
+  /**
+   * Server info and the effective configuration, secrets redacted
+   */
+  router.get('/api/info', (req, res) => {
+    res.json({
+      server: 'ShearPoint WebRTC Signaling Server',
+      version,
+      protocolVersion: protocol.PROTOCOL_VERSION,
+      minProtocolVersion: protocol.MIN_PROTOCOL_VERSION,
+      port: context.getPort(),
+      address: serverAddress(),
+      uptime: process.uptime(),
+      timestamp: new Date().toISOString(),
+      capabilities: {
+        webrtc: config.modules.signaling,
+        websocket: config.modules.signaling,
+        peerDiscovery: config.modules.discovery,
+        relay: config.modules.signaling && relayManager.describe() !== null,
+        pairing: config.features.pairing,
+        rooms: config.features.rooms,
+        accessToken: accessControl.enabled
+      },
+      config: redactConfig(config)
+    });
+  });
+
+  /**
+   * Check an access token. Browsers cannot see why a WebSocket upgrade failed,
+   * so clients ask here whether theirs was rejected.
+   */
+  router.get('/api/auth', accessControl.requireAccess(), (req, res) => {
+    res.status(204).end();
+  });
+
+  /**
+   * Render a pairing code as a QR code
+   */
+  router.get('/api/pairing/qr/:code', accessControl.requireAccess(), sendPairingQr);
+
+  /**
+   * ICE servers for a new peer connection
+   */
+  router.get('/api/ice-config', accessControl.requireAccess(), createIceConfigHandler(iceConfig));
+
+  /**
+   * Get all connected peers and devices, optionally only those of one network bucket
+   */
+  router.get('/api/peers', accessControl.requireAdmin(), (req, res) => {
+    const { bucket } = req.query;
+    const list = peers.values()
+      .filter(p => !bucket || p.bucket === bucket)
+      .map(p => ({
+        peerId: p.peerId,
+        device: p.device,
+        identityId: p.identityId,
+        bucket: p.bucket,
+        connectedAt: p.connectedAt,
+        lastHeartbeat: p.lastHeartbeat,
+        online: p.ws.readyState === WebSocket.OPEN
+      }));
+
+    res.json({
+      totalConnected: peers.size,
+      bucket: bucket || null,
+      registeredDevices: deviceInventory.size,
+      peers: list,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Get specific peer information
+   */
+  router.get('/api/peers/:peerId', accessControl.requireAdmin(), (req, res) => {
+    const { peerId } = req.params;
+    const peer = peers.get(peerId);
+
+    if (!peer) {
+      return res.status(404).json({
+        error: 'Peer not found',
+        peerId
+      });
+    }
+
+    res.json({
+      peerId: peer.peerId,
+      device: peer.device,
+      identityId: peer.identityId,
+      bucket: peer.bucket,
+      connectedAt: peer.connectedAt,
+      lastHeartbeat: peer.lastHeartbeat,
+      online: peer.ws.readyState === WebSocket.OPEN,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Get registered devices
+   */
+  router.get('/api/devices', accessControl.requireAdmin(), (req, res) => {
+    const devices = Array.from(deviceInventory.values());
+    res.json({
+      totalRegistered: devices.length,
+      devices,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Get specific device information
+   */
+  router.get('/api/devices/:deviceId', accessControl.requireAdmin(), (req, res) => {
+    const { deviceId } = req.params;
+    const device = deviceInventory.get(deviceId);
+
+    if (!device) {
+      return res.status(404).json({
+        error: 'Device not found',
+        deviceId
+      });
+    }
+
+    res.json({
+      device,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Disconnect a device; it cannot resume its session and has to register again
+   */
+  router.delete('/api/devices/:deviceId', accessControl.requireAdmin(), (req, res) => {
+    const { deviceId } = req.params;
+
+    if (!deviceInventory.has(deviceId)) {
+      return res.status(404).json({
+        error: 'Device not found',
+        deviceId
+      });
+    }
+
+    // Only registered peers are in the inventory
+    context.signaling.evictPeer(peers.get(deviceId), 'Removed by the administrator', protocol.CLOSE_CODES.REMOVED);
+
+    res.json({
+      message: 'Device deleted',
+      deviceId,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Other ShearPoint servers found on the network over mDNS/DNS-SD
+   */
+  router.get('/api/servers', accessControl.requireAccess(), (req, res) => {
+    const servers = context.discovery?.list() || [];
+    res.json({
+      discovery: config.modules.discovery,
+      total: servers.length,
+      servers,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Get server statistics
+   */
+  router.get('/api/stats', accessControl.requireAdmin(), (req, res) => {
+    const memoryUsage = process.memoryUsage();
+
+    res.json({
+      server: {
+        uptime: process.uptime(),
+        memory: {
+          heapUsed: Math.round(memoryUsage.heapUsed / 1024 / 1024) + ' MB',
+          heapTotal: Math.round(memoryUsage.heapTotal / 1024 / 1024) + ' MB',
+          rss: Math.round(memoryUsage.rss / 1024 / 1024) + ' MB'
+        },
+        cpu: os.cpus().length + ' cores'
+      },
+      connections: {
+        totalPeers: peers.size,
+        registeredDevices: deviceInventory.size,
+        pairings: pairingManager.size,
+        rooms: roomManager.size,
+        relays: relayManager.size,
+        websocketConnections: peers.openCount
+      },
+      limits: connectionLimiter.stats(),
+      liveness: liveness.stats(),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Get server status
+   */
+  router.get('/api/status', accessControl.requireAdmin(), (req, res) => {
+    res.json({
+      success: true,
+      status: 'operational',
+      uptime: process.uptime(),
+      timestamp: Date.now(),
+      modules: config.modules,
+      connectedDevices: peers.size,
+      pairings: pairingManager.size,
+      rooms: roomManager.size,
+      relays: relayManager.size,
+      discoveredServers: context.discovery?.servers.size || 0,
+      limits: connectionLimiter.stats(),
+      liveness: liveness.stats()
+    });
+  });
+
+  /**
+   * Root endpoint, reached when the web client is not served
+   */
+  router.get('/', (req, res) => {
+    const port = context.getPort();
+    res.json({
+      message: 'ShearPoint WebRTC Signaling Server',
+      port,
+      documentation: {
+        websocket: `ws://${serverAddress()}:${port}${config.signalingPath || ''}`,
+        health: 'GET /health',
+        info: 'GET /api/info',
+        peers: 'GET /api/peers',
+        devices: 'GET /api/devices',
+        servers: 'GET /api/servers',
+        stats: 'GET /api/stats',
+        metrics: config.modules.metrics ? 'GET /metrics' : undefined
+      }
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createApiRouter };
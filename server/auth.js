@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+
+/**
+ * Access control for the REST and WebSocket APIs
+ *
+ * Two optional secrets:
+ *   - an access token (instance password) every browser has to present to
+ *     connect to the signaling socket and to use the client endpoints
+ *   - an admin token for the endpoints that change server state or expose
+ *     statistics and device lists across networks. Those endpoints are
+ *     refused when no admin token is configured.
+ * A third, for the Prometheus endpoint, lets a scraper read metrics without
+ * the admin token; without it metrics are protected like the client endpoints.
+ * Tokens are presented as `Authorization: Bearer <token>` or, where a browser
+ * cannot set headers (WebSocket, <img>), as a `token` query parameter.
+ *
+ * CORS and WebSocket origins are restricted to the configured origins; without
+ * any, CORS allows every origin but never with credentials.
+ */
+
+/**
+ * Compare a presented token with the expected one in constant time
+ */
+function tokenMatches(token, expected) {
+  if (typeof token !== 'string' || !expected) {
+    return false;
+  }
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(token), digest(expected));
+}
+
+/**
+ * The token presented with a request or WebSocket upgrade, if any
+ */
+function getRequestToken(req) {
+  const header = req.headers.authorization || '';
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  if (match) {
+    return match[1].trim();
+  }
+  return new URL(req.url, 'http://localhost').searchParams.get('token');
+}
+
+class AccessControl {
+  constructor(options = {}) {
+    this.options = { accessToken: null, adminToken: null, metricsToken: null, corsOrigins: [], ...options };
+  }
+
+  /**
+   * Whether a request may use the client APIs. Without an access token everyone may.
+   */
+  hasAccess(req) {
+    const token = getRequestToken(req);
+    return !this.options.accessToken || tokenMatches(token, this.options.accessToken) ||
+      tokenMatches(token, this.options.adminToken);
+  }
+
+  /**
+   * Whether a request carries the admin token
+   */
+  isAdmin(req) {
+    return tokenMatches(getRequestToken(req), this.options.adminToken);
+  }
+
+  /**
+   * Whether a request may read the metrics: the metrics or admin token when a
+   * metrics token is configured, otherwise whoever may use the client APIs
+   */
+  canReadMetrics(req) {
+    if (!this.options.metricsToken) {
+      return this.hasAccess(req);
+    }
+    const token = getRequestToken(req);
+    return tokenMatches(token, this.options.metricsToken) || tokenMatches(token, this.options.adminToken);
+  }
+
+  /**
+   * Whether a browser origin may talk to this server. Without configured origins
+   * every origin may; requests without an Origin header (other servers, curl)
+   * and same-origin requests always may.
+   */
+  isAllowedOrigin(origin, host) {
+    const { corsOrigins } = this.options;
+    if (!origin || corsOrigins.length === 0 || corsOrigins.includes(origin)) {
+      return true;
+    }
+    try {
+      return new URL(origin).host === host;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * Express middleware for the client endpoints
+   */
+  requireAccess() {
+    return (req, res, next) => {
+      if (this.hasAccess(req)) {
+        return next();
+      }
+      res.set('WWW-Authenticate', 'Bearer').status(401).json({ error: 'Access token required' });
+    };
+  }
+
+  /**
+   * Express middleware for the admin endpoints
+   */
+  requireAdmin() {
+    return (req, res, next) => {
+      if (!this.options.adminToken) {
+        return res.status(403).json({ error: 'Admin endpoints are disabled, set ADMIN_TOKEN to enable them' });
+      }
+      if (this.isAdmin(req)) {
+        return next();
+      }
+      res.set('WWW-Authenticate', 'Bearer').status(401).json({ error: 'Admin token required' });
+    };
+  }
+
+  /**
+   * Express middleware for the metrics endpoint
+   */
+  requireMetrics() {
+    return (req, res, next) => {
+      if (this.canReadMetrics(req)) {
+        return next();
+      }
+      res.set('WWW-Authenticate', 'Bearer').status(401).json({ error: 'Metrics token required' });
+    };
+  }
+
+  /**
+   * `verifyClient` for the WebSocket server: rejects unauthorized connections and
+   * foreign origins during the upgrade, before a socket is created
+   */
+  verifyClient() {
+    return (info, callback) => {
+      if (!this.isAllowedOrigin(info.origin, info.req.headers.host)) {
+        return callback(false, 403, 'Origin not allowed');
+      }
+      if (!this.hasAccess(info.req)) {
+        return callback(false, 401, 'Access token required');
+      }
+      callback(true);
+    };
+  }
+
+  /**
+   * Options for the cors middleware
+   */
+  corsOptions() {
+    const { corsOrigins } = this.options;
+    if (corsOrigins.length === 0) {
+      return { origin: '*', credentials: false };
+    }
+    return {
+      origin: corsOrigins,
+      methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+      allowedHeaders: ['Content-Type', 'Authorization'],
+      credentials: true
+    };
+  }
+
+  get enabled() {
+    return Boolean(this.options.accessToken);
+  }
+}
+
+module.exports = { AccessControl };
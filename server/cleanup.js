@@ -0,0 +1,56 @@
+/**
+ * Periodic cleanup
+ *
+ * Drops devices that stopped sending heartbeats, closes rooms whose TTL ran
+ * out and forgets discovered servers that went away without a goodbye.
+ */
+
+const DEFAULT_OPTIONS = {
+  deviceTimeout: 30000, // Milliseconds without a heartbeat before a device is dropped
+  heartbeatInterval: 10000, // Milliseconds between stale device checks
+  sweepInterval: 30000 // Milliseconds between room and discovered server sweeps
+};
+
+class Cleanup {
+  constructor(context, options = {}) {
+    this.context = context;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.timers = [];
+  }
+
+  start() {
+    const { heartbeatInterval, sweepInterval } = this.options;
+    this.timers.push(
+      setInterval(() => this.removeStaleDevices(), heartbeatInterval),
+      setInterval(() => this.sweep(), sweepInterval)
+    );
+  }
+
+  /**
+   * Disconnect devices whose last heartbeat is older than `deviceTimeout`.
+   * Clients that never sent a heartbeat, and peers waiting to resume their
+   * session, are left alone.
+   */
+  removeStaleDevices() {
+    const { peers, signaling } = this.context;
+    const now = Date.now();
+
+    peers.values()
+      .filter(peer => !peer.disconnectedAt && peer.lastHeartbeat &&
+        now - peer.lastHeartbeat > this.options.deviceTimeout)
+      .forEach(peer => signaling.evictPeer(peer, 'Device timeout'));
+  }
+
+  sweep() {
+    const { signaling, discovery } = this.context;
+    signaling?.expireRooms();
+    discovery?.sweep();
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+  }
+}
+
+module.exports = { Cleanup };
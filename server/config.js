@@ -0,0 +1,368 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_STUN_URLS } = require('./ice');
+
+/**
+ * Server configuration
+ *
+ * One layer for every setting of the servers. Sources, later ones winning:
+ *   1. the defaults below
+ *   2. a JSON config file (`--config <file>` or CONFIG_FILE), nested like the keys
+ *   3. environment variables, including a .env file in the working directory
+ *   4. command line flags, named after the variables: PORT -> --port 4000,
+ *      TRUST_PROXY -> --trust-proxy / --no-trust-proxy
+ *   5. options passed to createServer(), nested like the config file
+ * Invalid values are collected into one ConfigError, so the server can refuse
+ * to start with every problem listed at once.
+ */
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// key: path in the config object, env: variable (and flag) name
+const OPTIONS = [
+  { key: 'host', env: 'HOST', type: 'string', default: '0.0.0.0', description: 'Address the HTTP server binds to' },
+  { key: 'signalingPath', env: 'SIGNALING_PATH', type: 'string', nullable: true, default: null, description: 'Only accept WebSocket upgrades on this path' },
+  { key: 'port', env: 'PORT', type: 'integer', min: 0, max: 65535, default: 3000, description: 'HTTP and WebSocket port' },
+  { key: 'serviceName', env: 'SERVICE_NAME', type: 'string', nullable: true, default: null, description: 'mDNS/DNS-SD instance name, "ShearPoint on <hostname>:<port>" when unset' },
+  { key: 'logLevel', env: 'LOG_LEVEL', type: 'enum', values: LOG_LEVELS, default: null, description: 'debug, info, warn or error; debug in development' },
+  { key: 'development', env: 'DEVELOPMENT', type: 'boolean', default: false, description: 'Verbose logging and error details in responses' },
+  { key: 'deviceTimeout', env: 'DEVICE_TIMEOUT', type: 'integer', min: 1000, default: 30000, description: 'Milliseconds without a heartbeat before a device is dropped' },
+  { key: 'heartbeatInterval', env: 'HEARTBEAT_INTERVAL', type: 'integer', min: 1000, default: 10000, description: 'Milliseconds between stale device checks' },
+  { key: 'sessionGracePeriod', env: 'SESSION_GRACE_PERIOD', type: 'integer', min: 0, default: 30000, description: 'Milliseconds a disconnected peer can resume its session, 0 turns resumption off' },
+  { key: 'roomTtl', env: 'ROOM_TTL', type: 'integer', min: 60, default: 3600, description: 'Seconds a room lives' },
+  { key: 'pairingStore', env: 'PAIRING_STORE', type: 'string', nullable: true, default: path.join(__dirname, '..', 'data', 'pairings.json'), description: 'File the pairing hashes are stored in, null keeps them in memory' },
+
+  { key: 'network.trustProxy', env: 'TRUST_PROXY', type: 'boolean', default: false, description: 'Take client addresses from the last X-Forwarded-For entry' },
+  { key: 'network.ipv4Prefix', env: 'IPV4_SUBNET_PREFIX', type: 'integer', min: 0, max: 32, default: 24, description: 'IPv4 prefix length of a network bucket' },
+  { key: 'network.ipv6Prefix', env: 'IPV6_SUBNET_PREFIX', type: 'integer', min: 0, max: 128, default: 64, description: 'IPv6 prefix length of a network bucket' },
+
+  { key: 'ice.stunUrls', env: 'STUN_URLS', type: 'list', default: DEFAULT_STUN_URLS, description: 'STUN servers, empty for none' },
+  { key: 'ice.turnUrls', env: 'TURN_URLS', type: 'list', default: [], description: 'TURN servers' },
+  { key: 'ice.turnSecret', env: 'TURN_SECRET', type: 'string', secret: true, default: null, description: 'Shared secret for time-limited TURN credentials' },
+  { key: 'ice.turnUsername', env: 'TURN_USERNAME', type: 'string', default: null, description: 'Static TURN username' },
+  { key: 'ice.turnPassword', env: 'TURN_PASSWORD', type: 'string', secret: true, default: null, description: 'Static TURN password' },
+  { key: 'ice.turnTtl', env: 'TURN_TTL', type: 'integer', min: 60, default: 86400, description: 'Seconds minted TURN credentials stay valid' },
+
+  { key: 'relay.enabled', env: 'RELAY_ENABLED', type: 'boolean', default: true, description: 'Relay data for peers without a direct connection' },
+  { key: 'relay.bandwidth', env: 'RELAY_BANDWIDTH', type: 'integer', min: 1024, default: 1024 * 1024, description: 'Bytes per second per relayed pair' },
+  { key: 'relay.quota', env: 'RELAY_QUOTA', type: 'integer', min: 1024, default: 512 * 1024 * 1024, description: 'Bytes a pair of devices may relay' },
+
+  { key: 'limits.maxPayload', env: 'MAX_MESSAGE_SIZE', type: 'integer', min: 64 * 1024, default: 512 * 1024, description: 'Largest WebSocket message in bytes' },
+  { key: 'limits.maxConnectionsPerIp', env: 'MAX_CONNECTIONS_PER_IP', type: 'integer', min: 0, default: 20, description: 'Sockets per client address, 0 for no cap' },
+  { key: 'limits.rateFactor', env: 'RATE_LIMIT_FACTOR', type: 'number', min: 0, default: 1, description: 'Scales every message rate, 0 turns rate limiting off' },
+
+  { key: 'liveness.pingInterval', env: 'PING_INTERVAL', type: 'integer', min: 0, default: 30000, description: 'Milliseconds between WebSocket pings, 0 turns them off' },
+  { key: 'liveness.pingTimeout', env: 'PING_TIMEOUT', type: 'integer', min: 1000, default: 10000, description: 'Milliseconds to wait for a pong before dropping the socket' },
+
+  { key: 'auth.accessToken', env: 'ACCESS_TOKEN', type: 'string', secret: true, default: null, description: 'Token every client needs' },
+  { key: 'auth.adminToken', env: 'ADMIN_TOKEN', type: 'string', secret: true, default: null, description: 'Token for the admin endpoints' },
+  { key: 'auth.metricsToken', env: 'METRICS_TOKEN', type: 'string', secret: true, default: null, description: 'Token for the metrics endpoint' },
+  { key: 'auth.corsOrigins', env: 'CORS_ORIGINS', type: 'list', default: [], description: 'Origins allowed to call the API' },
+
+  { key: 'modules.signaling', env: 'SIGNALING_ENABLED', type: 'boolean', default: true, description: 'WebSocket signaling' },
+  { key: 'modules.api', env: 'API_ENABLED', type: 'boolean', default: true, description: 'REST API' },
+  { key: 'modules.static', env: 'STATIC_ENABLED', type: 'boolean', default: true, description: 'Serve the web client' },
+  { key: 'modules.discovery', env: 'DISCOVERY_ENABLED', type: 'boolean', default: true, description: 'Advertise the server over mDNS/DNS-SD and browse for other servers' },
+  { key: 'modules.cleanup', env: 'CLEANUP_ENABLED', type: 'boolean', default: true, description: 'Drop stale devices, expired rooms and vanished servers' },
+  { key: 'modules.metrics', env: 'METRICS_ENABLED', type: 'boolean', default: true, description: 'Prometheus metrics at /metrics' },
+
+  { key: 'features.pairing', env: 'PAIRING_ENABLED', type: 'boolean', default: true, description: 'Let devices pair across networks' },
+  { key: 'features.rooms', env: 'ROOMS_ENABLED', type: 'boolean', default: true, description: 'Let devices meet in temporary rooms' }
+];
+
+const KEYS = new Set(OPTIONS.map(option => option.key));
+const SECTIONS = new Set(OPTIONS.filter(option => option.key.includes('.')).map(option => option.key.split('.')[0]));
+
+class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * The command line flag of an option, e.g. --trust-proxy for TRUST_PROXY
+ */
+function flagName(option) {
+  return option.env.toLowerCase().replace(/_/g, '-');
+}
+
+/**
+ * Convert a value from a file, the environment or a flag to the option's type.
+ * Returns { value } or { error }.
+ */
+function parseValue(option, raw) {
+  const { type } = option;
+
+  if (type === 'list') {
+    if (Array.isArray(raw) && raw.every(item => typeof item === 'string')) {
+      return { value: raw };
+    }
+    if (typeof raw === 'string') {
+      return { value: raw.split(',').map(item => item.trim()).filter(Boolean) };
+    }
+    return { error: 'expected a comma-separated list' };
+  }
+
+  if (type === 'boolean') {
+    if (typeof raw === 'boolean') return { value: raw };
+    const text = String(raw).toLowerCase();
+    if (['true', '1', 'yes', 'on'].includes(text)) return { value: true };
+    if (['false', '0', 'no', 'off'].includes(text)) return { value: false };
+    return { error: 'expected true or false' };
+  }
+
+  if (type === 'integer' || type === 'number') {
+    const value = typeof raw === 'number' ? raw : (String(raw).trim() === '' ? NaN : Number(raw));
+    if (!Number.isFinite(value) || (type === 'integer' && !Number.isInteger(value))) {
+      return { error: `expected ${type === 'integer' ? 'an integer' : 'a number'}` };
+    }
+    if (option.min !== undefined && value < option.min) {
+      return { error: `must be at least ${option.min}` };
+    }
+    if (option.max !== undefined && value > option.max) {
+      return { error: `must be at most ${option.max}` };
+    }
+    return { value };
+  }
+
+  if (type === 'enum') {
+    const value = String(raw).toLowerCase();
+    return option.values.includes(value) ? { value } : { error: `expected one of ${option.values.join(', ')}` };
+  }
+
+  return typeof raw === 'string' ? { value: raw } : { error: 'expected a string' };
+}
+
+function getPath(object, key) {
+  return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), object);
+}
+
+function setPath(object, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const parent = parts.reduce((target, part) => {
+    target[part] = target[part] || {};
+    return target[part];
+  }, object);
+  parent[last] = value;
+}
+
+/**
+ * Keys of a config file or options object that are no option
+ */
+function findUnknownKeys(values, prefix = '') {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    return [];
+  }
+  return Object.keys(values).flatMap((name) => {
+    const key = `${prefix}${name}`;
+    if (KEYS.has(key)) return [];
+    if (!prefix && SECTIONS.has(key)) return findUnknownKeys(values[name], `${key}.`);
+    return [key];
+  });
+}
+
+/**
+ * Split command line arguments into flag values. Returns { values, configFile, help, errors }.
+ */
+function parseArgs(argv) {
+  const byFlag = new Map(OPTIONS.map(option => [flagName(option), option]));
+  const result = { values: new Map(), configFile: null, help: false, errors: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--(no-)?([a-z0-9-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!match) {
+      result.errors.push(`Unexpected argument "${argv[i]}"`);
+      continue;
+    }
+    const [, negated, name, inline] = match;
+
+    if (name === 'help') {
+      result.help = true;
+      continue;
+    }
+    if (name === 'config') {
+      result.configFile = inline !== undefined ? inline : argv[++i];
+      continue;
+    }
+
+    const option = byFlag.get(name);
+    if (!option || (negated && option.type !== 'boolean')) {
+      result.errors.push(`Unknown option --${negated || ''}${name}`);
+      continue;
+    }
+    if (option.type === 'boolean' && inline === undefined) {
+      result.values.set(option, !negated);
+    } else if (inline !== undefined) {
+      result.values.set(option, inline);
+    } else if (i + 1 < argv.length) {
+      result.values.set(option, argv[++i]);
+    } else {
+      result.errors.push(`--${name} needs a value`);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Read the JSON config file. Returns { values } or { error }.
+ */
+function readConfigFile(file, cwd) {
+  const fullPath = path.resolve(cwd, file);
+  try {
+    return { values: JSON.parse(fs.readFileSync(fullPath, 'utf8')) };
+  } catch (err) {
+    return { error: `Cannot read config file ${fullPath}: ${err.message}` };
+  }
+}
+
+/**
+ * The effective configuration. Throws a ConfigError listing every invalid value.
+ */
+function loadConfig({
+  argv = process.argv.slice(2),
+  env = process.env,
+  cwd = process.cwd(),
+  loadEnvFile = true,
+  overrides = {}
+} = {}) {
+  if (loadEnvFile && env === process.env) {
+    // Variables that are already set win over the .env file
+    require('dotenv').config({ path: path.join(cwd, '.env') });
+  }
+
+  const args = parseArgs(argv);
+  const errors = [...args.errors];
+
+  let fileValues = {};
+  const configFile = args.configFile || env.CONFIG_FILE;
+  if (configFile) {
+    const file = readConfigFile(configFile, cwd);
+    if (file.error) {
+      errors.push(file.error);
+    } else {
+      fileValues = file.values;
+      findUnknownKeys(fileValues).forEach(key => errors.push(`Unknown option ${key} in ${configFile}`));
+    }
+  }
+  findUnknownKeys(overrides).forEach(key => errors.push(`Unknown option ${key}`));
+
+  const config = {};
+  OPTIONS.forEach((option) => {
+    setPath(config, option.key, option.default);
+
+    // Empty variables count as unset, except that an empty list means none
+    const sources = [
+      [getPath(fileValues, option.key), `${option.key} in ${configFile}`],
+      [env[option.env] === '' && option.type !== 'list' ? undefined : env[option.env], option.env],
+      [args.values.get(option), `--${flagName(option)}`],
+      [getPath(overrides, option.key), option.key]
+    ];
+    sources.forEach(([raw, source]) => {
+      if (raw === undefined) return;
+      if (raw === null) {
+        if (option.nullable) setPath(config, option.key, null);
+        return;
+      }
+      const parsed = parseValue(option, raw);
+      if (parsed.error) {
+        errors.push(`${source}: ${parsed.error}, got ${JSON.stringify(raw)}`);
+      } else {
+        setPath(config, option.key, parsed.value);
+      }
+    });
+  });
+
+  if (config.ice.turnUrls.length > 0 && !config.ice.turnSecret && !(config.ice.turnUsername && config.ice.turnPassword)) {
+    errors.push('TURN_URLS needs TURN_SECRET, or TURN_USERNAME and TURN_PASSWORD');
+  }
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+
+  config.logLevel = config.logLevel || (config.development ? 'debug' : 'info');
+  config.help = args.help;
+  return config;
+}
+
+/**
+ * The configuration of an embedded server: defaults and the given options only,
+ * without the environment or command line
+ */
+function createConfig(options = {}) {
+  return loadConfig({ argv: [], env: {}, loadEnvFile: false, overrides: options });
+}
+
+/**
+ * A copy of the configuration that is safe to show, with secrets replaced
+ */
+function redactConfig(config) {
+  const copy = JSON.parse(JSON.stringify(config));
+  delete copy.help;
+  OPTIONS.filter(option => option.secret && getPath(config, option.key)).forEach((option) => {
+    setPath(copy, option.key, '[redacted]');
+  });
+  return copy;
+}
+
+/**
+ * Why a client message cannot be served when its feature is switched off, or null
+ */
+function describeDisabledFeature(config, type) {
+  if (/^pair-(create|join)$/.test(type) && !config.features.pairing) {
+    return 'Pairing is disabled on this server';
+  }
+  if (/^room-(create|join)$/.test(type) && !config.features.rooms) {
+    return 'Rooms are disabled on this server';
+  }
+  return null;
+}
+
+/**
+ * Usage text listing every option
+ */
+function formatHelp() {
+  const lines = OPTIONS.map((option) => {
+    const flag = `--${flagName(option)}`.padEnd(28);
+    return `  ${flag}${option.env.padEnd(24)}${option.description}`;
+  });
+  return [
+    'Options (flag, environment variable):',
+    `  ${'--config <file>'.padEnd(28)}${'CONFIG_FILE'.padEnd(24)}JSON config file`,
+    ...lines
+  ].join('\n');
+}
+
+/**
+ * loadConfig for a server's entry point: prints the usage for --help and the
+ * problems of an invalid configuration, then exits
+ */
+function loadConfigOrExit(options) {
+  let config;
+  try {
+    config = loadConfig(options);
+  } catch (err) {
+    if (!(err instanceof ConfigError)) throw err;
+    console.error(err.message);
+    process.exit(1);
+  }
+  if (config.help) {
+    console.log(formatHelp());
+    process.exit(0);
+  }
+  return config;
+}
+
+module.exports = {
+  loadConfig,
+  loadConfigOrExit,
+  createConfig,
+  redactConfig,
+  describeDisabledFeature,
+  formatHelp,
+  ConfigError,
+  LOG_LEVELS
+};
@@ -0,0 +1,130 @@
+const os = require('os');
+const { Bonjour } = require('bonjour-service');
+
+/**
+ * LAN discovery over mDNS/DNS-SD
+ *
+ * Publishes the server as a `_shearpoint._tcp.local` service, so standard
+ * tools find it (`avahi-browse -r _shearpoint._tcp`, `dns-sd -B _shearpoint._tcp`),
+ * and browses for the other ShearPoint servers on the network. The TXT record
+ * carries the server version, protocol version, port, signaling path and
+ * capabilities; TXT values are strings, lists are comma-separated.
+ */
+
+const SERVICE_TYPE = 'shearpoint';
+
+const DEFAULT_OPTIONS = {
+  name: null, // Instance name, `ShearPoint on <hostname>:<port>` when unset
+  version: '1.0.0',
+  protocolVersion: 1,
+  signalingPath: null,
+  capabilities: []
+};
+
+class ServiceDiscovery {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.logger = this.options.logger || console;
+    this.bonjour = null;
+    this.service = null;
+    this.browser = null;
+    this.servers = new Map(); // fqdn -> server found on the network
+  }
+
+  /**
+   * Publish the server on `port` and start browsing for others
+   */
+  start(port) {
+    const { name, version, protocolVersion, signalingPath, capabilities } = this.options;
+
+    this.bonjour = new Bonjour({}, (err) => {
+      this.logger.error(`mDNS error: ${err.message}`);
+    });
+
+    const txt = {
+      version,
+      protocol: String(protocolVersion),
+      port: String(port),
+      capabilities: capabilities.join(',')
+    };
+    if (signalingPath) txt.path = signalingPath;
+
+    this.service = this.bonjour.publish({
+      name: name || `ShearPoint on ${os.hostname()}:${port}`,
+      type: SERVICE_TYPE,
+      port,
+      txt
+    });
+    this.service.on('up', () => {
+      this.logger.info(`Advertising ${this.service.fqdn} over mDNS`);
+    });
+    this.service.on('error', (err) => {
+      this.logger.error(`Failed to advertise over mDNS: ${err.message}`);
+    });
+
+    this.browser = this.bonjour.find({ type: SERVICE_TYPE });
+    this.browser.on('up', service => this.addServer(service));
+    this.browser.on('txt-update', service => this.addServer(service));
+    this.browser.on('srv-update', service => this.addServer(service));
+    this.browser.on('down', (service) => {
+      if (this.servers.delete(service.fqdn)) {
+        this.logger.info(`Server left: ${service.name}`);
+      }
+    });
+  }
+
+  addServer(service) {
+    if (service.fqdn === this.service?.fqdn) return;
+
+    const txt = service.txt || {};
+    const known = this.servers.has(service.fqdn);
+    this.servers.set(service.fqdn, {
+      name: service.name,
+      host: service.host,
+      port: service.port,
+      addresses: service.addresses || [],
+      version: txt.version || null,
+      protocolVersion: Number(txt.protocol) || null,
+      signalingPath: txt.path || null,
+      capabilities: txt.capabilities ? txt.capabilities.split(',') : [],
+      lastSeen: service.lastSeen || Date.now()
+    });
+    if (!known) {
+      this.logger.info(`Server found: ${service.name} (${service.host}:${service.port})`);
+    }
+  }
+
+  list() {
+    return Array.from(this.servers.values());
+  }
+
+  /**
+   * Forget servers whose records expired without a goodbye and ask the
+   * network again, so servers that went away unannounced drop out
+   */
+  sweep() {
+    if (!this.browser) return;
+    this.browser.expire();
+    this.browser.update();
+  }
+
+  /**
+   * Send goodbye packets for our service and close the mDNS socket
+   */
+  stop() {
+    if (!this.bonjour) return Promise.resolve();
+
+    const bonjour = this.bonjour;
+    this.browser.stop();
+    this.bonjour = null;
+    this.service = null;
+    this.browser = null;
+    this.servers.clear();
+
+    return new Promise((resolve) => {
+      bonjour.unpublishAll(() => bonjour.destroy(() => resolve()));
+    });
+  }
+}
+
+module.exports = { ServiceDiscovery, SERVICE_TYPE };
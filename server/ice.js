@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+
+/**
+ * ICE servers handed to browsers
+ *
+ * Browsers fetch their STUN and TURN servers from /api/ice-config before every
+ * peer connection, so a deployment can point them at its own servers (or at
+ * none, on an air-gapped network). TURN credentials are either static or
+ * minted per request with the shared-secret scheme of the TURN REST API that
+ * coturn implements (`use-auth-secret`): the username is the expiry time as a
+ * Unix timestamp plus a user id, the password the base64 HMAC-SHA1 of the
+ * username keyed with the secret. Credentials expire on their own, so the
+ * server never has to tell the TURN server about them.
+ */
+
+const DEFAULT_STUN_URLS = [
+  'stun:stun.l.google.com:19302',
+  'stun:stun1.l.google.com:19302',
+  'stun:stun2.l.google.com:19302'
+];
+
+const DEFAULT_OPTIONS = {
+  stunUrls: DEFAULT_STUN_URLS,
+  turnUrls: [],
+  turnSecret: null, // Shared secret for time-limited credentials
+  turnUsername: null, // Static credentials, used when there is no secret
+  turnPassword: null,
+  turnTtl: 24 * 60 * 60 // Lifetime of minted credentials in seconds
+};
+
+class IceConfig {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  /**
+   * Time-limited TURN credentials for a user id, valid for turnTtl seconds
+   */
+  createTurnCredentials(userId, now = Date.now()) {
+    const expiresAt = Math.floor(now / 1000) + this.options.turnTtl;
+    const username = `${expiresAt}:${userId}`;
+    const credential = crypto.createHmac('sha1', this.options.turnSecret).update(username).digest('base64');
+    return { username, credential, expiresAt: expiresAt * 1000 };
+  }
+
+  /**
+   * The RTCIceServer list for one client, and when its credentials expire (null if they do not)
+   */
+  getIceServers(userId) {
+    const { stunUrls, turnUrls, turnSecret, turnUsername, turnPassword } = this.options;
+    const iceServers = [];
+    let expiresAt = null;
+
+    if (stunUrls.length > 0) {
+      iceServers.push({ urls: stunUrls });
+    }
+
+    if (turnUrls.length > 0 && turnSecret) {
+      const credentials = this.createTurnCredentials(userId);
+      iceServers.push({ urls: turnUrls, username: credentials.username, credential: credentials.credential });
+      expiresAt = credentials.expiresAt;
+    } else if (turnUrls.length > 0 && turnUsername && turnPassword) {
+      iceServers.push({ urls: turnUrls, username: turnUsername, credential: turnPassword });
+    }
+
+    return { iceServers, expiresAt };
+  }
+}
+
+/**
+ * Express handler for /api/ice-config. The optional `peerId` query parameter
+ * becomes the user id of minted TURN credentials, which shows up in TURN logs.
+ */
+function createIceConfigHandler(iceConfig) {
+  return (req, res) => {
+    const peerId = /^[\w-]{1,64}$/.test(req.query.peerId || '') ? req.query.peerId : 'shearpoint';
+    res.set('Cache-Control', 'no-store').json(iceConfig.getIceServers(peerId));
+  };
+}
+
+module.exports = { IceConfig, createIceConfigHandler, DEFAULT_STUN_URLS };
@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+
+/**
+ * Peer identity and session tokens
+ *
+ * Browsers keep an ECDSA P-256 keypair in IndexedDB. On every connection the
+ * server sends a random challenge in `welcome`; the client registers with its
+ * public key (base64 SPKI) and the signature of the challenge, which proves it
+ * holds the private key. The identity id, the first 32 hex digits of the
+ * public key's SHA-256, stays the same for as long as the browser keeps its key.
+ *
+ * Every connection also gets a session token. A client that lost its socket
+ * presents it in the next `register` to get its peer entry back; the server
+ * keeps only the token's hash.
+ */
+
+/**
+ * Random challenge for a new connection to sign
+ */
+function createChallenge() {
+  return crypto.randomBytes(16).toString('base64');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest();
+}
+
+/**
+ * A new session token and the hash the server keeps
+ */
+function createSessionToken() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, hash: hashToken(token) };
+}
+
+/**
+ * Compare a presented session token with a stored hash in constant time
+ */
+function sessionTokenMatches(token, hash) {
+  if (typeof token !== 'string' || !hash) {
+    return false;
+  }
+  return crypto.timingSafeEqual(hashToken(token), hash);
+}
+
+/**
+ * The identity id proven by a register message's `identity`
+ * ({ publicKey, signature }, both base64) for a challenge, or null when the
+ * key or signature is invalid
+ */
+function verifyIdentity(identity, challenge) {
+  if (typeof identity?.publicKey !== 'string' || typeof identity.signature !== 'string') {
+    return null;
+  }
+
+  try {
+    const publicKeyDer = Buffer.from(identity.publicKey, 'base64');
+    const key = crypto.createPublicKey({ key: publicKeyDer, format: 'der', type: 'spki' });
+    if (key.asymmetricKeyType !== 'ec' || key.asymmetricKeyDetails?.namedCurve !== 'prime256v1') {
+      return null;
+    }
+
+    // WebCrypto signs ECDSA in the IEEE P1363 (r || s) format
+    const valid = crypto.verify(
+      'sha256',
+      Buffer.from(challenge),
+      { key, dsaEncoding: 'ieee-p1363' },
+      Buffer.from(identity.signature, 'base64')
+    );
+    if (!valid) {
+      return null;
+    }
+    return crypto.createHash('sha256').update(publicKeyDer).digest('hex').slice(0, 32);
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = { createChallenge, createSessionToken, sessionTokenMatches, verifyIdentity };
@@ -0,0 +1,211 @@
+const express = require('express');
+const http = require('http');
+const path = require('path');
+const url = require('url');
+const WebSocket = require('ws');
+const { createConfig } = require('./config');
+const { createLogger } = require('./logger');
+const { AccessControl } = require('./auth');
+const { ConnectionLimiter } = require('./limits');
+const { LivenessMonitor } = require('./liveness');
+const { PeerRegistry } = require('./peers');
+const { PairingManager } = require('./pairing');
+const { RoomManager } = require('./rooms');
+const { IceConfig } = require('./ice');
+const { RelayManager } = require('./relay');
+const { Signaling } = require('./signaling');
+const { ServiceDiscovery } = require('./discovery');
+const { createApiRouter } = require('./api');
+const { Cleanup } = require('./cleanup');
+const { ServerMetrics } = require('./metrics');
+const { PROTOCOL_VERSION } = require('../public/js/protocol');
+const { version } = require('../package.json');
+
+// How long clients get to complete the closing handshake when the server shuts down
+const CLOSE_TIMEOUT = 2000;
+
+/**
+ * Create a ShearPoint server
+ *
+ * Every server keeps its own peers, pairings, rooms and timers, so several can
+ * run in one process. Options are nested like the config file (see config.js),
+ * or pass a loaded `config`. To embed the server, pass your Express `app` and
+ * the http `server` it listens on; the API is then mounted into that app and
+ * the WebSocket only takes upgrades on `signalingPath` (all of them when
+ * unset). Without them, the server creates both and answers unknown routes
+ * with 404.
+ *
+ * Modules (`modules.*`): signaling, api, static, discovery, cleanup and metrics.
+ */
+function createServer(options = {}) {
+  const { app: embeddingApp, server: embeddingServer, config: loadedConfig, logger: customLogger, ...settings } = options;
+  const config = loadedConfig || createConfig(settings);
+  const logger = customLogger || createLogger(config.logLevel);
+  const app = embeddingApp || express();
+  const server = embeddingServer || http.createServer(app);
+
+  const context = {
+    config,
+    logger,
+    // Optional access token for clients, admin token for management endpoints, allowed origins
+    accessControl: new AccessControl(config.auth),
+    // Message size, message rate and per-address connection limits of the signaling socket
+    connectionLimiter: new ConnectionLimiter(config.limits),
+    // Pings every socket and drops those that stopped answering
+    liveness: new LivenessMonitor(config.liveness),
+    peers: new PeerRegistry(),
+    deviceInventory: new Map(), // peerId -> device of every registered peer
+    // Paired devices see each other across networks; only pairing hashes are stored
+    pairingManager: new PairingManager({ storePath: config.pairingStore, logger }),
+    // Temporary rooms let devices on different networks share for one session
+    roomManager: new RoomManager({ ttl: config.roomTtl * 1000 }),
+    // STUN and TURN servers for browsers, with TURN credentials minted per request
+    iceConfig: new IceConfig(config.ice),
+    // Peers whose direct connection failed exchange their data through the WebSocket instead
+    relayManager: new RelayManager(config.relay),
+    signaling: null,
+    discovery: null,
+    metrics: null,
+    getPort: () => server.address()?.port ?? config.port
+  };
+
+  if (config.modules.metrics) {
+    // Prometheus counters, fed by signaling; gauges are read from this context
+    context.metrics = new ServerMetrics(context);
+  }
+
+  let wss = null;
+  let handleUpgrade = null;
+  if (config.modules.signaling) {
+    wss = new WebSocket.Server({
+      noServer: true,
+      maxPayload: context.connectionLimiter.options.maxPayload,
+      verifyClient: context.accessControl.verifyClient()
+    });
+    context.signaling = new Signaling(context);
+    context.signaling.attach(wss);
+    context.liveness.start();
+
+    // Upgrades on other paths are left to other handlers of the embedding server
+    handleUpgrade = (req, socket, head) => {
+      if (config.signalingPath && url.parse(req.url).pathname !== config.signalingPath) {
+        return;
+      }
+      wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, req));
+    };
+    server.on('upgrade', handleUpgrade);
+  }
+
+  if (config.modules.static) {
+    app.use(express.static(path.join(__dirname, '..', 'public')));
+    app.use('/static', express.static(path.join(__dirname, '..', 'static')));
+  }
+
+  if (config.modules.api) {
+    app.use(createApiRouter(context));
+  }
+
+  if (context.metrics) {
+    app.get('/metrics', context.accessControl.requireMetrics(), context.metrics.handler());
+  }
+
+  if (!embeddingApp) {
+    // 404 handler
+    app.use((req, res) => {
+      res.status(404).json({
+        error: 'Route not found',
+        path: req.path,
+        method: req.method
+      });
+    });
+
+    // Error handler
+    app.use((err, req, res, next) => {
+      logger.error('[Server Error]', err);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: config.development ? err.message : undefined
+      });
+    });
+  }
+
+  if (config.modules.discovery) {
+    // Advertised over mDNS/DNS-SD once the port is known, see listen()
+    context.discovery = new ServiceDiscovery({
+      name: config.serviceName,
+      version,
+      protocolVersion: PROTOCOL_VERSION,
+      signalingPath: config.signalingPath,
+      capabilities: [
+        config.modules.signaling && 'signaling',
+        config.modules.api && 'api',
+        config.modules.static && 'web',
+        config.modules.signaling && config.relay.enabled && 'relay',
+        config.features.pairing && 'pairing',
+        config.features.rooms && 'rooms'
+      ].filter(Boolean),
+      logger
+    });
+  }
+
+  const cleanup = config.modules.cleanup
+    ? new Cleanup(context, {
+      deviceTimeout: config.deviceTimeout,
+      heartbeatInterval: config.heartbeatInterval
+    })
+    : null;
+  cleanup?.start();
+
+  /**
+   * Start listening; resolves with the bound port, which differs from
+   * config.port when that is 0
+   */
+  function listen(port = config.port, host = config.host) {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.off('error', reject);
+        const boundPort = context.getPort();
+        context.discovery?.start(boundPort);
+        resolve(boundPort);
+      });
+    });
+  }
+
+  /**
+   * Stop timers and discovery, disconnect every client and, unless the server
+   * was passed in, close the HTTP server
+   */
+  function close() {
+    cleanup?.stop();
+    const discoveryStopped = context.discovery?.stop();
+    context.signaling?.close();
+    context.liveness.stop();
+
+    if (wss) {
+      server.off('upgrade', handleUpgrade);
+      wss.clients.forEach((client) => {
+        if (client.readyState === WebSocket.OPEN) {
+          client.close(1001, 'Server shutting down');
+        }
+      });
+      // Dead sockets never complete the closing handshake
+      setTimeout(() => wss.clients.forEach(client => client.terminate()), CLOSE_TIMEOUT).unref();
+      wss.close();
+    }
+
+    if (embeddingServer || !server.listening) {
+      return Promise.resolve(discoveryStopped);
+    }
+    const serverClosed = new Promise((resolve) => {
+      server.close(() => resolve());
+      // Idle keep-alive connections would hold close() open
+      server.closeIdleConnections?.();
+    });
+    return Promise.all([serverClosed, discoveryStopped]).then(() => {});
+  }
+
+  return { app, server, wss, config, context, listen, close };
+}
+
+module.exports = { createServer };
@@ -0,0 +1,122 @@
+/**
+ * Limits on the signaling WebSocket
+ *
+ * Protects the server from clients that open too many sockets or flood it with
+ * messages: the WebSocket server refuses messages over `maxPayload` (closing
+ * with 1009), every address may hold `maxConnectionsPerIp` sockets, and every
+ * socket has a token bucket per message type. A client that runs a bucket dry
+ * is disconnected with CLOSE_CODES.RATE_LIMITED. Binary relay frames and
+ * relay-data are not counted here; the relay limits their bandwidth itself.
+ */
+
+// Sustained messages per second and burst size per message type
+const DEFAULT_RATES = {
+  default: { rate: 10, burst: 50 },
+  register: { rate: 0.1, burst: 5 }, // Every registration is broadcast to other peers
+  'peer-list-request': { rate: 1, burst: 10 },
+  'pair-create': { rate: 0.2, burst: 5 },
+  'pair-join': { rate: 0.2, burst: 5 },
+  'room-create': { rate: 0.2, burst: 5 },
+  'room-join': { rate: 0.2, burst: 5 },
+  offer: { rate: 5, burst: 30 },
+  answer: { rate: 5, burst: 30 },
+  'ice-candidate': { rate: 50, burst: 200 },
+  'relay-data': null,
+  heartbeat: { rate: 1, burst: 5 }
+};
+
+const DEFAULT_OPTIONS = {
+  maxPayload: 512 * 1024, // Bytes; fits the largest relayed chunk frame
+  maxConnectionsPerIp: 20, // 0 turns the cap off
+  rateFactor: 1, // Scales every rate and burst; 0 turns rate limiting off
+  rates: DEFAULT_RATES
+};
+
+class ConnectionLimiter {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.connections = new Map(); // address -> open sockets
+    this.buckets = new WeakMap(); // ws -> Map of message type -> { tokens, refilledAt }
+    this.counters = {
+      rejectedConnections: 0,
+      rateLimitedMessages: 0,
+      oversizedMessages: 0
+    };
+  }
+
+  /**
+   * Count a new socket from an address. Returns false when the address already
+   * holds the maximum, in which case the socket is not counted.
+   */
+  addConnection(address) {
+    const open = this.connections.get(address) || 0;
+    const { maxConnectionsPerIp } = this.options;
+    if (maxConnectionsPerIp > 0 && open >= maxConnectionsPerIp) {
+      this.counters.rejectedConnections++;
+      return false;
+    }
+    this.connections.set(address, open + 1);
+    return true;
+  }
+
+  removeConnection(address) {
+    const open = (this.connections.get(address) || 0) - 1;
+    if (open > 0) {
+      this.connections.set(address, open);
+    } else {
+      this.connections.delete(address);
+    }
+  }
+
+  /**
+   * Take a token for a message. Returns false when the socket sent too many
+   * messages of this type; unknown types share the default bucket.
+   */
+  allowMessage(ws, type) {
+    const { rates, rateFactor } = this.options;
+    const key = Object.prototype.hasOwnProperty.call(rates, type) ? type : 'default';
+    const limit = rates[key];
+    if (!limit || rateFactor <= 0) {
+      return true;
+    }
+
+    if (!this.buckets.has(ws)) {
+      this.buckets.set(ws, new Map());
+    }
+    const buckets = this.buckets.get(ws);
+    const now = Date.now();
+    const rate = limit.rate * rateFactor;
+    const burst = limit.burst * rateFactor;
+    const bucket = buckets.get(key) || { tokens: burst, refilledAt: now };
+    bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.refilledAt) * rate / 1000);
+    bucket.refilledAt = now;
+    buckets.set(key, bucket);
+
+    if (bucket.tokens < 1) {
+      this.counters.rateLimitedMessages++;
+      return false;
+    }
+    bucket.tokens--;
+    return true;
+  }
+
+  /**
+   * Count a socket error; oversized messages show up as errors of the ws library
+   */
+  recordError(error) {
+    if (error?.code === 'WS_ERR_UNSUPPORTED_MESSAGE_LENGTH') {
+      this.counters.oversizedMessages++;
+    }
+  }
+
+  stats() {
+    return {
+      ...this.counters,
+      addresses: this.connections.size,
+      maxPayload: this.options.maxPayload,
+      maxConnectionsPerIp: this.options.maxConnectionsPerIp
+    };
+  }
+}
+
+module.exports = { ConnectionLimiter };
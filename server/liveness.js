@@ -0,0 +1,82 @@
+/**
+ * WebSocket liveness
+ *
+ * A phone that goes to sleep or loses its network often leaves a half-open
+ * socket that never emits `close`. Every `pingInterval` milliseconds each
+ * socket gets a protocol-level ping; one that does not answer with a pong
+ * within `pingTimeout` is terminated, which runs the usual disconnect handling.
+ * Browsers answer pings on their own, without any page code.
+ */
+
+const DEFAULT_OPTIONS = {
+  pingInterval: 30000, // 0 turns pings off
+  pingTimeout: 10000
+};
+
+class LivenessMonitor {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.sockets = new Map(); // ws -> { onDead, timeout } where timeout waits for a pong
+    this.timer = null;
+    this.terminated = 0;
+  }
+
+  /**
+   * Ping a socket from now on; `onDead` runs before a silent socket is terminated
+   */
+  watch(ws, onDead = () => {}) {
+    const state = { onDead, timeout: null };
+    this.sockets.set(ws, state);
+
+    ws.on('pong', () => {
+      clearTimeout(state.timeout);
+      state.timeout = null;
+    });
+    ws.on('close', () => {
+      clearTimeout(state.timeout);
+      this.sockets.delete(ws);
+    });
+  }
+
+  start() {
+    if (this.options.pingInterval > 0) {
+      this.timer = setInterval(() => this.pingAll(), this.options.pingInterval);
+    }
+  }
+
+  pingAll() {
+    this.sockets.forEach((state, ws) => {
+      // Still waiting for the previous pong
+      if (state.timeout) return;
+
+      state.timeout = setTimeout(() => {
+        this.terminated++;
+        state.onDead();
+        ws.terminate();
+      }, this.options.pingTimeout);
+
+      try {
+        ws.ping();
+      } catch (err) {
+        // The socket is closing; its close event cleans up
+      }
+    });
+  }
+
+  stats() {
+    return {
+      pingInterval: this.options.pingInterval,
+      pingTimeout: this.options.pingTimeout,
+      watchedSockets: this.sockets.size,
+      terminatedSockets: this.terminated
+    };
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.sockets.forEach(state => clearTimeout(state.timeout));
+  }
+}
+
+module.exports = { LivenessMonitor };
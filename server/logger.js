@@ -0,0 +1,22 @@
+/**
+ * Leveled console logger; messages below `level` are dropped
+ */
+const LEVELS = { debug: 0, info: 1, warn: 2, error: 3 };
+
+function createLogger(level = 'info') {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+  const write = (name, method) => (msg, ...rest) => {
+    if (LEVELS[name] >= threshold) {
+      console[method](`[${name.toUpperCase()}] ${new Date().toISOString()} - ${msg}`, ...rest);
+    }
+  };
+
+  return {
+    debug: write('debug', 'log'),
+    info: write('info', 'log'),
+    warn: write('warn', 'warn'),
+    error: write('error', 'error')
+  };
+}
+
+module.exports = { createLogger };
@@ -0,0 +1,142 @@
+const client = require('prom-client');
+const protocol = require('../public/js/protocol');
+
+/**
+ * Prometheus metrics
+ *
+ * Every server keeps its own registry, so several servers in one process
+ * report separately. Gauges are read from the server context when scraped;
+ * signaling counts messages, forwards and connections as they happen. The
+ * limiter keeps its own counters, which are carried over at scrape time.
+ * Process metrics (CPU, memory, event loop lag, GC) come from prom-client's
+ * defaults.
+ */
+
+const PREFIX = 'shearpoint_';
+
+// Seconds; phones hold sockets for minutes, desktops for hours
+const LIFETIME_BUCKETS = [1, 10, 60, 300, 900, 1800, 3600, 4 * 3600, 12 * 3600, 24 * 3600];
+
+// Message types outside the protocol are counted together, so clients cannot create label values
+const MESSAGE_TYPES = new Set(Object.keys(protocol.CLIENT_MESSAGES));
+
+class ServerMetrics {
+  constructor(context) {
+    this.context = context;
+    this.registry = new client.Registry();
+    client.collectDefaultMetrics({ register: this.registry });
+
+    const registers = [this.registry];
+    const gauge = (name, help, read) => new client.Gauge({
+      name: PREFIX + name,
+      help,
+      registers,
+      collect() {
+        this.set(read());
+      }
+    });
+
+    gauge('connected_peers', 'Peers on the signaling server, including those waiting to resume their session',
+      () => context.peers.size);
+    gauge('registered_devices', 'Registered devices, including those waiting to resume their session', () => context.deviceInventory.size);
+    gauge('open_websockets', 'Open signaling sockets', () => context.peers.openCount);
+    gauge('rooms', 'Open rooms', () => context.roomManager.size);
+    gauge('pairings', 'Stored device pairings', () => context.pairingManager.size);
+    gauge('relays', 'Relays between peers without a direct connection', () => context.relayManager.size);
+
+    this.messages = new client.Counter({
+      name: `${PREFIX}signaling_messages_total`,
+      help: 'Signaling messages received, by type',
+      labelNames: ['type'],
+      registers
+    });
+    this.forwarded = new client.Counter({
+      name: `${PREFIX}signaling_forwarded_total`,
+      help: 'Offers, answers and ICE candidates forwarded or queued for a reconnecting peer',
+      labelNames: ['type'],
+      registers
+    });
+    this.forwardFailures = new client.Counter({
+      name: `${PREFIX}signaling_forward_failures_total`,
+      help: 'Offers, answers and ICE candidates whose target peer was not available',
+      labelNames: ['type'],
+      registers
+    });
+    this.connectionsOpened = new client.Counter({
+      name: `${PREFIX}connections_opened_total`,
+      help: 'Signaling sockets accepted',
+      registers
+    });
+    this.connectionsClosed = new client.Counter({
+      name: `${PREFIX}connections_closed_total`,
+      help: 'Signaling sockets closed',
+      registers
+    });
+    this.connectionLifetime = new client.Histogram({
+      name: `${PREFIX}connection_duration_seconds`,
+      help: 'How long signaling sockets stayed open',
+      buckets: LIFETIME_BUCKETS,
+      registers
+    });
+
+    const limiterCounters = {
+      connections_per_ip: 'rejectedConnections',
+      message_rate: 'rateLimitedMessages',
+      message_size: 'oversizedMessages'
+    };
+    const reported = {};
+    new client.Counter({
+      name: `${PREFIX}rate_limit_rejections_total`,
+      help: 'Connections and messages refused by the limits, by reason',
+      labelNames: ['reason'],
+      registers,
+      collect() {
+        const { counters } = context.connectionLimiter;
+        Object.entries(limiterCounters).forEach(([reason, key]) => {
+          this.inc({ reason }, counters[key] - (reported[reason] || 0));
+          reported[reason] = counters[key];
+        });
+      }
+    });
+  }
+
+  messageReceived(type) {
+    this.messages.inc({ type: MESSAGE_TYPES.has(type) ? type : 'invalid' });
+  }
+
+  messageForwarded(type) {
+    this.forwarded.inc({ type });
+  }
+
+  forwardFailed(type) {
+    this.forwardFailures.inc({ type });
+  }
+
+  connectionOpened() {
+    this.connectionsOpened.inc();
+  }
+
+  /**
+   * Count a closed socket and how long it was open, from `openedAt` in milliseconds
+   */
+  connectionClosed(openedAt) {
+    this.connectionsClosed.inc();
+    this.connectionLifetime.observe((Date.now() - openedAt) / 1000);
+  }
+
+  /**
+   * Express handler for GET /metrics
+   */
+  handler() {
+    return async (req, res, next) => {
+      try {
+        res.set('Content-Type', this.registry.contentType);
+        res.send(await this.registry.metrics());
+      } catch (err) {
+        next(err);
+      }
+    };
+  }
+}
+
+module.exports = { ServerMetrics };
@@ -0,0 +1,161 @@
+const net = require('net');
+const os = require('os');
+
+/**
+ * Network grouping helpers
+ *
+ * Peers are bucketed by the network they connect from so that strangers on a
+ * shared signaling server never see each other:
+ *   - public IPv4 addresses are grouped by the exact IP (everyone behind one NAT)
+ *   - public IPv6 addresses are grouped by prefix (/64 by default): devices of
+ *     one home network each pick their own privacy addresses in it
+ *   - private addresses are grouped by subnet (IPv4 /24, IPv6 /64 by default)
+ *   - loopback clients join the subnet of the server's own LAN address
+ */
+
+const DEFAULT_OPTIONS = {
+  trustProxy: false,
+  ipv4Prefix: 24,
+  ipv6Prefix: 64
+};
+
+/**
+ * Strip the IPv4-mapped IPv6 prefix and zone index from an address
+ */
+function normalizeAddress(address) {
+  if (!address) return '';
+  let normalized = address.trim();
+  if (normalized.startsWith('::ffff:') && net.isIPv4(normalized.slice(7))) {
+    normalized = normalized.slice(7);
+  }
+  const zoneIndex = normalized.indexOf('%');
+  if (zoneIndex !== -1) {
+    normalized = normalized.slice(0, zoneIndex);
+  }
+  return normalized.toLowerCase();
+}
+
+/**
+ * Resolve the client address of an HTTP request or WebSocket upgrade.
+ * X-Forwarded-For is only honoured when the server runs behind a trusted proxy,
+ * and then only its last entry, the one that proxy appended: clients can put
+ * anything in front of it.
+ */
+function getClientAddress(req, options = {}) {
+  const { trustProxy } = { ...DEFAULT_OPTIONS, ...options };
+
+  if (trustProxy) {
+    const forwarded = req.headers['x-forwarded-for'];
+    if (forwarded) {
+      const last = normalizeAddress(String(forwarded).split(',').pop());
+      if (net.isIP(last)) {
+        return last;
+      }
+    }
+  }
+
+  return normalizeAddress(req.socket?.remoteAddress);
+}
+
+/**
+ * Expand an IPv6 address into its eight 16-bit groups
+ */
+function expandIPv6(address) {
+  const [head, tail] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+
+  // Embedded IPv4 suffix (e.g. 64:ff9b::192.0.2.1)
+  const last = tailGroups.length ? tailGroups : headGroups;
+  if (last.length && net.isIPv4(last[last.length - 1])) {
+    const octets = last.pop().split('.').map(Number);
+    last.push(((octets[0] << 8) | octets[1]).toString(16), ((octets[2] << 8) | octets[3]).toString(16));
+  }
+
+  const missing = address.includes('::') ? 8 - headGroups.length - tailGroups.length : 0;
+  return [...headGroups, ...new Array(missing).fill('0'), ...tailGroups].map(group => parseInt(group, 16) || 0);
+}
+
+function isPrivateIPv4(address) {
+  const [a, b] = address.split('.').map(Number);
+  return a === 10 ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    (a === 169 && b === 254) ||
+    (a === 100 && b >= 64 && b <= 127); // Carrier-grade NAT
+}
+
+function isLoopback(address) {
+  return address === '::1' || address.startsWith('127.') || address === 'localhost';
+}
+
+/**
+ * Mask an address down to its subnet prefix
+ */
+function toSubnet(address, ipv4Prefix, ipv6Prefix) {
+  if (net.isIPv4(address)) {
+    const value = address.split('.').reduce((acc, octet) => ((acc << 8) | Number(octet)) >>> 0, 0);
+    const mask = ipv4Prefix === 0 ? 0 : (0xffffffff << (32 - ipv4Prefix)) >>> 0;
+    const masked = (value & mask) >>> 0;
+    const octets = [24, 16, 8, 0].map(shift => (masked >>> shift) & 255);
+    return `${octets.join('.')}/${ipv4Prefix}`;
+  }
+
+  const groups = expandIPv6(address);
+  let remaining = ipv6Prefix;
+  const masked = groups.map((group) => {
+    const bits = Math.max(0, Math.min(16, remaining));
+    remaining -= 16;
+    return bits === 0 ? 0 : group & (0xffff << (16 - bits)) & 0xffff;
+  });
+  return `${masked.map(group => group.toString(16)).join(':')}/${ipv6Prefix}`;
+}
+
+/**
+ * First non-internal address of this host, used to place loopback clients on the LAN
+ */
+function getServerLanAddress() {
+  const interfaces = os.networkInterfaces();
+  for (const name of Object.keys(interfaces)) {
+    for (const iface of interfaces[name]) {
+      if (iface.family === 'IPv4' && !iface.internal) {
+        return iface.address;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Derive the visibility bucket for a client address
+ */
+function getNetworkBucket(address, options = {}) {
+  const { ipv4Prefix, ipv6Prefix } = { ...DEFAULT_OPTIONS, ...options };
+  let normalized = normalizeAddress(address);
+
+  if (isLoopback(normalized)) {
+    const lanAddress = getServerLanAddress();
+    if (!lanAddress) {
+      return 'local';
+    }
+    normalized = lanAddress;
+  }
+
+  if (!net.isIP(normalized)) {
+    return 'unknown';
+  }
+
+  // IPv6 hosts use several addresses of their network's prefix, public or not
+  if (net.isIPv6(normalized) || isPrivateIPv4(normalized)) {
+    return `subnet:${toSubnet(normalized, ipv4Prefix, ipv6Prefix)}`;
+  }
+
+  return `ip:${normalized}`;
+}
+
+module.exports = {
+  getClientAddress,
+  getNetworkBucket,
+  getServerLanAddress,
+  normalizeAddress
+};
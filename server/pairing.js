@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const QRCode = require('qrcode');
+
+/**
+ * Persistent device pairing
+ *
+ * One device asks for a short numeric code, the other redeems it. Both then
+ * receive the same random pairing secret and present it whenever they
+ * register. The server never stores a secret: it only keeps the SHA-256 hash
+ * of each pairing, so a leaked store cannot be used to join a pairing.
+ *
+ * Codes are short, so wrong codes are counted per network, across reconnects,
+ * and a network that guessed too many is locked out for a while.
+ */
+
+const DEFAULT_OPTIONS = {
+  storePath: null,
+  codeLength: 6,
+  codeTtl: 5 * 60 * 1000, // 5 minutes
+  maxFailedAttempts: 5, // Wrong codes per network before it is locked out
+  lockoutDuration: 15 * 60 * 1000 // 15 minutes, counted from the first wrong code
+};
+
+class PairingManager {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.logger = this.options.logger || console;
+    this.pairings = new Map(); // pairingId -> { hash, createdAt }
+    this.pendingCodes = new Map(); // code -> { peerId, expiresAt }
+    this.failedAttempts = new Map(); // network bucket -> { count, expiresAt }
+    this.load();
+  }
+
+  /**
+   * Hash a pairing secret; the hash is what the server persists
+   */
+  static hashSecret(secret) {
+    return crypto.createHash('sha256').update(String(secret)).digest('hex');
+  }
+
+  /**
+   * Short public identifier for a pairing, derived from its hash
+   */
+  static toPairingId(hash) {
+    return hash.slice(0, 16);
+  }
+
+  load() {
+    const { storePath } = this.options;
+    if (!storePath || !fs.existsSync(storePath)) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+      for (const pairing of data.pairings || []) {
+        this.pairings.set(PairingManager.toPairingId(pairing.hash), pairing);
+      }
+      this.logger.info(`Loaded ${this.pairings.size} device pairing(s) from ${storePath}`);
+    } catch (err) {
+      this.logger.error(`Failed to load pairing store ${storePath}: ${err.message}`);
+    }
+  }
+
+  save() {
+    const { storePath } = this.options;
+    if (!storePath) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(storePath), { recursive: true });
+      const tmpPath = `${storePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ pairings: Array.from(this.pairings.values()) }, null, 2));
+      fs.renameSync(tmpPath, storePath);
+    } catch (err) {
+      this.logger.error(`Failed to save pairing store ${storePath}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Issue a one-time pairing code for a peer, replacing any earlier code of that peer
+   */
+  createCode(peerId) {
+    this.cancelCode(peerId);
+    this.pruneExpiredCodes();
+
+    const { codeLength, codeTtl } = this.options;
+    let code;
+    do {
+      code = crypto.randomInt(0, Math.pow(10, codeLength)).toString().padStart(codeLength, '0');
+    } while (this.pendingCodes.has(code));
+
+    const expiresAt = Date.now() + codeTtl;
+    this.pendingCodes.set(code, { peerId, expiresAt });
+    return { code, expiresAt };
+  }
+
+  /**
+   * Redeem a code for a peer on the network `bucket` and create the pairing.
+   * Returns null for unknown, expired or own codes and while the network is locked out.
+   */
+  redeemCode(code, peerId, bucket) {
+    this.pruneExpiredCodes();
+
+    if (this.isLockedOut(bucket)) {
+      return null;
+    }
+
+    const pending = this.pendingCodes.get(String(code).trim());
+    if (!pending) {
+      this.recordFailure(bucket);
+      return null;
+    }
+    // Entering your own code is a mistake, not a guess
+    if (pending.peerId === peerId) {
+      return null;
+    }
+    this.pendingCodes.delete(String(code).trim());
+
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const hash = PairingManager.hashSecret(secret);
+    const pairingId = PairingManager.toPairingId(hash);
+
+    this.pairings.set(pairingId, { hash, createdAt: new Date().toISOString() });
+    this.save();
+
+    return { initiatorPeerId: pending.peerId, pairingId, secret };
+  }
+
+  /**
+   * Count a wrong code against the network it came from
+   */
+  recordFailure(bucket) {
+    const attempts = this.failedAttempts.get(bucket) || { count: 0, expiresAt: Date.now() + this.options.lockoutDuration };
+    attempts.count += 1;
+    this.failedAttempts.set(bucket, attempts);
+  }
+
+  /**
+   * Whether a network guessed too many wrong codes recently
+   */
+  isLockedOut(bucket) {
+    const attempts = this.failedAttempts.get(bucket);
+    return Boolean(attempts) && attempts.expiresAt > Date.now() &&
+      attempts.count >= this.options.maxFailedAttempts;
+  }
+
+  /**
+   * Drop the pending code of a peer
+   */
+  cancelCode(peerId) {
+    for (const [code, pending] of this.pendingCodes) {
+      if (pending.peerId === peerId) {
+        this.pendingCodes.delete(code);
+      }
+    }
+  }
+
+  /**
+   * Forget the pending code of a disconnected peer. Wrong codes stay counted
+   * against its network, so reconnecting does not allow more guesses.
+   */
+  forgetPeer(peerId) {
+    this.cancelCode(peerId);
+  }
+
+  pruneExpiredCodes() {
+    const now = Date.now();
+    for (const [code, pending] of this.pendingCodes) {
+      if (pending.expiresAt <= now) {
+        this.pendingCodes.delete(code);
+      }
+    }
+    for (const [bucket, attempts] of this.failedAttempts) {
+      if (attempts.expiresAt <= now) {
+        this.failedAttempts.delete(bucket);
+      }
+    }
+  }
+
+  /**
+   * Resolve the secrets a client presents into the ids of the pairings that still exist
+   */
+  resolve(secrets = []) {
+    const pairingIds = new Set();
+    for (const secret of secrets) {
+      if (typeof secret !== 'string') continue;
+      const hash = PairingManager.hashSecret(secret);
+      const pairingId = PairingManager.toPairingId(hash);
+      if (this.pairings.get(pairingId)?.hash === hash) {
+        pairingIds.add(pairingId);
+      }
+    }
+    return pairingIds;
+  }
+
+  /**
+   * Remove a pairing. Either side may unpair by presenting the secret.
+   */
+  remove(secret) {
+    const [pairingId] = this.resolve([secret]);
+    if (!pairingId) {
+      return null;
+    }
+    this.pairings.delete(pairingId);
+    this.save();
+    return pairingId;
+  }
+
+  get size() {
+    return this.pairings.size;
+  }
+}
+
+/**
+ * Express handler rendering an SVG QR code that opens ShearPoint with the pairing code filled in
+ */
+async function sendPairingQr(req, res) {
+  const { code } = req.params;
+  if (!/^\d{4,10}$/.test(code)) {
+    return res.status(400).json({ error: 'Invalid pairing code' });
+  }
+
+  const url = `${req.protocol}://${req.get('host')}/?pair=${code}`;
+  try {
+    const svg = await QRCode.toString(url, { type: 'svg', margin: 1 });
+    res.type('image/svg+xml').set('Cache-Control', 'no-store').send(svg);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to render QR code', message: err.message });
+  }
+}
+
+module.exports = { PairingManager, sendPairingQr };
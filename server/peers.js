@@ -0,0 +1,113 @@
+const WebSocket = require('ws');
+const { canSee, sharedPairing, sharedRoom } = require('./visibility');
+
+/**
+ * Connected signaling peers
+ *
+ * A peer record is created when a socket connects and carries everything the
+ * visibility rules and the signaling handlers need:
+ *   { peerId, ws, address, bucket, pairings, roomCode, device, protocolVersion,
+ *     identityId, challenge, sessionHash, connectedAt, lastHeartbeat,
+ *     disconnectedAt, graceTimer, pending }
+ * `device` is set once the peer registered; only registered peers appear in
+ * peer lists. `disconnectedAt` is set while the socket is gone but the peer may
+ * still resume its session; such peers stay listed.
+ */
+
+/**
+ * Send a JSON message if the socket is still open
+ */
+function sendMessage(ws, message) {
+  if (ws?.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * Send a protocol error to a socket
+ */
+function sendError(ws, code, error) {
+  sendMessage(ws, { type: 'error', code, error });
+}
+
+class PeerRegistry {
+  constructor() {
+    this.peers = new Map(); // peerId -> peer record
+  }
+
+  add(peer) {
+    this.peers.set(peer.peerId, peer);
+  }
+
+  get(peerId) {
+    return this.peers.get(peerId);
+  }
+
+  delete(peerId) {
+    return this.peers.delete(peerId);
+  }
+
+  values() {
+    return Array.from(this.peers.values());
+  }
+
+  /**
+   * Send to a peer by id, if it is connected
+   */
+  send(peerId, message) {
+    sendMessage(this.peers.get(peerId)?.ws, message);
+  }
+
+  /**
+   * Send the list of registered peers visible to a peer
+   */
+  sendPeerList(peerId) {
+    const self = this.peers.get(peerId);
+    if (!self?.device || self.ws.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    const peers = this.values()
+      .filter(p => p.device && canSee(self, p))
+      .map(p => ({
+        peerId: p.peerId,
+        device: p.device,
+        identityId: p.identityId,
+        pairingId: sharedPairing(self, p),
+        roomCode: sharedRoom(self, p),
+        connectedAt: p.connectedAt
+      }));
+
+    sendMessage(self.ws, {
+      type: 'peer-list',
+      peers,
+      totalPeers: peers.length,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Send an updated peer list to every peer that can see `changedPeer`,
+   * or to all registered peers when no peer is given
+   */
+  broadcastPeerUpdate(changedPeer = null) {
+    this.peers.forEach((peer) => {
+      if (!changedPeer || peer === changedPeer || canSee(peer, changedPeer)) {
+        this.sendPeerList(peer.peerId);
+      }
+    });
+  }
+
+  get size() {
+    return this.peers.size;
+  }
+
+  /**
+   * Peers whose socket is open
+   */
+  get openCount() {
+    return this.values().filter(p => p.ws.readyState === WebSocket.OPEN).length;
+  }
+}
+
+module.exports = { PeerRegistry, sendMessage, sendError };
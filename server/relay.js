@@ -0,0 +1,169 @@
+/**
+ * WebSocket relay for peers without a direct connection
+ *
+ * When ICE fails, for example on Wi-Fi with client isolation, two browsers can
+ * fall back to exchanging their data channel messages through the signaling
+ * socket. Both sides ask for the relay (`relay-request`); once both asked, the
+ * relay is open and the server forwards `relay-data` messages and binary relay
+ * frames between them. Every pair of peers has a byte quota, which lasts until
+ * one of them leaves the server, and every relay a bandwidth limit. The server
+ * enforces the limit by pausing the sending socket, so TCP backpressure
+ * throttles the sender instead of the server buffering.
+ */
+
+const DEFAULT_OPTIONS = {
+  enabled: true,
+  bandwidth: 1024 * 1024, // Bytes per second per relayed connection
+  quota: 512 * 1024 * 1024, // Bytes per pair of peers, both directions together
+  requestTtl: 30 * 1000, // How long one side's relay-request waits for the other's
+  maxBuffered: 4 * 1024 * 1024, // Pause a sender while the receiver's socket holds this much
+  pollInterval: 100 // How often a sender paused for a slow receiver is checked again
+};
+
+class RelayManager {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.requests = new Map(); // 'from>to' -> expiry of a relay-request waiting for its answer
+    this.sessions = new Map(); // 'a|b' -> { peers, tokens, refilledAt }
+    this.usage = new Map(); // 'a|b' -> bytes relayed, kept when the relay closes so reopening it does not reset the quota
+  }
+
+  static sessionKey(peerA, peerB) {
+    return [peerA, peerB].sort().join('|');
+  }
+
+  /**
+   * Limits announced to clients, or null when relaying is disabled
+   */
+  describe() {
+    return this.options.enabled ? { bandwidth: this.options.bandwidth, quota: this.options.quota } : null;
+  }
+
+  /**
+   * Record that `fromPeerId` wants a relay to `toPeerId`. Returns 'open' when the
+   * other side asked as well and the relay is now open, 'quota' when the pair
+   * used up its quota, otherwise 'pending'.
+   */
+  request(fromPeerId, toPeerId) {
+    const now = Date.now();
+    const key = RelayManager.sessionKey(fromPeerId, toPeerId);
+    if ((this.usage.get(key) || 0) >= this.options.quota) {
+      return 'quota';
+    }
+    if (this.sessions.has(key)) {
+      return 'open';
+    }
+
+    const reverse = `${toPeerId}>${fromPeerId}`;
+    if ((this.requests.get(reverse) || 0) > now) {
+      this.requests.delete(reverse);
+      this.sessions.set(key, {
+        peers: [fromPeerId, toPeerId],
+        tokens: this.options.bandwidth,
+        refilledAt: now
+      });
+      return 'open';
+    }
+
+    this.requests.set(`${fromPeerId}>${toPeerId}`, now + this.options.requestTtl);
+    return 'pending';
+  }
+
+  isOpen(peerA, peerB) {
+    return this.sessions.has(RelayManager.sessionKey(peerA, peerB));
+  }
+
+  /**
+   * Count relayed bytes. Returns null when there is no relay between the peers,
+   * { exceeded: true } when the quota ran out, and otherwise { delay }: how many
+   * milliseconds the sender has to wait to stay within the bandwidth limit.
+   */
+  account(fromPeerId, toPeerId, bytes) {
+    const key = RelayManager.sessionKey(fromPeerId, toPeerId);
+    const session = this.sessions.get(key);
+    if (!session) {
+      return null;
+    }
+
+    const used = (this.usage.get(key) || 0) + bytes;
+    this.usage.set(key, used);
+    if (used > this.options.quota) {
+      return { exceeded: true };
+    }
+
+    // Token bucket holding at most one second of bandwidth
+    const now = Date.now();
+    const { bandwidth } = this.options;
+    session.tokens = Math.min(bandwidth, session.tokens + (now - session.refilledAt) * bandwidth / 1000);
+    session.refilledAt = now;
+    session.tokens -= bytes;
+
+    return { delay: session.tokens < 0 ? Math.ceil(-session.tokens * 1000 / bandwidth) : 0 };
+  }
+
+  /**
+   * Close the relay between two peers. Returns whether one was open.
+   */
+  close(peerA, peerB) {
+    this.requests.delete(`${peerA}>${peerB}`);
+    this.requests.delete(`${peerB}>${peerA}`);
+    return this.sessions.delete(RelayManager.sessionKey(peerA, peerB));
+  }
+
+  /**
+   * Close every relay of a peer whose socket closed. Its quotas stay, since it may
+   * resume its session. Returns the peers it was relaying to.
+   */
+  closeSessions(peerId) {
+    const others = [];
+    this.sessions.forEach((session, key) => {
+      if (session.peers.includes(peerId)) {
+        this.sessions.delete(key);
+        others.push(session.peers.find(other => other !== peerId));
+      }
+    });
+    this.requests.forEach((expiresAt, key) => {
+      if (key.split('>').includes(peerId)) {
+        this.requests.delete(key);
+      }
+    });
+    return others;
+  }
+
+  /**
+   * Drop the quotas of a peer that left the server
+   */
+  forgetPeer(peerId) {
+    this.usage.forEach((bytes, key) => {
+      if (key.split('|').includes(peerId)) {
+        this.usage.delete(key);
+      }
+    });
+  }
+
+  /**
+   * Stop reading from a sender's socket for `delay` ms, or until the receiver's
+   * socket drained, so that TCP backpressure slows the sender down
+   */
+  throttle(fromWs, toWs, delay) {
+    const congested = toWs.bufferedAmount > this.options.maxBuffered;
+    if (delay <= 0 && !congested) return;
+
+    fromWs.pause();
+    clearTimeout(fromWs.relayResumeTimer);
+    fromWs.relayResumeTimer = setTimeout(() => {
+      fromWs.relayResumeTimer = null;
+      if (toWs.readyState === toWs.OPEN && toWs.bufferedAmount > this.options.maxBuffered) {
+        this.throttle(fromWs, toWs, this.options.pollInterval);
+      } else {
+        fromWs.resume();
+      }
+    }, Math.max(delay, congested ? this.options.pollInterval : 0));
+  }
+
+  get size() {
+    return this.sessions.size;
+  }
+}
+
+module.exports = { RelayManager };
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+
+/**
+ * Temporary public rooms
+ *
+ * A room lets devices on different networks see each other for a single
+ * session. One device creates a room and shares its short code, others join
+ * with the code. A device is in at most one room at a time. Rooms are removed
+ * as soon as the last member leaves, or when their TTL runs out.
+ */
+
+// No 0/O or 1/I so codes survive being read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const DEFAULT_OPTIONS = {
+  codeLength: 6,
+  ttl: 60 * 60 * 1000 // 1 hour
+};
+
+class RoomManager {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.rooms = new Map(); // code -> { code, createdAt, expiresAt, members: Set<peerId> }
+    this.memberships = new Map(); // peerId -> code
+  }
+
+  static normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  generateCode() {
+    let code;
+    do {
+      code = Array.from(
+        { length: this.options.codeLength },
+        () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]
+      ).join('');
+    } while (this.rooms.has(code));
+    return code;
+  }
+
+  /**
+   * Create a room and make the peer its first member
+   */
+  create(peerId) {
+    this.leave(peerId);
+
+    const now = Date.now();
+    const room = {
+      code: this.generateCode(),
+      createdAt: now,
+      expiresAt: now + this.options.ttl,
+      members: new Set()
+    };
+    this.rooms.set(room.code, room);
+    this.addMember(room, peerId);
+    return room;
+  }
+
+  /**
+   * Look up a live room by code
+   */
+  get(code) {
+    const room = this.rooms.get(RoomManager.normalizeCode(code));
+    return room && room.expiresAt > Date.now() ? room : null;
+  }
+
+  /**
+   * Join an existing room. Returns null when the code is unknown or expired.
+   */
+  join(code, peerId) {
+    const room = this.get(code);
+    if (!room) {
+      return null;
+    }
+
+    if (this.memberships.get(peerId) !== room.code) {
+      this.leave(peerId);
+      this.addMember(room, peerId);
+    }
+    return room;
+  }
+
+  addMember(room, peerId) {
+    room.members.add(peerId);
+    this.memberships.set(peerId, room.code);
+  }
+
+  /**
+   * Leave the current room. Returns the room left (possibly already removed) or null.
+   */
+  leave(peerId) {
+    const code = this.memberships.get(peerId);
+    if (!code) {
+      return null;
+    }
+
+    this.memberships.delete(peerId);
+    const room = this.rooms.get(code);
+    if (!room) {
+      return null;
+    }
+
+    room.members.delete(peerId);
+    if (room.members.size === 0) {
+      this.rooms.delete(code);
+    }
+    return room;
+  }
+
+  /**
+   * Remove rooms whose TTL ran out and return them with their former members
+   */
+  sweep() {
+    const now = Date.now();
+    const expired = [];
+
+    this.rooms.forEach((room, code) => {
+      if (room.expiresAt <= now) {
+        this.rooms.delete(code);
+        room.members.forEach(peerId => this.memberships.delete(peerId));
+        expired.push(room);
+      }
+    });
+
+    return expired;
+  }
+
+  get size() {
+    return this.rooms.size;
+  }
+}
+
+module.exports = { RoomManager };
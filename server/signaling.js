@@ -0,0 +1,716 @@
+const WebSocket = require('ws');
+const protocol = require('../public/js/protocol');
+const { getClientAddress, getNetworkBucket, getServerLanAddress } = require('./network');
+const { canSee } = require('./visibility');
+const { PairingManager } = require('./pairing');
+const { sendMessage, sendError } = require('./peers');
+const { describeDisabledFeature } = require('./config');
+const { createChallenge, createSessionToken, sessionTokenMatches, verifyIdentity } = require('./identity');
+
+/**
+ * WebSocket signaling
+ *
+ * Registers peers, forwards offers, answers and ICE candidates between peers
+ * that can see each other, and serves pairing, rooms and the relay. All state
+ * lives in the server context (see createServer), so several servers can run
+ * in one process.
+ *
+ * A registered peer whose socket closes is kept for `sessionGracePeriod`
+ * milliseconds. Reconnecting with its session token within that time brings
+ * the same peer entry back, so other peers never see it leave; offers, answers
+ * and ICE candidates sent to it meanwhile are queued.
+ */
+
+// Signaling messages queued for a peer that is reconnecting
+const MAX_PENDING_MESSAGES = 100;
+
+// Close codes of clients that left on purpose (closed tab, exited CLI); they get no grace period.
+// A close without a code (1005) counts as a drop: browsers send it when they give up on a socket
+// that stopped answering, and then reconnect to resume.
+const LEAVE_CLOSE_CODES = new Set([1000, 1001]);
+
+/**
+ * Generate unique device ID
+ */
+function generateDeviceId() {
+  return `device-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+class Signaling {
+  constructor(context) {
+    this.context = context;
+    this.logger = context.logger;
+    this.peers = context.peers;
+    this.closed = false;
+  }
+
+  /**
+   * Handle the connections of a WebSocket server
+   */
+  attach(wss) {
+    wss.on('connection', (ws, req) => this.handleConnection(ws, req));
+  }
+
+  handleConnection(ws, req) {
+    const { config, connectionLimiter, metrics } = this.context;
+    const peerId = generateDeviceId();
+    const address = getClientAddress(req, config.network);
+    const bucket = getNetworkBucket(address, config.network);
+
+    if (!connectionLimiter.addConnection(address)) {
+      this.logger.warn(`[Limits] Too many connections from ${address}, refusing another`);
+      ws.close(protocol.CLOSE_CODES.TOO_MANY_CONNECTIONS, 'Too many connections');
+      return;
+    }
+    this.logger.info(`[Signaling] New WebSocket connection: ${peerId} from ${address} (${bucket})`);
+    metrics?.connectionOpened();
+    const openedAt = Date.now(); // Per socket; connectedAt is the peer's and survives resumes
+
+    const session = createSessionToken();
+    const peer = {
+      peerId,
+      ws,
+      address,
+      bucket,
+      pairings: new Set(),
+      roomCode: null,
+      device: null,
+      protocolVersion: null,
+      identityId: null,
+      challenge: createChallenge(),
+      sessionHash: session.hash,
+      connectedAt: new Date(),
+      lastHeartbeat: null, // Set by clients that send application heartbeats
+      disconnectedAt: null, // Set while the peer may still resume its session
+      graceTimer: null,
+      pending: []
+    };
+    this.peers.add(peer);
+
+    // Send welcome message with peer ID and the protocol versions we speak
+    sendMessage(ws, {
+      type: 'welcome',
+      peerId,
+      protocolVersion: protocol.PROTOCOL_VERSION,
+      minProtocolVersion: protocol.MIN_PROTOCOL_VERSION,
+      serverTime: new Date().toISOString(),
+      serverAddress: getServerLanAddress() || 'localhost',
+      port: req.socket.localPort,
+      sessionToken: session.token,
+      challenge: peer.challenge
+    });
+
+    ws.on('message', (message, isBinary) => this.handleMessage(peer, message, isBinary));
+
+    ws.on('close', (code) => {
+      connectionLimiter.removeConnection(address);
+      metrics?.connectionClosed(openedAt);
+      this.handleDisconnect(peer, code);
+    });
+
+    ws.on('error', (error) => {
+      connectionLimiter.recordError(error);
+      this.logger.error(`[WebSocket Error] ${peer.peerId}: ${error.message}`);
+    });
+
+    // Half-open sockets never close on their own
+    this.context.liveness.watch(ws, () => {
+      this.logger.warn(`[Liveness] ${peer.peerId} did not answer a ping, dropping its socket`);
+    });
+  }
+
+  /**
+   * Parse, rate limit and dispatch one WebSocket message
+   */
+  handleMessage(peer, message, isBinary) {
+    const { ws } = peer;
+
+    // Ignore what arrives after we closed the socket, e.g. for exceeding a limit
+    if (ws.readyState !== WebSocket.OPEN) return;
+
+    // Binary messages are relay frames, which only registered clients may send
+    if (isBinary) {
+      if (!peer.protocolVersion) {
+        this.rejectProtocolVersion(peer, undefined);
+        return;
+      }
+      this.handleRelayFrame(peer, message);
+      return;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(message);
+    } catch (error) {
+      data = null;
+    }
+
+    // Unparseable messages count against the default bucket
+    if (!this.context.connectionLimiter.allowMessage(ws, data?.type)) {
+      this.logger.warn(`[Limits] ${peer.peerId} exceeded the rate limit for ${data?.type || 'messages'}, disconnecting`);
+      ws.close(protocol.CLOSE_CODES.RATE_LIMITED, 'Rate limit exceeded');
+      return;
+    }
+    this.context.metrics?.messageReceived(data?.type);
+
+    if (data === null) {
+      this.logger.error('[Signaling Error] Invalid message format');
+      sendError(ws, protocol.ERROR_CODES.INVALID_MESSAGE, 'Invalid message format');
+      return;
+    }
+    this.handleSignalingMessage(peer, data);
+  }
+
+  /**
+   * Handle signaling messages (registration, offer, answer, ICE candidates)
+   */
+  handleSignalingMessage(peer, data) {
+    // Clients must register with a supported protocol version before anything else
+    if (!peer.protocolVersion) {
+      if (data?.type !== 'register' || !protocol.isSupportedVersion(data.protocolVersion)) {
+        this.rejectProtocolVersion(peer, data?.protocolVersion);
+        return;
+      }
+    }
+
+    const validation = protocol.validateMessage(data, 'client');
+    if (!validation.valid) {
+      this.logger.warn(`[Warning] Rejected message from ${peer.peerId}: ${validation.error}`);
+      sendError(peer.ws, validation.code, validation.error);
+      return;
+    }
+
+    const { type, targetPeerId, payload } = data;
+
+    this.logger.debug(`[Signaling] ${peer.peerId} -> ${targetPeerId || 'server'}: ${type}`);
+
+    // Pairing and rooms can be switched off in the configuration
+    const disabled = describeDisabledFeature(this.context.config, type);
+    if (disabled) {
+      sendError(peer.ws, protocol.ERROR_CODES.FEATURE_DISABLED, disabled);
+      return;
+    }
+
+    switch (type) {
+      case 'register':
+        this.handleRegistration(peer, data);
+        break;
+
+      case 'offer':
+      case 'answer':
+      case 'ice-candidate':
+        this.forwardSignalingMessage(peer, targetPeerId, type, payload);
+        break;
+
+      case 'peer-list-request':
+        this.peers.sendPeerList(peer.peerId);
+        break;
+
+      case 'pair-create':
+        this.handlePairCreate(peer);
+        break;
+
+      case 'pair-join':
+        this.handlePairJoin(peer, data.code);
+        break;
+
+      case 'pair-remove':
+        this.handlePairRemove(peer, data.secret);
+        break;
+
+      case 'room-create':
+        this.handleRoomCreate(peer);
+        break;
+
+      case 'room-join':
+        this.handleRoomJoin(peer, data.code);
+        break;
+
+      case 'room-leave':
+        this.leaveRoom(peer, 'left');
+        break;
+
+      case 'relay-request':
+        this.handleRelayRequest(peer, targetPeerId);
+        break;
+
+      case 'relay-data':
+        this.handleRelayData(peer, targetPeerId, data.payload);
+        break;
+
+      case 'relay-close':
+        this.closeRelay(peer.peerId, targetPeerId, 'closed');
+        break;
+
+      case 'heartbeat':
+        peer.lastHeartbeat = Date.now();
+        sendMessage(peer.ws, { type: 'heartbeat-ack', timestamp: Date.now() });
+        break;
+    }
+  }
+
+  /**
+   * Tell a client we cannot speak its protocol version and disconnect it
+   */
+  rejectProtocolVersion(peer, version) {
+    this.logger.warn(`[Warning] Rejected ${peer.peerId}: unsupported protocol version ${version}`);
+    sendError(
+      peer.ws,
+      protocol.ERROR_CODES.UNSUPPORTED_PROTOCOL_VERSION,
+      protocol.describeVersionMismatch(version)
+    );
+    peer.ws.close(protocol.CLOSE_CODES.UNSUPPORTED_PROTOCOL, 'Unsupported protocol version');
+  }
+
+  /**
+   * Register device with metadata, resuming the session of an earlier connection when asked
+   */
+  handleRegistration(peer, data) {
+    const { config, pairingManager, relayManager, deviceInventory } = this.context;
+
+    let identityId = null;
+    if (data.identity) {
+      identityId = verifyIdentity(data.identity, peer.challenge);
+      if (!identityId) {
+        this.logger.warn(`[Warning] Rejected registration of ${peer.peerId}: invalid identity signature`);
+        sendError(peer.ws, protocol.ERROR_CODES.INVALID_IDENTITY, 'Identity signature is invalid');
+        return;
+      }
+    }
+
+    const previous = this.findResumableSession(peer, data.resume, identityId);
+    if (previous) {
+      this.resumeSession(peer, previous);
+    }
+
+    const deviceData = protocol.sanitizeDevice(data.device);
+    const device = {
+      id: peer.peerId,
+      name: deviceData.name || `Device-${peer.peerId.substring(0, 8)}`,
+      type: deviceData.type || 'unknown',
+      capabilities: deviceData.capabilities,
+      registeredAt: previous?.device.registeredAt || new Date().toISOString()
+    };
+    const pairings = config.features.pairing ? pairingManager.resolve(data.pairings) : new Set();
+    const changed = !previous || !sameDevice(device, previous.device) || !sameSet(pairings, previous.pairings);
+
+    deviceInventory.set(peer.peerId, device);
+    peer.device = device;
+    peer.protocolVersion = data.protocolVersion;
+    peer.pairings = pairings;
+    peer.identityId = identityId;
+
+    this.logger.info(`[Device ${previous ? 'Resumed' : 'Registered'}] ${device.name} (${peer.peerId})`);
+
+    // Send confirmation, including which of the presented pairings still exist
+    sendMessage(peer.ws, {
+      type: 'registered',
+      peerId: peer.peerId,
+      resumed: Boolean(previous),
+      device,
+      protocolVersion: peer.protocolVersion,
+      identityId,
+      pairings: Array.from(peer.pairings),
+      relay: relayManager.describe()
+    });
+
+    if (previous) {
+      // Deliver what was sent to the peer while it was away
+      previous.pending.forEach(message => sendMessage(peer.ws, message));
+    }
+    if (changed) {
+      this.peers.broadcastPeerUpdate(peer);
+    } else {
+      this.peers.sendPeerList(peer.peerId);
+    }
+  }
+
+  /**
+   * The peer whose session a `register.resume` asks for, if the token matches
+   * and the peer reconnects from the same network with the same identity
+   */
+  findResumableSession(peer, resume, identityId) {
+    if (!resume || this.context.config.sessionGracePeriod <= 0) {
+      return null;
+    }
+
+    const previous = this.peers.get(resume.peerId);
+    if (!previous?.device || previous === peer ||
+        !sessionTokenMatches(resume.sessionToken, previous.sessionHash)) {
+      return null;
+    }
+    if (previous.bucket !== peer.bucket || previous.identityId !== identityId) {
+      this.logger.info(`[Signaling] Not resuming ${previous.peerId}: network or identity changed`);
+      return null;
+    }
+    return previous;
+  }
+
+  /**
+   * Move a new connection into the peer entry of an earlier one
+   */
+  resumeSession(peer, previous) {
+    clearTimeout(previous.graceTimer);
+    this.peers.delete(peer.peerId);
+
+    peer.peerId = previous.peerId;
+    peer.roomCode = previous.roomCode;
+    peer.connectedAt = previous.connectedAt;
+    this.peers.add(peer);
+
+    // The old socket may still look open if the client noticed the drop first
+    if (previous.ws.readyState === WebSocket.OPEN || previous.ws.readyState === WebSocket.CONNECTING) {
+      previous.ws.close(protocol.CLOSE_CODES.SESSION_RESUMED, 'Session resumed on another connection');
+    }
+  }
+
+  /**
+   * Issue a one-time pairing code
+   */
+  handlePairCreate(peer) {
+    const { code, expiresAt } = this.context.pairingManager.createCode(peer.peerId);
+
+    this.logger.info(`[Pairing] Code issued to ${peer.peerId}`);
+    sendMessage(peer.ws, { type: 'pair-code', code, expiresAt });
+  }
+
+  /**
+   * Redeem a pairing code and pair both devices
+   */
+  handlePairJoin(peer, code) {
+    const { pairingManager } = this.context;
+
+    // Counted per network bucket: addresses are cheap to change within one (IPv6 privacy addresses)
+    if (pairingManager.isLockedOut(peer.bucket)) {
+      sendError(peer.ws, protocol.ERROR_CODES.TOO_MANY_PAIRING_ATTEMPTS, 'Too many wrong pairing codes, try again later');
+      return;
+    }
+
+    const result = pairingManager.redeemCode(code, peer.peerId, peer.bucket);
+    const initiator = result && this.peers.get(result.initiatorPeerId);
+    if (!initiator) {
+      sendError(peer.ws, protocol.ERROR_CODES.INVALID_PAIRING_CODE, 'Pairing code is invalid or has expired');
+      return;
+    }
+
+    const { pairingId, secret } = result;
+    peer.pairings.add(pairingId);
+    initiator.pairings.add(pairingId);
+
+    this.logger.info(`[Pairing] ${initiator.peerId} paired with ${peer.peerId} (${pairingId})`);
+
+    sendMessage(initiator.ws, {
+      type: 'paired',
+      pairingId,
+      secret,
+      peer: { peerId: peer.peerId, device: peer.device }
+    });
+    sendMessage(peer.ws, {
+      type: 'paired',
+      pairingId,
+      secret,
+      peer: { peerId: initiator.peerId, device: initiator.device }
+    });
+
+    this.peers.broadcastPeerUpdate(peer);
+    this.peers.broadcastPeerUpdate(initiator);
+  }
+
+  /**
+   * Remove a pairing on behalf of either device
+   */
+  handlePairRemove(peer, secret) {
+    const pairingId = this.context.pairingManager.remove(secret) ||
+      PairingManager.toPairingId(PairingManager.hashSecret(secret));
+
+    this.logger.info(`[Pairing] ${peer.peerId} removed pairing ${pairingId}`);
+
+    // Tell every connected holder and refresh their lists, which may shrink now
+    const holders = this.peers.values().filter(p => p === peer || p.pairings.has(pairingId));
+    holders.forEach((holder) => {
+      holder.pairings.delete(pairingId);
+      sendMessage(holder.ws, { type: 'unpaired', pairingId });
+    });
+    holders.forEach(holder => this.peers.broadcastPeerUpdate(holder));
+  }
+
+  /**
+   * Create a room and join it
+   */
+  handleRoomCreate(peer) {
+    this.leaveRoom(peer, 'left');
+
+    const room = this.context.roomManager.create(peer.peerId);
+    peer.roomCode = room.code;
+
+    this.logger.info(`[Rooms] ${peer.peerId} created room ${room.code}`);
+    sendMessage(peer.ws, { type: 'room-joined', code: room.code, expiresAt: room.expiresAt });
+  }
+
+  /**
+   * Join a room by code
+   */
+  handleRoomJoin(peer, code) {
+    const { roomManager } = this.context;
+    const room = roomManager.get(code);
+
+    if (!room) {
+      sendError(peer.ws, protocol.ERROR_CODES.ROOM_NOT_FOUND, 'Room not found or expired');
+      return;
+    }
+
+    if (peer.roomCode !== room.code) {
+      this.leaveRoom(peer, 'left');
+      roomManager.join(room.code, peer.peerId);
+      peer.roomCode = room.code;
+      this.logger.info(`[Rooms] ${peer.peerId} joined room ${room.code}`);
+    }
+
+    sendMessage(peer.ws, { type: 'room-joined', code: room.code, expiresAt: room.expiresAt });
+    this.peers.broadcastPeerUpdate(peer);
+  }
+
+  /**
+   * Take a peer out of its room and refresh the lists of everyone affected
+   */
+  leaveRoom(peer, reason) {
+    if (!peer?.roomCode) return;
+
+    const code = peer.roomCode;
+    const room = this.context.roomManager.leave(peer.peerId);
+    peer.roomCode = null;
+
+    this.logger.info(`[Rooms] ${peer.peerId} left room ${code}`);
+    sendMessage(peer.ws, { type: 'room-left', code, reason });
+
+    room?.members.forEach(memberId => this.peers.sendPeerList(memberId));
+    this.peers.sendPeerList(peer.peerId);
+  }
+
+  /**
+   * Close rooms whose TTL ran out
+   */
+  expireRooms() {
+    this.context.roomManager.sweep().forEach((room) => {
+      this.logger.info(`[Rooms] Room ${room.code} expired`);
+      const members = Array.from(room.members)
+        .map(memberId => this.peers.get(memberId))
+        .filter(Boolean);
+
+      members.forEach((member) => {
+        member.roomCode = null;
+        sendMessage(member.ws, { type: 'room-left', code: room.code, reason: 'expired' });
+      });
+      members.forEach(member => this.peers.sendPeerList(member.peerId));
+    });
+  }
+
+  /**
+   * Forward signaling message to target peer
+   */
+  forwardSignalingMessage(sourcePeer, targetPeerId, type, payload) {
+    const { metrics } = this.context;
+    const targetPeer = this.peers.get(targetPeerId);
+
+    // Peers outside the sender's network are reported exactly like missing ones
+    if (!targetPeer?.device || !canSee(sourcePeer, targetPeer) ||
+        (!targetPeer.disconnectedAt && targetPeer.ws.readyState !== WebSocket.OPEN)) {
+      sendError(
+        sourcePeer.ws,
+        protocol.ERROR_CODES.PEER_UNAVAILABLE,
+        `Target peer '${targetPeerId}' is not available`
+      );
+      metrics?.forwardFailed(type);
+      return;
+    }
+
+    const message = {
+      type,
+      fromPeerId: sourcePeer.peerId,
+      payload,
+      forwardedAt: new Date().toISOString()
+    };
+
+    // Hold messages for a peer that is reconnecting
+    if (targetPeer.disconnectedAt) {
+      if (targetPeer.pending.length < MAX_PENDING_MESSAGES) {
+        targetPeer.pending.push(message);
+        metrics?.messageForwarded(type);
+      } else {
+        metrics?.forwardFailed(type);
+      }
+      return;
+    }
+    sendMessage(targetPeer.ws, message);
+    metrics?.messageForwarded(type);
+  }
+
+  /**
+   * Ask for a relay to a peer; it opens once both peers asked
+   */
+  handleRelayRequest(sourcePeer, targetPeerId) {
+    const { relayManager } = this.context;
+    const targetPeer = this.peers.get(targetPeerId);
+
+    if (!relayManager.describe()) {
+      sendMessage(sourcePeer.ws, { type: 'relay-close', peerId: targetPeerId, reason: 'unavailable' });
+      return;
+    }
+    if (!targetPeer?.device || targetPeer.disconnectedAt || !canSee(sourcePeer, targetPeer)) {
+      sendError(sourcePeer.ws, protocol.ERROR_CODES.PEER_UNAVAILABLE, `Target peer '${targetPeerId}' is not available`);
+      return;
+    }
+
+    const state = relayManager.request(sourcePeer.peerId, targetPeerId);
+    if (state === 'open') {
+      this.logger.info(`[Relay] Open between ${sourcePeer.peerId} and ${targetPeerId}`);
+      sendMessage(sourcePeer.ws, { type: 'relay-open', peerId: targetPeerId });
+      sendMessage(targetPeer.ws, { type: 'relay-open', peerId: sourcePeer.peerId });
+    } else if (state === 'quota') {
+      sendMessage(sourcePeer.ws, { type: 'relay-close', peerId: targetPeerId, reason: 'quota' });
+    } else {
+      sendMessage(targetPeer.ws, { type: 'relay-request', fromPeerId: sourcePeer.peerId });
+    }
+  }
+
+  /**
+   * Forward one data channel message through an open relay, within its quota and bandwidth
+   */
+  relayToPeer(sourcePeer, targetPeerId, data, size) {
+    const { relayManager } = this.context;
+    const targetPeer = this.peers.get(targetPeerId);
+    const usage = targetPeer ? relayManager.account(sourcePeer.peerId, targetPeerId, size) : null;
+
+    if (!usage) {
+      sendMessage(sourcePeer.ws, { type: 'relay-close', peerId: targetPeerId, reason: 'closed' });
+      return;
+    }
+    if (usage.exceeded) {
+      this.closeRelay(sourcePeer.peerId, targetPeerId, 'quota');
+      return;
+    }
+
+    if (targetPeer.ws.readyState === WebSocket.OPEN) {
+      targetPeer.ws.send(data);
+    }
+    relayManager.throttle(sourcePeer.ws, targetPeer.ws, usage.delay);
+  }
+
+  /**
+   * Forward a binary relay frame, rewritten to name its sender
+   */
+  handleRelayFrame(sourcePeer, message) {
+    const frame = protocol.decodeRelayFrame(message);
+    if (!frame) {
+      sendError(sourcePeer.ws, protocol.ERROR_CODES.INVALID_MESSAGE, 'Invalid relay frame');
+      return;
+    }
+    this.relayToPeer(sourcePeer, frame.peerId, protocol.encodeRelayFrame(sourcePeer.peerId, frame.data), frame.data.byteLength);
+  }
+
+  /**
+   * Forward a JSON data channel message
+   */
+  handleRelayData(sourcePeer, targetPeerId, payload) {
+    const data = JSON.stringify({ type: 'relay-data', fromPeerId: sourcePeer.peerId, payload });
+    this.relayToPeer(sourcePeer, targetPeerId, data, payload.length);
+  }
+
+  /**
+   * Close the relay between two peers and tell both
+   */
+  closeRelay(peerA, peerB, reason) {
+    if (!this.context.relayManager.close(peerA, peerB)) return;
+
+    this.logger.info(`[Relay] Closed between ${peerA} and ${peerB} (${reason})`);
+    this.peers.send(peerA, { type: 'relay-close', peerId: peerB, reason });
+    this.peers.send(peerB, { type: 'relay-close', peerId: peerA, reason });
+  }
+
+  /**
+   * Keep a registered peer whose connection dropped for the grace period, so it
+   * can resume its session, or forget it right away when it left on purpose
+   */
+  handleDisconnect(peer, code) {
+    // A resumed session took over this peer entry
+    if (this.peers.get(peer.peerId) !== peer) return;
+
+    const grace = this.context.config.sessionGracePeriod;
+    if (!peer.device || grace <= 0 || this.closed || LEAVE_CLOSE_CODES.has(code)) {
+      this.logger.info(`[Signaling] Peer disconnected: ${peer.peerId}`);
+      this.removePeer(peer);
+      return;
+    }
+
+    this.logger.info(`[Signaling] Peer disconnected: ${peer.peerId}, keeping its session for ${grace} ms`);
+    peer.disconnectedAt = Date.now();
+    this.closeRelays(peer.peerId);
+    peer.graceTimer = setTimeout(() => {
+      this.logger.info(`[Signaling] Session of ${peer.peerId} expired`);
+      this.removePeer(peer);
+    }, grace);
+  }
+
+  /**
+   * Close every relay of a peer and tell the other ends
+   */
+  closeRelays(peerId) {
+    this.context.relayManager.closeSessions(peerId).forEach((otherId) => {
+      this.peers.send(otherId, { type: 'relay-close', peerId, reason: 'disconnected' });
+    });
+  }
+
+  /**
+   * Forget a peer and update everyone who could see it
+   */
+  removePeer(peer) {
+    const { pairingManager, roomManager, deviceInventory } = this.context;
+    if (this.peers.get(peer.peerId) !== peer) return;
+
+    clearTimeout(peer.graceTimer);
+    peer.sessionHash = null; // Its session can no longer be resumed
+    this.peers.delete(peer.peerId);
+    deviceInventory.delete(peer.peerId);
+    pairingManager.forgetPeer(peer.peerId);
+    roomManager.leave(peer.peerId);
+    this.closeRelays(peer.peerId);
+    this.context.relayManager.forgetPeer(peer.peerId);
+    if (peer.device) {
+      this.peers.broadcastPeerUpdate(peer);
+    }
+  }
+
+  /**
+   * Disconnect a peer for good, e.g. one that stopped sending heartbeats or that an
+   * admin removed. It is forgotten first, so it gets no grace period to resume.
+   */
+  evictPeer(peer, reason, code = 1000) {
+    this.logger.warn(`[Signaling] Removing ${peer.peerId}: ${reason}`);
+    this.removePeer(peer);
+    peer.ws.close(code, reason);
+  }
+
+  /**
+   * Stop keeping sessions of disconnected peers, for shutting down
+   */
+  close() {
+    this.closed = true;
+    this.peers.values()
+      .filter(peer => peer.disconnectedAt)
+      .forEach(peer => this.removePeer(peer));
+  }
+}
+
+/**
+ * Whether a re-registered device looks the same to other peers
+ */
+function sameDevice(a, b) {
+  return a.name === b.name && a.type === b.type &&
+    JSON.stringify(a.capabilities) === JSON.stringify(b.capabilities);
+}
+
+function sameSet(a, b) {
+  return a.size === b.size && Array.from(a).every(value => b.has(value));
+}
+
+module.exports = { Signaling };
@@ -0,0 +1,49 @@
+/**
+ * Peer visibility rules
+ *
+ * Decides whether two signaling peers may see each other in peer lists and
+ * exchange signaling messages. Peers are plain records carrying the `bucket`
+ * computed by network.getNetworkBucket() at connection time and the set of
+ * `pairings` ids resolved from the secrets presented at registration, plus
+ * the `roomCode` of the temporary room the peer is in.
+ */
+
+/**
+ * Id of a pairing both peers belong to, or null
+ */
+function sharedPairing(peer, other) {
+  if (!peer?.pairings || !other?.pairings) {
+    return null;
+  }
+  for (const pairingId of peer.pairings) {
+    if (other.pairings.has(pairingId)) {
+      return pairingId;
+    }
+  }
+  return null;
+}
+
+/**
+ * Code of the room both peers are in, or null
+ */
+function sharedRoom(peer, other) {
+  return peer?.roomCode && peer.roomCode === other?.roomCode ? peer.roomCode : null;
+}
+
+/**
+ * Whether `peer` may see and signal `other`
+ */
+function canSee(peer, other) {
+  if (!peer || !other || peer === other) {
+    return false;
+  }
+
+  // Paired devices and members of one room see each other regardless of the network they are on
+  if (sharedPairing(peer, other) || sharedRoom(peer, other)) {
+    return true;
+  }
+
+  return Boolean(peer.bucket) && peer.bucket === other.bucket;
+}
+
+module.exports = { canSee, sharedPairing, sharedRoom };
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, createConfig, redactConfig, describeDisabledFeature, ConfigError } = require('../server/config');
+
+function load(options) {
+  return loadConfig({ argv: [], env: {}, loadEnvFile: false, ...options });
+}
+
+function errorsOf(options) {
+  try {
+    load(options);
+  } catch (err) {
+    expect(err).toBeInstanceOf(ConfigError);
+    return err.errors;
+  }
+  throw new Error('Expected a ConfigError');
+}
+
+describe('loadConfig', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shearpoint-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('starts from the defaults', () => {
+    const config = load();
+    expect(config.port).toBe(3000);
+    expect(config.logLevel).toBe('info');
+    expect(config.network).toEqual({ trustProxy: false, ipv4Prefix: 24, ipv6Prefix: 64 });
+    expect(config.features).toEqual({ pairing: true, rooms: true });
+  });
+
+  test('lets the config file, environment, flags and overrides win in that order', () => {
+    fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify({ port: 4000, host: '127.0.0.1', network: { ipv4Prefix: 16 } }));
+    const sources = { cwd: dir, argv: ['--config', 'config.json'] };
+
+    expect(load(sources)).toMatchObject({ port: 4000, host: '127.0.0.1', network: { ipv4Prefix: 16 } });
+    expect(load({ ...sources, env: { PORT: '5000' } }).port).toBe(5000);
+    expect(load({ ...sources, env: { PORT: '5000' }, argv: [...sources.argv, '--port=6000'] }).port).toBe(6000);
+    expect(load({ ...sources, env: { PORT: '5000' }, overrides: { port: 7000 } }).port).toBe(7000);
+  });
+
+  test('reads the config file named by CONFIG_FILE', () => {
+    fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify({ relay: { enabled: false } }));
+    expect(load({ cwd: dir, env: { CONFIG_FILE: 'config.json' } }).relay.enabled).toBe(false);
+  });
+
+  test('parses booleans, negated flags and lists', () => {
+    const config = load({
+      env: { TRUST_PROXY: 'yes', STUN_URLS: '', CORS_ORIGINS: 'https://a.example, https://b.example' },
+      argv: ['--no-rooms-enabled', '--development']
+    });
+    expect(config.network.trustProxy).toBe(true);
+    expect(config.ice.stunUrls).toEqual([]);
+    expect(config.auth.corsOrigins).toEqual(['https://a.example', 'https://b.example']);
+    expect(config.features.rooms).toBe(false);
+    expect(config.logLevel).toBe('debug');
+  });
+
+  test('treats empty variables as unset and null as unset unless nullable', () => {
+    const config = load({ env: { PORT: '' }, overrides: { host: null, pairingStore: null } });
+    expect(config.port).toBe(3000);
+    expect(config.host).toBe('0.0.0.0');
+    expect(config.pairingStore).toBeNull();
+  });
+
+  test('collects every invalid value into one error', () => {
+    const errors = errorsOf({
+      env: { PORT: 'abc', LOG_LEVEL: 'loud', IPV4_SUBNET_PREFIX: '33' },
+      argv: ['--bogus', 'stray'],
+      overrides: { network: { trust: true }, extra: 1 }
+    });
+    expect(errors).toEqual(expect.arrayContaining([
+      'Unexpected argument "stray"',
+      'Unknown option --bogus',
+      'Unknown option network.trust',
+      'Unknown option extra',
+      'PORT: expected an integer, got "abc"',
+      'LOG_LEVEL: expected one of debug, info, warn, error, got "loud"',
+      'IPV4_SUBNET_PREFIX: must be at most 32, got "33"'
+    ]));
+    expect(errors).toHaveLength(7);
+  });
+
+  test('reports unknown keys and unreadable config files', () => {
+    fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify({ limits: { maxPayload: 1 << 20, burst: 5 } }));
+    expect(errorsOf({ cwd: dir, argv: ['--config', 'config.json'] })).toEqual(['Unknown option limits.burst in config.json']);
+    expect(errorsOf({ cwd: dir, argv: ['--config', 'missing.json'] })[0]).toMatch(/^Cannot read config file/);
+  });
+
+  test('requires credentials for TURN servers', () => {
+    expect(errorsOf({ env: { TURN_URLS: 'turn:turn.example.com' } }))
+      .toEqual(['TURN_URLS needs TURN_SECRET, or TURN_USERNAME and TURN_PASSWORD']);
+    expect(load({ env: { TURN_URLS: 'turn:turn.example.com', TURN_SECRET: 'secret' } }).ice.turnSecret).toBe('secret');
+  });
+
+  test('recognizes --help', () => {
+    expect(load({ argv: ['--help'] }).help).toBe(true);
+  });
+});
+
+describe('createConfig', () => {
+  test('ignores the environment', () => {
+    const previous = process.env.PORT;
+    process.env.PORT = '4000';
+    try {
+      expect(createConfig({ host: '127.0.0.1' })).toMatchObject({ port: 3000, host: '127.0.0.1' });
+    } finally {
+      if (previous === undefined) delete process.env.PORT;
+      else process.env.PORT = previous;
+    }
+  });
+});
+
+describe('redactConfig', () => {
+  test('replaces the secrets that are set', () => {
+    const config = createConfig({ auth: { adminToken: 'admin' }, ice: { turnUrls: ['turn:a'], turnSecret: 'secret' } });
+    const redacted = redactConfig(config);
+    expect(redacted.auth.adminToken).toBe('[redacted]');
+    expect(redacted.ice.turnSecret).toBe('[redacted]');
+    expect(redacted.auth.accessToken).toBeNull();
+    expect(redacted).not.toHaveProperty('help');
+    expect(config.auth.adminToken).toBe('admin');
+  });
+});
+
+describe('describeDisabledFeature', () => {
+  test('explains messages of switched off features', () => {
+    const config = createConfig({ features: { pairing: false } });
+    expect(describeDisabledFeature(config, 'pair-join')).toBe('Pairing is disabled on this server');
+    expect(describeDisabledFeature(config, 'room-join')).toBeNull();
+  });
+});
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const { IceConfig, createIceConfigHandler, DEFAULT_STUN_URLS } = require('../server/ice');
+
+describe('IceConfig', () => {
+  test('mints TURN REST API credentials: expiry:user and the HMAC-SHA1 of it', () => {
+    const ice = new IceConfig({ turnUrls: ['turn:turn.example.com'], turnSecret: 'secret', turnTtl: 3600 });
+    const credentials = ice.createTurnCredentials('peer-1', 1700000000500);
+
+    expect(credentials.username).toBe('1700003600:peer-1');
+    expect(credentials.credential).toBe(
+      crypto.createHmac('sha1', 'secret').update('1700003600:peer-1').digest('base64'));
+    expect(credentials.expiresAt).toBe(1700003600 * 1000);
+  });
+
+  test('hands out STUN only by default', () => {
+    expect(new IceConfig().getIceServers('peer-1')).toEqual({
+      iceServers: [{ urls: DEFAULT_STUN_URLS }],
+      expiresAt: null
+    });
+  });
+
+  test('prefers minted credentials over static ones', () => {
+    const ice = new IceConfig({
+      stunUrls: [],
+      turnUrls: ['turn:turn.example.com'],
+      turnSecret: 'secret',
+      turnUsername: 'static',
+      turnPassword: 'password'
+    });
+    const { iceServers, expiresAt } = ice.getIceServers('peer-1');
+
+    expect(iceServers).toHaveLength(1);
+    expect(iceServers[0].username).toMatch(/^\d+:peer-1$/);
+    expect(expiresAt).toBeGreaterThan(Date.now());
+  });
+
+  test('falls back to static credentials without a secret', () => {
+    const ice = new IceConfig({ stunUrls: [], turnUrls: ['turn:turn.example.com'], turnUsername: 'static', turnPassword: 'password' });
+    expect(ice.getIceServers('peer-1')).toEqual({
+      iceServers: [{ urls: ['turn:turn.example.com'], username: 'static', credential: 'password' }],
+      expiresAt: null
+    });
+  });
+
+  test('leaves out TURN servers without credentials', () => {
+    const ice = new IceConfig({ stunUrls: [], turnUrls: ['turn:turn.example.com'] });
+    expect(ice.getIceServers('peer-1').iceServers).toEqual([]);
+  });
+});
+
+describe('createIceConfigHandler', () => {
+  function call(query) {
+    const ice = new IceConfig({ stunUrls: [], turnUrls: ['turn:turn.example.com'], turnSecret: 'secret' });
+    const res = { set: jest.fn(() => res), json: jest.fn() };
+    createIceConfigHandler(ice)({ query }, res);
+    return res;
+  }
+
+  test('uses the peer id as TURN user and disables caching', () => {
+    const res = call({ peerId: 'peer-1' });
+    expect(res.set).toHaveBeenCalledWith('Cache-Control', 'no-store');
+    expect(res.json.mock.calls[0][0].iceServers[0].username).toMatch(/:peer-1$/);
+  });
+
+  test('replaces peer ids that could break the username', () => {
+    const res = call({ peerId: 'a:b' });
+    expect(res.json.mock.calls[0][0].iceServers[0].username).toMatch(/:shearpoint$/);
+  });
+});
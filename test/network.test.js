@@ -0,0 +1,78 @@
+const os = require('os');
+const { getClientAddress, getNetworkBucket, normalizeAddress } = require('../server/network');
+
+function request(remoteAddress, forwardedFor) {
+  return {
+    headers: forwardedFor === undefined ? {} : { 'x-forwarded-for': forwardedFor },
+    socket: { remoteAddress }
+  };
+}
+
+describe('normalizeAddress', () => {
+  test('strips the IPv4-mapped prefix and the zone index', () => {
+    expect(normalizeAddress('::ffff:192.168.1.20')).toBe('192.168.1.20');
+    expect(normalizeAddress('FE80::1%eth0')).toBe('fe80::1');
+    expect(normalizeAddress(undefined)).toBe('');
+  });
+});
+
+describe('getClientAddress', () => {
+  test('uses the socket address unless the proxy is trusted', () => {
+    expect(getClientAddress(request('::ffff:203.0.113.7', '198.51.100.1'))).toBe('203.0.113.7');
+  });
+
+  test('takes only the last X-Forwarded-For entry behind a trusted proxy', () => {
+    const req = request('10.0.0.2', '192.168.1.5, 198.51.100.1');
+    expect(getClientAddress(req, { trustProxy: true })).toBe('198.51.100.1');
+  });
+
+  test('falls back to the socket address when the last entry is no address', () => {
+    const req = request('10.0.0.2', '198.51.100.1, garbage');
+    expect(getClientAddress(req, { trustProxy: true })).toBe('10.0.0.2');
+  });
+});
+
+describe('getNetworkBucket', () => {
+  test('groups public IPv4 addresses by the exact address', () => {
+    expect(getNetworkBucket('203.0.113.7')).toBe('ip:203.0.113.7');
+    expect(getNetworkBucket('203.0.113.8')).not.toBe(getNetworkBucket('203.0.113.7'));
+  });
+
+  test('groups private IPv4 addresses by subnet', () => {
+    expect(getNetworkBucket('192.168.1.20')).toBe('subnet:192.168.1.0/24');
+    expect(getNetworkBucket('192.168.1.99')).toBe(getNetworkBucket('192.168.1.20'));
+    expect(getNetworkBucket('192.168.2.20')).not.toBe(getNetworkBucket('192.168.1.20'));
+    expect(getNetworkBucket('100.64.3.4')).toBe('subnet:100.64.3.0/24');
+    expect(getNetworkBucket('10.1.2.3', { ipv4Prefix: 16 })).toBe('subnet:10.1.0.0/16');
+  });
+
+  test('groups IPv6 addresses by their /64 prefix, public ones included', () => {
+    const bucket = getNetworkBucket('2001:db8:1:2:aaaa:bbbb:cccc:dddd');
+    expect(bucket).toBe('subnet:2001:db8:1:2:0:0:0:0/64');
+    expect(getNetworkBucket('2001:db8:1:2::1')).toBe(bucket);
+    expect(getNetworkBucket('2001:db8:1:3::1')).not.toBe(bucket);
+    expect(getNetworkBucket('2001:db8:1:2::1', { ipv6Prefix: 48 })).toBe('subnet:2001:db8:1:0:0:0:0:0/48');
+  });
+
+  test('treats IPv4-mapped IPv6 addresses as IPv4', () => {
+    expect(getNetworkBucket('::ffff:192.168.1.20')).toBe('subnet:192.168.1.0/24');
+  });
+
+  test('puts loopback clients on the subnet of the server', () => {
+    const spy = jest.spyOn(os, 'networkInterfaces').mockReturnValue({
+      lo: [{ family: 'IPv4', address: '127.0.0.1', internal: true }],
+      eth0: [{ family: 'IPv4', address: '192.168.1.10', internal: false }]
+    });
+    try {
+      expect(getNetworkBucket('127.0.0.1')).toBe('subnet:192.168.1.0/24');
+      expect(getNetworkBucket('::1')).toBe('subnet:192.168.1.0/24');
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  test('returns "unknown" for anything that is no address', () => {
+    expect(getNetworkBucket('')).toBe('unknown');
+    expect(getNetworkBucket('not-an-ip')).toBe('unknown');
+  });
+});
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PairingManager } = require('../server/pairing');
+
+const logger = { info() {}, warn() {}, error() {} };
+
+// A six-digit code that is not pending
+function wrongCode(pairing) {
+  let code = 0;
+  while (pairing.pendingCodes.has(String(code).padStart(6, '0'))) code++;
+  return String(code).padStart(6, '0');
+}
+
+describe('PairingManager', () => {
+  let pairing;
+
+  beforeEach(() => {
+    pairing = new PairingManager({ logger });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('redeems a code once and resolves the secret to the pairing', () => {
+    const { code } = pairing.createCode('alice');
+    expect(code).toMatch(/^\d{6}$/);
+
+    const result = pairing.redeemCode(code, 'bob', 'ip:203.0.113.7');
+    expect(result.initiatorPeerId).toBe('alice');
+    expect(pairing.resolve([result.secret, 'unknown'])).toEqual(new Set([result.pairingId]));
+    expect(pairing.redeemCode(code, 'carol', 'ip:203.0.113.7')).toBeNull();
+    expect(pairing.size).toBe(1);
+  });
+
+  test('does not redeem expired codes', () => {
+    jest.useFakeTimers({ now: 0 });
+    const { code } = pairing.createCode('alice');
+    jest.setSystemTime(pairing.options.codeTtl);
+    expect(pairing.redeemCode(code, 'bob', 'ip:203.0.113.7')).toBeNull();
+  });
+
+  test('replaces the earlier code of a peer', () => {
+    pairing.createCode('alice');
+    const { code } = pairing.createCode('alice');
+    expect(pairing.pendingCodes.size).toBe(1);
+    expect(pairing.redeemCode(code, 'bob', 'ip:203.0.113.7')).not.toBeNull();
+  });
+
+  test('locks a network out after too many wrong codes, across reconnects', () => {
+    const { code } = pairing.createCode('alice');
+    for (let i = 0; i < pairing.options.maxFailedAttempts; i++) {
+      expect(pairing.redeemCode(wrongCode(pairing), `guesser-${i}`, 'ip:198.51.100.1')).toBeNull();
+      pairing.forgetPeer(`guesser-${i}`);
+    }
+
+    expect(pairing.isLockedOut('ip:198.51.100.1')).toBe(true);
+    expect(pairing.redeemCode(code, 'guesser', 'ip:198.51.100.1')).toBeNull();
+
+    // Other networks and the pending code are unaffected
+    expect(pairing.isLockedOut('ip:203.0.113.7')).toBe(false);
+    expect(pairing.redeemCode(code, 'bob', 'ip:203.0.113.7')).not.toBeNull();
+  });
+
+  test('lifts the lockout after the lockout duration', () => {
+    jest.useFakeTimers({ now: 0 });
+    for (let i = 0; i < pairing.options.maxFailedAttempts; i++) {
+      pairing.redeemCode(wrongCode(pairing), 'guesser', 'ip:198.51.100.1');
+    }
+    expect(pairing.isLockedOut('ip:198.51.100.1')).toBe(true);
+
+    jest.setSystemTime(pairing.options.lockoutDuration);
+    const { code } = pairing.createCode('alice');
+    expect(pairing.redeemCode(code, 'guesser', 'ip:198.51.100.1')).not.toBeNull();
+    expect(pairing.failedAttempts.size).toBe(0);
+  });
+
+  test('does not count entering your own code as a wrong code', () => {
+    const { code } = pairing.createCode('alice');
+    for (let i = 0; i < pairing.options.maxFailedAttempts; i++) {
+      expect(pairing.redeemCode(code, 'alice', 'ip:203.0.113.7')).toBeNull();
+    }
+    expect(pairing.isLockedOut('ip:203.0.113.7')).toBe(false);
+    expect(pairing.redeemCode(code, 'bob', 'ip:203.0.113.7')).not.toBeNull();
+  });
+
+  test('removes a pairing for either secret holder', () => {
+    const { code } = pairing.createCode('alice');
+    const { secret, pairingId } = pairing.redeemCode(code, 'bob', 'ip:203.0.113.7');
+    expect(pairing.remove('unknown')).toBeNull();
+    expect(pairing.remove(secret)).toBe(pairingId);
+    expect(pairing.resolve([secret]).size).toBe(0);
+  });
+
+  test('stores only hashes and loads them again', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shearpoint-pairing-'));
+    try {
+      const storePath = path.join(dir, 'pairings.json');
+      const stored = new PairingManager({ logger, storePath });
+      const { code } = stored.createCode('alice');
+      const { secret, pairingId } = stored.redeemCode(code, 'bob', 'ip:203.0.113.7');
+
+      expect(fs.readFileSync(storePath, 'utf8')).not.toContain(secret);
+      expect(new PairingManager({ logger, storePath }).resolve([secret])).toEqual(new Set([pairingId]));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
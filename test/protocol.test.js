@@ -0,0 +1,140 @@
+const protocol = require('../public/js/protocol');
+
+describe('validateMessage', () => {
+  test('accepts messages that match their definition', () => {
+    expect(protocol.validateMessage({ type: 'register', protocolVersion: 1 }, 'client')).toEqual({ valid: true });
+    expect(protocol.validateMessage({ type: 'offer', targetPeerId: 'a', payload: {} }, 'client')).toEqual({ valid: true });
+    expect(protocol.validateMessage({ type: 'paired', pairingId: 'p', secret: 's', peer: {} }, 'server')).toEqual({ valid: true });
+    expect(protocol.validateMessage({ type: 'batch-accept', batchId: 'b' }, 'peer')).toEqual({ valid: true });
+  });
+
+  test('treats null optional fields as missing', () => {
+    expect(protocol.validateMessage({ type: 'register', protocolVersion: 1, device: null }, 'client').valid).toBe(true);
+  });
+
+  test('rejects anything that is not a typed object', () => {
+    for (const message of [null, 'register', [], { type: 1 }]) {
+      expect(protocol.validateMessage(message, 'client')).toMatchObject({
+        valid: false,
+        code: protocol.ERROR_CODES.INVALID_MESSAGE
+      });
+    }
+  });
+
+  test('rejects unknown types, including types of another sender', () => {
+    expect(protocol.validateMessage({ type: 'nope' }, 'client').code).toBe(protocol.ERROR_CODES.UNKNOWN_MESSAGE_TYPE);
+    expect(protocol.validateMessage({ type: 'welcome' }, 'client').code).toBe(protocol.ERROR_CODES.UNKNOWN_MESSAGE_TYPE);
+  });
+
+  test('rejects missing and mistyped fields', () => {
+    expect(protocol.validateMessage({ type: 'pair-join' }, 'client')).toEqual({
+      valid: false,
+      code: protocol.ERROR_CODES.INVALID_MESSAGE,
+      error: "'pair-join' requires field 'code'"
+    });
+    expect(protocol.validateMessage({ type: 'offer', targetPeerId: 'a', payload: [] }, 'client').error)
+      .toBe("'offer' field 'payload' must be of type object");
+    expect(protocol.validateMessage({ type: 'register', protocolVersion: 1, pairings: {} }, 'client').valid).toBe(false);
+  });
+});
+
+describe('sanitizeDevice', () => {
+  test('keeps trimmed, length-limited strings', () => {
+    expect(protocol.sanitizeDevice({
+      name: `  ${'n'.repeat(100)}  `,
+      type: ' desktop ',
+      capabilities: ['webrtc', ' relay ', 3, '', null],
+      extra: 'dropped'
+    })).toEqual({ name: 'n'.repeat(64), type: 'desktop', capabilities: ['webrtc', 'relay'] });
+  });
+
+  test('turns missing or invalid fields into null and an empty list', () => {
+    const empty = { name: null, type: null, capabilities: [] };
+    expect(protocol.sanitizeDevice(undefined)).toEqual(empty);
+    expect(protocol.sanitizeDevice({ name: { toString: 'x' }, type: '   ', capabilities: 'webrtc' })).toEqual(empty);
+  });
+
+  test('caps the number of capabilities', () => {
+    const capabilities = Array.from({ length: 40 }, (_, index) => `c${index}`);
+    expect(protocol.sanitizeDevice({ capabilities }).capabilities).toHaveLength(16);
+  });
+});
+
+describe('sanitizeRelativePath', () => {
+  test('normalizes separators and drops empty and "." segments', () => {
+    expect(protocol.sanitizeRelativePath('photos\\2024//./trip/img.jpg')).toBe('photos/2024/trip/img.jpg');
+    expect(protocol.sanitizeRelativePath('/notes.txt')).toBe('notes.txt');
+  });
+
+  test('rejects paths that could escape the target directory', () => {
+    expect(protocol.sanitizeRelativePath('../etc/passwd')).toBeNull();
+    expect(protocol.sanitizeRelativePath('a/../../b')).toBeNull();
+    expect(protocol.sanitizeRelativePath('C:\\Windows\\win.ini')).toBeNull();
+  });
+
+  test('rejects characters file systems refuse and empty paths', () => {
+    expect(protocol.sanitizeRelativePath('a/b?.txt')).toBeNull();
+    expect(protocol.sanitizeRelativePath('a/b\u0000.txt')).toBeNull();
+    expect(protocol.sanitizeRelativePath(`${'x'.repeat(256)}.txt`)).toBeNull();
+    expect(protocol.sanitizeRelativePath('./')).toBeNull();
+    expect(protocol.sanitizeRelativePath(42)).toBeNull();
+  });
+});
+
+describe('chunk frames', () => {
+  const hash = Uint8Array.from({ length: 32 }, (_, index) => index);
+  const header = { batchId: 'batch-ü', fileId: 7, seq: 3, offset: 5 * 0x100000000 + 42, hash };
+
+  test('round-trip header and payload', () => {
+    const payload = new Uint8Array([1, 2, 3, 4]);
+    const frame = protocol.encodeChunkFrame(header, payload);
+    const decoded = protocol.decodeChunkFrame(frame);
+
+    expect(frame.byteLength).toBe(2 + 8 + 16 + 32 + 4);
+    expect(decoded).toMatchObject({ batchId: 'batch-ü', fileId: 7, seq: 3, offset: 5 * 0x100000000 + 42 });
+    expect(Array.from(decoded.hash)).toEqual(Array.from(hash));
+    expect(Array.from(new Uint8Array(decoded.data))).toEqual([1, 2, 3, 4]);
+  });
+
+  test('encode a view of a larger buffer and decode from a Node.js Buffer', () => {
+    const backing = new Uint8Array([9, 9, 5, 6, 9]);
+    const frame = Buffer.from(protocol.encodeChunkFrame(header, backing.subarray(2, 4)));
+    const decoded = protocol.decodeChunkFrame(frame);
+
+    expect(Array.from(new Uint8Array(decoded.data))).toEqual([5, 6]);
+    expect(decoded.data.byteLength).toBe(2);
+  });
+
+  test('fit the largest header into MAX_CHUNK_HEADER_SIZE', () => {
+    const frame = protocol.encodeChunkFrame({ ...header, batchId: 'b'.repeat(255) }, new Uint8Array(0));
+    expect(frame.byteLength).toBe(protocol.MAX_CHUNK_HEADER_SIZE);
+  });
+
+  test('refuse to encode invalid headers', () => {
+    expect(() => protocol.encodeChunkFrame({ ...header, batchId: '' }, new Uint8Array(0))).toThrow('Batch id');
+    expect(() => protocol.encodeChunkFrame({ ...header, batchId: 'b'.repeat(256) }, new Uint8Array(0))).toThrow('Batch id');
+    expect(() => protocol.encodeChunkFrame({ ...header, hash: new Uint8Array(20) }, new Uint8Array(0))).toThrow('Chunk hash');
+  });
+
+  test('decode malformed frames to null', () => {
+    const frame = new Uint8Array(protocol.encodeChunkFrame(header, new Uint8Array(0)));
+    expect(protocol.decodeChunkFrame(new Uint8Array(0))).toBeNull();
+    expect(protocol.decodeChunkFrame(frame.slice(0, frame.length - 1))).toBeNull();
+    expect(protocol.decodeChunkFrame(Uint8Array.from(frame, (byte, index) => (index === 0 ? 2 : byte)))).toBeNull();
+    expect(protocol.decodeChunkFrame(Uint8Array.from(frame, (byte, index) => (index === 1 ? 0 : byte)))).toBeNull();
+
+    // An offset beyond Number.MAX_SAFE_INTEGER
+    const huge = frame.slice();
+    huge.fill(0xff, 2 + 8 + 8, 2 + 8 + 16);
+    expect(protocol.decodeChunkFrame(huge)).toBeNull();
+  });
+});
+
+describe('isSupportedVersion', () => {
+  test('accepts only integers in the supported range', () => {
+    expect(protocol.isSupportedVersion(protocol.PROTOCOL_VERSION)).toBe(true);
+    expect(protocol.isSupportedVersion(protocol.PROTOCOL_VERSION + 1)).toBe(false);
+    expect(protocol.isSupportedVersion('1')).toBe(false);
+    expect(protocol.describeVersionMismatch(undefined)).toMatch(/^Client announced no protocol version/);
+  });
+});
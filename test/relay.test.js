@@ -0,0 +1,68 @@
+const protocol = require('../public/js/protocol');
+const { RelayManager } = require('../server/relay');
+
+describe('RelayManager', () => {
+  let relay;
+
+  beforeEach(() => {
+    relay = new RelayManager({ bandwidth: 1000, quota: 5000 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('opens a relay once both sides asked for it', () => {
+    expect(relay.request('a', 'b')).toBe('pending');
+    expect(relay.isOpen('a', 'b')).toBe(false);
+    expect(relay.request('b', 'a')).toBe('open');
+    expect(relay.isOpen('b', 'a')).toBe(true);
+  });
+
+  test('lets unanswered requests expire', () => {
+    jest.useFakeTimers({ now: 0 });
+    relay.request('a', 'b');
+    jest.setSystemTime(relay.options.requestTtl);
+    expect(relay.request('b', 'a')).toBe('pending');
+  });
+
+  test('delays senders beyond the bandwidth', () => {
+    jest.useFakeTimers({ now: 0 });
+    relay.request('a', 'b');
+    relay.request('b', 'a');
+    expect(relay.account('a', 'b', 1000)).toEqual({ delay: 0 });
+    expect(relay.account('b', 'a', 500)).toEqual({ delay: 500 });
+    jest.setSystemTime(1500);
+    expect(relay.account('a', 'b', 500)).toEqual({ delay: 0 });
+    expect(relay.account('a', 'c', 1)).toBeNull();
+  });
+
+  test('keeps the quota of a pair while a peer can resume its session', () => {
+    relay.request('a', 'b');
+    relay.request('b', 'a');
+    expect(relay.account('a', 'b', 6000)).toEqual({ exceeded: true });
+
+    expect(relay.closeSessions('a')).toEqual(['b']);
+    expect(relay.size).toBe(0);
+    expect(relay.request('a', 'b')).toBe('quota');
+
+    relay.forgetPeer('a');
+    expect(relay.request('a', 'b')).toBe('pending');
+  });
+});
+
+describe('relay frames', () => {
+  test('round-trip the peer id and the message', () => {
+    const frame = protocol.encodeRelayFrame('peer-ü', new Uint8Array([1, 2, 3]).subarray(1));
+    const decoded = protocol.decodeRelayFrame(Buffer.from(frame));
+    expect(decoded.peerId).toBe('peer-ü');
+    expect(Array.from(new Uint8Array(decoded.data))).toEqual([2, 3]);
+  });
+
+  test('reject invalid peer ids and malformed frames', () => {
+    expect(() => protocol.encodeRelayFrame('', new Uint8Array(0))).toThrow('Peer id');
+    expect(protocol.decodeRelayFrame(new Uint8Array(0))).toBeNull();
+    expect(protocol.decodeRelayFrame(new Uint8Array([0, 1]))).toBeNull();
+    expect(protocol.decodeRelayFrame(new Uint8Array([5, 97]))).toBeNull();
+  });
+});
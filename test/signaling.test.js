@@ -0,0 +1,176 @@
+const WebSocket = require('ws');
+const protocol = require('../public/js/protocol');
+const { createServer } = require('../server/index');
+
+const ADMIN_TOKEN = 'admin-token';
+
+/**
+ * A signaling client that queues the messages it receives
+ */
+function connect(port) {
+  const ws = new WebSocket(`ws://127.0.0.1:${port}`);
+  const messages = [];
+  const waiting = [];
+
+  ws.on('message', (data, isBinary) => {
+    if (isBinary) return;
+    messages.push(JSON.parse(data));
+    waiting.splice(0).forEach(check => check());
+  });
+
+  const client = {
+    ws,
+    send: message => ws.send(JSON.stringify(message)),
+    // The first queued message of a type, waiting for it if necessary
+    next: type => new Promise((resolve, reject) => {
+      const check = () => {
+        const index = messages.findIndex(message => message.type === type);
+        if (index === -1) {
+          waiting.push(check);
+          return;
+        }
+        clearTimeout(timer);
+        resolve(messages.splice(index, 1)[0]);
+      };
+      const timer = setTimeout(() => reject(new Error(`No ${type} message`)), 2000);
+      check();
+    }),
+    closed: new Promise(resolve => ws.on('close', code => resolve(code)))
+  };
+  return client;
+}
+
+/**
+ * Connect and register; resolves with the client, its welcome and its registration
+ */
+async function register(port, resume) {
+  const client = connect(port);
+  const welcome = await client.next('welcome');
+  client.send({ type: 'register', protocolVersion: protocol.PROTOCOL_VERSION, device: { name: 'Laptop' }, resume });
+  const registered = await client.next('registered');
+  return { client, welcome, registered };
+}
+
+async function waitFor(condition) {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  expect(Boolean(condition())).toBe(true);
+}
+
+describe('session resumption', () => {
+  let instance;
+  let port;
+  let clients;
+
+  beforeEach(async () => {
+    instance = createServer({
+      host: '127.0.0.1',
+      port: 0,
+      logLevel: 'error',
+      pairingStore: null,
+      sessionGracePeriod: 5000,
+      auth: { adminToken: ADMIN_TOKEN },
+      modules: { discovery: false }
+    });
+    port = await instance.listen();
+    clients = [];
+  });
+
+  afterEach(async () => {
+    clients.forEach(client => client.ws.terminate());
+    await instance.close();
+  });
+
+  async function registerClient(resume) {
+    const result = await register(port, resume);
+    clients.push(result.client);
+    return result;
+  }
+
+  function resumeOf({ welcome }) {
+    return { peerId: welcome.peerId, sessionToken: welcome.sessionToken };
+  }
+
+  test('resumes the session of a dropped connection', async () => {
+    const first = await registerClient();
+    expect(first.registered.resumed).toBe(false);
+
+    first.client.ws.terminate();
+    await waitFor(() => instance.context.peers.get(first.welcome.peerId)?.disconnectedAt);
+
+    const second = await registerClient(resumeOf(first));
+    expect(second.registered).toMatchObject({ resumed: true, peerId: first.welcome.peerId });
+    expect(instance.context.peers.get(first.welcome.peerId).disconnectedAt).toBeNull();
+  });
+
+  test('replaces a connection that still looks open', async () => {
+    const first = await registerClient();
+    const second = await registerClient(resumeOf(first));
+
+    expect(second.registered.resumed).toBe(true);
+    expect(await first.client.closed).toBe(protocol.CLOSE_CODES.SESSION_RESUMED);
+    expect(instance.context.peers.get(first.welcome.peerId).disconnectedAt).toBeNull();
+  });
+
+  test('does not resume with a wrong session token', async () => {
+    const first = await registerClient();
+    first.client.ws.terminate();
+
+    const second = await registerClient({ peerId: first.welcome.peerId, sessionToken: 'guessed' });
+    expect(second.registered.resumed).toBe(false);
+    expect(second.registered.peerId).not.toBe(first.welcome.peerId);
+  });
+
+  test('forgets peers that closed the socket normally', async () => {
+    const observer = await registerClient();
+    const first = await registerClient();
+    await observer.client.next('peer-list');
+
+    first.client.ws.close(1000);
+    await waitFor(() => !instance.context.peers.get(first.welcome.peerId));
+    expect(instance.context.deviceInventory.has(first.welcome.peerId)).toBe(false);
+
+    const second = await registerClient(resumeOf(first));
+    expect(second.registered.resumed).toBe(false);
+  });
+
+  test('keeps the session of a socket closed without a code', async () => {
+    const first = await registerClient();
+
+    first.client.ws.close();
+    await waitFor(() => instance.context.peers.get(first.welcome.peerId)?.disconnectedAt);
+
+    const second = await registerClient(resumeOf(first));
+    expect(second.registered.resumed).toBe(true);
+  });
+
+  test('forgets the session once the grace period is over', async () => {
+    instance.config.sessionGracePeriod = 50;
+    const first = await registerClient();
+    const peer = instance.context.peers.get(first.welcome.peerId);
+
+    first.client.ws.terminate();
+    await waitFor(() => peer.disconnectedAt);
+    await waitFor(() => !instance.context.peers.get(first.welcome.peerId));
+    expect(peer.sessionHash).toBeNull();
+
+    const second = await registerClient(resumeOf(first));
+    expect(second.registered.resumed).toBe(false);
+  });
+
+  test('does not let a device removed by the admin resume its session', async () => {
+    const first = await registerClient();
+
+    const response = await fetch(`http://127.0.0.1:${port}/api/devices/${first.welcome.peerId}`, {
+      method: 'DELETE',
+      headers: { Authorization: `Bearer ${ADMIN_TOKEN}` }
+    });
+    expect(response.status).toBe(200);
+    expect(await first.client.closed).toBe(protocol.CLOSE_CODES.REMOVED);
+
+    const second = await registerClient(resumeOf(first));
+    expect(second.registered.resumed).toBe(false);
+    expect(second.registered.peerId).not.toBe(first.welcome.peerId);
+  });
+});
@@ -0,0 +1,145 @@
+const { crc32, createZip, createZipWriter, fitsInZip } = require('../public/js/zip');
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Read an archive back through its central directory, checking every local
+ * header and data descriptor on the way
+ */
+function readZip(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+
+  const count = view.getUint16(end + 10, true);
+  const centralSize = view.getUint32(end + 12, true);
+  let position = view.getUint32(end + 16, true);
+  expect(position + centralSize).toBe(end);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(position, true)).toBe(0x02014b50);
+    const flags = view.getUint16(position + 8, true);
+    const crc = view.getUint32(position + 16, true);
+    const size = view.getUint32(position + 20, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const offset = view.getUint32(position + 42, true);
+    const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+    position += 46 + nameLength;
+
+    expect(view.getUint32(offset, true)).toBe(0x04034b50);
+    expect(decoder.decode(bytes.subarray(offset + 30, offset + 30 + nameLength))).toBe(name);
+    const dataStart = offset + 30 + nameLength;
+    const data = bytes.slice(dataStart, dataStart + size);
+    expect(crc32(data)).toBe(crc);
+
+    if (flags & 0x0008) {
+      expect(view.getUint32(dataStart + size, true)).toBe(0x08074b50);
+      expect(view.getUint32(dataStart + size + 4, true)).toBe(crc);
+      expect(view.getUint32(dataStart + size + 8, true)).toBe(size);
+    } else {
+      expect(view.getUint32(offset + 14, true)).toBe(crc);
+    }
+    entries.push({ name, text: decoder.decode(data) });
+  }
+  return entries;
+}
+
+describe('crc32', () => {
+  test('matches the standard check value, also when continued', () => {
+    expect(crc32(encoder.encode('123456789'))).toBe(0xcbf43926);
+    expect(crc32(encoder.encode('6789'), crc32(encoder.encode('12345')))).toBe(0xcbf43926);
+  });
+});
+
+describe('createZip', () => {
+  test('builds an archive of files and empty directories', async () => {
+    const blob = await createZip([
+      { path: 'docs/a.txt', blob: new Blob(['hello']), lastModified: Date.UTC(2024, 0, 1) },
+      { path: 'docs/ü.txt', blob: new Blob(['']) },
+      { path: 'docs/empty', directory: true }
+    ]);
+
+    expect(blob.type).toBe('application/zip');
+    expect(readZip(await blob.arrayBuffer())).toEqual([
+      { name: 'docs/a.txt', text: 'hello' },
+      { name: 'docs/ü.txt', text: '' },
+      { name: 'docs/empty/', text: '' }
+    ]);
+  });
+});
+
+describe('createZipWriter', () => {
+  function collect() {
+    const pieces = [];
+    const write = jest.fn(async (buffer) => {
+      expect(buffer).toBeInstanceOf(ArrayBuffer);
+      pieces.push(new Uint8Array(buffer));
+    });
+    const archive = () => Buffer.concat(pieces);
+    return { write, archive };
+  }
+
+  test('streams files in order, each after the one before is closed', async () => {
+    const { write, archive } = collect();
+    const zip = createZipWriter(write);
+
+    const first = zip.addFile({ path: 'a.txt', size: 6 });
+    const second = zip.addFile({ path: 'dir/b.txt', size: 3 });
+
+    const sinkA = await first;
+    await sinkA.write(encoder.encode('hel').buffer);
+    await sinkA.write(encoder.encode('lo!').buffer);
+    await sinkA.commit();
+
+    const sinkB = await second;
+    await sinkB.write(encoder.encode('bye').buffer);
+    await sinkB.commit();
+
+    expect(await zip.finish(['dir/empty'])).toBe(3);
+    expect(readZip(archive())).toEqual([
+      { name: 'a.txt', text: 'hello!' },
+      { name: 'dir/b.txt', text: 'bye' },
+      { name: 'dir/empty/', text: '' }
+    ]);
+  });
+
+  test('leaves aborted files out of the central directory', async () => {
+    const { write, archive } = collect();
+    const zip = createZipWriter(write);
+
+    const failed = await zip.addFile({ path: 'failed.bin', size: 10 });
+    await failed.write(encoder.encode('partial').buffer);
+    failed.abort();
+
+    const sink = await zip.addFile({ path: 'ok.txt', size: 2 });
+    await sink.write(encoder.encode('ok').buffer);
+    await sink.commit();
+
+    expect(await zip.finish()).toBe(1);
+    expect(readZip(archive())).toEqual([{ name: 'ok.txt', text: 'ok' }]);
+  });
+
+  test('refuses files that would not fit without ZIP64', async () => {
+    const { write } = collect();
+    const zip = createZipWriter(write);
+    await expect(zip.addFile({ path: 'huge.bin', size: 0xffffffff })).rejects.toThrow('limited to 4 GB');
+
+    // The writer stays usable after a refused file
+    const sink = await zip.addFile({ path: 'small.txt', size: 1 });
+    await sink.write(encoder.encode('x').buffer);
+    await sink.commit();
+    expect(await zip.finish()).toBe(1);
+  });
+});
+
+describe('fitsInZip', () => {
+  test('counts entries and bytes against the limits without ZIP64', () => {
+    expect(fitsInZip([{ path: 'a.txt', size: 100 }], ['dir'])).toBe(true);
+    expect(fitsInZip([{ path: 'a.txt', size: 0xffffffff }])).toBe(false);
+    expect(fitsInZip([{ path: 'a.txt', size: 0xffffffff - 22 - 30 - 16 - 46 - 10 }])).toBe(true);
+    expect(fitsInZip(Array.from({ length: 0x10000 }, (_, index) => ({ path: `${index}`, size: 0 })))).toBe(false);
+  });
+});